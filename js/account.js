@@ -0,0 +1,297 @@
+/**
+ * Account Module
+ * Sign-in for cloud storage through Firebase Auth: email and password or an
+ * emailed sign-in link. Opened from the cloud status indicator. Signed in, it
+ * shows the organization's members, and its owner can invite people by email
+ * (they join the organization the first time they sign in) and set the role
+ * that decides what each member's account can read and change in the cloud
+ * (see firestore.rules). Signing in or out
+ * reloads the app so every module loads the right organization's data.
+ */
+
+const Account = {
+  modal: null,
+  // Roles the owner can give other members (see firestore.rules)
+  memberRoles: ['viewer', 'crewLead'],
+
+  // Show the account view matching the sign-in state
+  show() {
+    if (!this.modal) {
+      this.createModal();
+    }
+
+    this.render();
+    this.modal.style.display = 'flex';
+  },
+
+  // Create the account modal
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'account-modal';
+    this.modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: none;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      padding: 1rem;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background-color: var(--card-bg);
+      border-radius: var(--border-radius);
+      box-shadow: var(--shadow-lg);
+      width: 100%;
+      max-width: 480px;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 2rem;
+      position: relative;
+    `;
+
+    const closeBtn = document.createElement('div');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    closeBtn.style.cssText = `
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      cursor: pointer;
+      font-size: 1.25rem;
+      color: var(--gray-500);
+    `;
+    closeBtn.addEventListener('click', () => {
+      this.modal.style.display = 'none';
+    });
+
+    const body = document.createElement('div');
+    body.className = 'account-body';
+
+    // Views are re-rendered in place, so listen on the container
+    body.addEventListener('click', (e) => this.handleClick(e));
+    body.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit(e.target, e.submitter);
+    });
+    body.addEventListener('change', (e) => this.handleRoleChange(e));
+
+    content.appendChild(closeBtn);
+    content.appendChild(body);
+    this.modal.appendChild(content);
+    document.body.appendChild(this.modal);
+  },
+
+  // Render the view for the current state
+  async render() {
+    const body = this.modal.querySelector('.account-body');
+    const user = FirebaseStorage.user;
+
+    if (!FirebaseStorage.isInitialized) {
+      body.innerHTML = `
+        <h3 style="margin-bottom: 1rem;"><i class="fas fa-cloud"></i> Cloud Storage</h3>
+        <p>Cloud storage is not available right now, so everything is saved in this browser.</p>
+      `;
+    } else if (!user) {
+      body.innerHTML = this.signInHtml();
+    } else if (!user.emailVerified) {
+      body.innerHTML = `
+        <h3 style="margin-bottom: 1rem;"><i class="fas fa-envelope"></i> Verify Your Email</h3>
+        <p style="margin-bottom: 1.5rem;">
+          We sent a verification link to <strong>${Clients.escape(user.email)}</strong>.
+          Follow it, then reload to start saving to the cloud.
+        </p>
+        <div class="btn-group">
+          <button type="button" class="btn btn-primary" data-action="reload"><i class="fas fa-sync"></i> I've Verified</button>
+          <button type="button" class="btn btn-outline" data-action="resend">Resend Email</button>
+          <button type="button" class="btn btn-outline" data-action="sign-out">Sign Out</button>
+        </div>
+        <div class="account-message" style="margin-top: 1rem; font-size: 0.875rem;"></div>
+      `;
+    } else {
+      body.innerHTML = `
+        <h3 style="margin-bottom: 1rem;"><i class="fas fa-cloud"></i> Cloud Storage</h3>
+        <p style="margin-bottom: 1.5rem;">Signed in as <strong>${Clients.escape(user.email)}</strong>.</p>
+        <div class="account-members"><p style="color: var(--gray-600);">Loading members...</p></div>
+        <div class="btn-group" style="margin-top: 1.5rem;">
+          <button type="button" class="btn btn-outline" data-action="sign-out"><i class="fas fa-sign-out-alt"></i> Sign Out</button>
+        </div>
+      `;
+      await this.renderMembers();
+    }
+  },
+
+  // Sign-in form; one form serves sign-in, account creation and the email link
+  signInHtml() {
+    const inputStyle = 'width: 100%;';
+
+    return `
+      <h3 style="margin-bottom: 1rem;"><i class="fas fa-cloud"></i> Sign In to Cloud Storage</h3>
+      <p style="margin-bottom: 1.5rem; font-size: 0.875rem; color: var(--gray-600);">
+        Until you sign in, everything is saved in this browser only.
+      </p>
+      <form class="account-sign-in">
+        <div class="form-group">
+          <label for="accountEmail">Email</label>
+          <input type="email" id="accountEmail" name="email" required autocomplete="email" style="${inputStyle}">
+        </div>
+        <div class="form-group">
+          <label for="accountPassword">Password</label>
+          <input type="password" id="accountPassword" name="password" autocomplete="current-password" style="${inputStyle}">
+          <small>Leave empty to get a sign-in link by email instead.</small>
+        </div>
+        <div class="btn-group">
+          <button type="submit" class="btn btn-primary" value="sign-in"><i class="fas fa-sign-in-alt"></i> Sign In</button>
+          <button type="submit" class="btn btn-outline" value="create">Create Account</button>
+        </div>
+        <div class="account-message" style="margin-top: 1rem; font-size: 0.875rem;"></div>
+      </form>
+    `;
+  },
+
+  // Render the organization's members and, for its owner, invites
+  async renderMembers() {
+    const container = this.modal.querySelector('.account-members');
+
+    try {
+      const { owner, members, invites } = await FirebaseStorage.loadMembers();
+      const isOwner = owner === FirebaseStorage.user.uid;
+      const roleLabel = role => PinAuth.roles[role].label;
+      const roleOptions = selected => this.memberRoles.map(role => `
+            <option value="${role}"${role === selected ? ' selected' : ''}>${roleLabel(role)}</option>
+            `).join('');
+
+      container.innerHTML = `
+        <h4 style="margin-bottom: 0.5rem;">Organization Members</h4>
+        <ul style="list-style: none; padding-left: 0; margin-bottom: 1.5rem;">
+          ${members.map(member => `
+          <li style="padding: 0.35rem 0;">
+            <i class="fas fa-user" style="color: var(--primary); margin-right: 0.5rem;"></i>${Clients.escape(member.email)}
+            ${member.uid === owner ? '<span class="badge badge-primary">Owner</span>' : isOwner ? `
+            <select data-member-role="${Clients.escape(member.uid)}" style="margin-left: 0.5rem;">${roleOptions(member.role || 'crewLead')}</select>
+            ` : `<span class="badge badge-primary">${roleLabel(this.memberRoles.includes(member.role) ? member.role : 'crewLead')}</span>`}
+          </li>
+          `).join('')}
+          ${invites.map(invite => `
+          <li style="padding: 0.35rem 0; color: var(--gray-600);">
+            <i class="fas fa-envelope" style="margin-right: 0.5rem;"></i>${Clients.escape(invite.email)}
+            <span class="badge badge-warning">Invited as ${roleLabel(this.memberRoles.includes(invite.role) ? invite.role : 'crewLead')}</span>
+            ${isOwner ? `<a href="#" data-action="revoke" data-email="${Clients.escape(invite.email)}" style="margin-left: 0.5rem;">Revoke</a>` : ''}
+          </li>
+          `).join('')}
+        </ul>
+        ${isOwner ? `
+        <form class="account-invite">
+          <div class="form-group">
+            <label for="accountInviteEmail">Invite by Email</label>
+            <input type="email" id="accountInviteEmail" name="email" required style="width: 100%;">
+            <small>They join this organization the first time they sign in with this email.</small>
+          </div>
+          <div class="form-group">
+            <label for="accountInviteRole">Role</label>
+            <select id="accountInviteRole" name="role">${roleOptions('crewLead')}</select>
+            <small>What their account can read and change in the cloud, whichever PIN user signs in on it.</small>
+          </div>
+          <button type="submit" class="btn btn-primary btn-sm" value="invite"><i class="fas fa-user-plus"></i> Send Invite</button>
+          <div class="account-message" style="margin-top: 1rem; font-size: 0.875rem;"></div>
+        </form>
+        ` : ''}
+      `;
+    } catch (error) {
+      console.error('Error loading organization members:', error);
+      container.innerHTML = '<p style="color: var(--danger);">Could not load the organization members.</p>';
+    }
+  },
+
+  // Show a message under the current form
+  showMessage(message, isError = true) {
+    const element = this.modal.querySelector('.account-message');
+    if (!element) return;
+
+    element.textContent = message;
+    element.style.color = isError ? 'var(--danger)' : 'var(--success)';
+  },
+
+  // Handle the view's buttons and links
+  async handleClick(e) {
+    const target = e.target.closest('[data-action]');
+    if (!target) return;
+
+    e.preventDefault();
+
+    try {
+      if (target.dataset.action === 'reload') {
+        location.reload();
+      } else if (target.dataset.action === 'resend') {
+        await FirebaseStorage.resendVerification();
+        this.showMessage('Verification email sent.', false);
+      } else if (target.dataset.action === 'sign-out') {
+        await FirebaseStorage.signOut();
+        location.reload();
+      } else if (target.dataset.action === 'revoke') {
+        await FirebaseStorage.revokeInvite(target.dataset.email);
+        await this.renderMembers();
+      }
+    } catch (error) {
+      console.error('Account action failed:', error);
+      this.showMessage(error.message);
+    }
+  },
+
+  // Change a member's role from the owner's member list
+  async handleRoleChange(e) {
+    const uid = e.target.dataset.memberRole;
+    if (!uid) return;
+
+    try {
+      await FirebaseStorage.setMemberRole(uid, e.target.value);
+      History.showSuccessNotification('Role updated');
+    } catch (error) {
+      console.error('Changing the member role failed:', error);
+      this.showMessage(error.message);
+    }
+    await this.renderMembers();
+  },
+
+  // Handle the sign-in and invite forms
+  async handleSubmit(form, submitter) {
+    const email = form.elements.email.value.trim();
+    const action = submitter ? submitter.value : '';
+    form.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+
+    try {
+      if (action === 'invite') {
+        await FirebaseStorage.inviteMember(email, form.elements.role.value);
+        await this.renderMembers();
+        History.showSuccessNotification(`Invite created for ${email}`);
+        return;
+      }
+
+      const password = form.elements.password.value;
+
+      if (!password) {
+        if (action === 'create') {
+          this.showMessage('Choose a password to create an account, or sign in with an email link.');
+        } else {
+          await FirebaseStorage.sendSignInLink(email);
+          this.showMessage(`We emailed a sign-in link to ${email}. Open it in this browser.`, false);
+        }
+      } else if (action === 'create') {
+        await FirebaseStorage.createAccount(email, password);
+        location.reload();
+      } else {
+        await FirebaseStorage.signIn(email, password);
+        location.reload();
+      }
+    } catch (error) {
+      console.error('Sign-in failed:', error);
+      this.showMessage(error.message);
+    } finally {
+      form.querySelectorAll('button').forEach(btn => { btn.disabled = false; });
+    }
+  }
+};
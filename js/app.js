@@ -9,6 +9,13 @@ const AppState = {
   quoteData: null,
   invoiceData: null,
   specialtyServices: [],
+  crewPositions: [],
+  schedule: [],
+  expenses: [],
+  // Rate card of an earlier version, set when a duplicated quote keeps its original pricing
+  pinnedRates: null,
+  // History quote the next calculated quote is saved as a new revision of
+  revisingQuoteId: null,
   quoteTotal: 0,
   depositAmount: 0,
   depositPercentage: 0,
@@ -38,14 +45,26 @@ const AppState = {
       // Initialize Firebase integration
       await this.initFirebase();
       
+      // Store data in the organization's Firestore when signed in, otherwise in this browser
+      await DataStore.init({ orgId: this.usingFirebase ? FirebaseStorage.orgId : null });
+      
+      // Apply the latest saved rate card version and render the Rate Card tab
+      await RateCard.init(this.rates);
+      
+      // Load the invoice number sequence
+      await InvoiceNumbers.init(this.rates);
+      
+      // Apply locally maintained exchange rates before the UI lists currencies
+      await Currency.init(this.rates);
+      
       // Initialize modules
       UI.init();
       Calculator.init(this.rates);
       Signature.init();
       Payment.init(this.rates.paymentMethods);
       
-      // Initialize PIN Authentication
-      PinAuth.init();
+      // Initialize PIN Authentication (loads the PIN hash)
+      await PinAuth.init();
       
       // Initialize History first (wait for it to complete)
       await History.init();
@@ -53,11 +72,25 @@ const AppState = {
       // Then initialize Calendar
       await Calendar.init();
       
+      // Load the client directory
+      await Clients.init();
+      
+      // Load the venue library
+      await Venues.init();
+      
+      // Dashboard reads both History and the Calendar
+      Dashboard.init();
+      
       // Load data from Firebase if connected
       if (this.usingFirebase) {
         await this.loadDataFromFirebase();
       }
       
+      // Data that failed to load is not saved over, so say so
+      if (DataStore.unloaded.size > 0) {
+        UI.showError(`Could not load ${[...DataStore.unloaded].join(', ')}. Changes to it will not be saved until it loads; please refresh the page.`);
+      }
+      
       console.log('App initialized successfully');
     } catch (error) {
       console.error('App initialization failed:', error);
@@ -89,7 +122,7 @@ const AppState = {
     }
   },
   
-  // Add Firebase status indicator to the UI
+  // Add Firebase status indicator to the UI; it opens sign-in and the account
   addFirebaseStatusIndicator(isConnected) {
     // Create status indicator
     const indicator = document.createElement('div');
@@ -107,12 +140,18 @@ const AppState = {
       font-size: 0.75rem;
       font-weight: 500;
       z-index: 10;
+      cursor: pointer;
     `;
     
+    // Offline there is nothing to sign in to; signed in but unverified, the email needs verifying
+    const user = FirebaseStorage.user;
+    const nextStep = !FirebaseStorage.isInitialized ? '' : user ? ' · Verify Email' : ' · Sign In';
+    indicator.title = isConnected ? `Signed in as ${user.email}` : 'Sign in to save to the cloud';
     indicator.innerHTML = `
       <i class="fas fa-cloud" style="margin-right: 0.5rem;"></i>
-      ${isConnected ? 'Connected to Cloud' : 'Local Storage Only'}
+      ${isConnected ? 'Connected to Cloud' : `Local Storage Only${nextStep}`}
     `;
+    indicator.addEventListener('click', () => Account.show());
     
     // Remove existing indicator if any
     const existingIndicator = document.querySelector('.firebase-status-indicator');
@@ -130,19 +169,19 @@ const AppState = {
     
     try {
       // Load history data
-      const historyData = await FirebaseStorage.loadHistory();
+      const historyData = await DataStore.load('history');
       if (historyData && historyData.length > 0) {
         History.updateHistoryData(historyData);
       }
       
       // Load calendar data
-      const calendarData = await FirebaseStorage.loadCalendarData();
+      const calendarData = await DataStore.load('calendar');
       if (calendarData) {
         Calendar.updateAvailability(calendarData);
       }
       
       // Load theme preferences
-      const preferences = await FirebaseStorage.loadPreferences();
+      const preferences = await DataStore.load('preferences');
       if (preferences) {
         UI.applyPreferences(preferences);
       }
@@ -158,6 +197,11 @@ const AppState = {
     this.quoteData = null;
     this.invoiceData = null;
     this.specialtyServices = [];
+    this.crewPositions = [];
+    this.schedule = [];
+    this.expenses = [];
+    this.pinnedRates = null;
+    this.revisingQuoteId = null;
     this.quoteTotal = 0;
     this.depositAmount = 0;
     this.depositPercentage = 0;
@@ -0,0 +1,283 @@
+/**
+ * Accounts Receivable Report Module
+ * Buckets the outstanding balances of invoices in History by how far past
+ * their due date they are, totals them per client and exports the detail to
+ * CSV for reconciliation.
+ */
+
+const ARReport = {
+  // Aging buckets by days past due; an invoice not yet due is current
+  buckets: [
+    { key: 'current', label: 'Current', maxDays: 0 },
+    { key: 'days30', label: '1–30 days', maxDays: 30 },
+    { key: 'days60', label: '31–60 days', maxDays: 60 },
+    { key: 'days90', label: '61–90 days', maxDays: 90 },
+    { key: 'days90plus', label: '90+ days', maxDays: Infinity }
+  ],
+  asOf: null,
+  modal: null,
+
+  // Due date of an invoice in history (invoices saved before due dates were due on receipt)
+  dueDate(item) {
+    return (item.invoiceData && item.invoiceData.dueDate) || item.date.split('T')[0];
+  },
+
+  // Whole days from a due date (YYYY-MM-DD) to the report date; negative when not yet due
+  daysPastDue(dueDate, asOf) {
+    const due = InvoiceEditor.fromDateInput(dueDate);
+    const reportDate = InvoiceEditor.fromDateInput(asOf);
+    return Math.round((reportDate - due) / 86400000);
+  },
+
+  // Aging bucket for a number of days past due
+  bucketFor(days) {
+    return this.buckets.find(bucket => days <= bucket.maxDays);
+  },
+
+  // Invoices with a balance outstanding as of a date, oldest first
+  outstanding(asOf = InvoiceEditor.toDateInput(new Date())) {
+    return History.historyData
+      .filter(item => item.type === 'invoice' && item.date.split('T')[0] <= asOf)
+      .map(item => {
+        const payments = History.invoicePayments(item).filter(payment => payment.date <= asOf);
+        const dueDate = this.dueDate(item);
+        const days = this.daysPastDue(dueDate, asOf);
+
+        return {
+          id: item.id,
+          invoiceNumber: item.invoiceNumber,
+          client: item.client,
+          project: item.project,
+          issueDate: item.date.split('T')[0],
+          dueDate,
+          daysPastDue: Math.max(days, 0),
+          bucket: this.bucketFor(days).key,
+          currency: item.currency || 'USD',
+          total: item.amount,
+          paid: Payment.totalPaid(payments),
+          balance: Payment.balanceDue(item.amount, payments)
+        };
+      })
+      .filter(row => row.balance > 0)
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  },
+
+  // Per-client bucket totals. Clients billed in more than one currency get a row per currency.
+  clientTotals(rows) {
+    const totals = {};
+
+    rows.forEach(row => {
+      const key = `${row.client}|${row.currency}`;
+
+      if (!totals[key]) {
+        totals[key] = { client: row.client, currency: row.currency, total: 0 };
+        this.buckets.forEach(bucket => { totals[key][bucket.key] = 0; });
+      }
+
+      totals[key][row.bucket] += row.balance;
+      totals[key].total += row.balance;
+    });
+
+    return Object.values(totals).sort((a, b) => b.total - a.total);
+  },
+
+  // Show the report, as of today unless a date was chosen earlier
+  show() {
+    if (!this.modal) {
+      this.createModal();
+    }
+
+    this.asOf = this.asOf || InvoiceEditor.toDateInput(new Date());
+    this.modal.querySelector('#arReportAsOf').value = this.asOf;
+    this.render();
+    this.modal.style.display = 'flex';
+  },
+
+  // Create the report modal
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'ar-report-modal';
+    this.modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: none;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      padding: 1rem;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background-color: var(--card-bg);
+      border-radius: var(--border-radius);
+      box-shadow: var(--shadow-lg);
+      width: 100%;
+      max-width: 960px;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 2rem;
+      position: relative;
+    `;
+
+    const closeBtn = document.createElement('div');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    closeBtn.style.cssText = `
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      cursor: pointer;
+      font-size: 1.25rem;
+      color: var(--gray-500);
+    `;
+    closeBtn.addEventListener('click', () => {
+      this.modal.style.display = 'none';
+    });
+
+    const header = document.createElement('div');
+    header.innerHTML = `
+      <h3 style="margin-bottom: 1rem;">Accounts Receivable Aging</h3>
+      <div style="display: flex; gap: 1rem; align-items: flex-end; flex-wrap: wrap; margin-bottom: 1.5rem;">
+        <div class="form-group" style="margin-bottom: 0;">
+          <label for="arReportAsOf">As of</label>
+          <input type="date" id="arReportAsOf">
+        </div>
+        <button type="button" class="btn btn-outline" id="arReportExport">
+          <i class="fas fa-file-csv"></i> Export CSV
+        </button>
+      </div>
+    `;
+
+    header.querySelector('#arReportAsOf').addEventListener('change', (e) => {
+      this.asOf = e.target.value || InvoiceEditor.toDateInput(new Date());
+      this.render();
+    });
+    header.querySelector('#arReportExport').addEventListener('click', () => this.exportCsv());
+
+    const body = document.createElement('div');
+    body.className = 'ar-report-body';
+
+    // Rows are re-rendered with the report, so listen on the container
+    body.addEventListener('click', (e) => {
+      const row = e.target.closest('[data-history-id]');
+      if (!row) return;
+
+      this.modal.style.display = 'none';
+      History.viewHistoryItem(row.dataset.historyId);
+    });
+
+    content.appendChild(closeBtn);
+    content.appendChild(header);
+    content.appendChild(body);
+    this.modal.appendChild(content);
+    document.body.appendChild(this.modal);
+  },
+
+  // Render the per-client summary and the invoice detail
+  render() {
+    const body = this.modal.querySelector('.ar-report-body');
+    const rows = this.outstanding(this.asOf);
+
+    if (rows.length === 0) {
+      body.innerHTML = `
+        <p style="text-align: center; padding: 2rem 1rem; color: var(--gray-500); font-style: italic;">
+          No outstanding invoices as of ${InvoiceEditor.formatDate(this.asOf)}.
+        </p>
+      `;
+      return;
+    }
+
+    const bucketHeaders = this.buckets.map(bucket => `<th style="text-align: right;">${bucket.label}</th>`).join('');
+
+    const clientRows = this.clientTotals(rows).map(totals => `
+      <tr>
+        <td>${totals.client}</td>
+        ${this.buckets.map(bucket => `
+        <td style="text-align: right;">${totals[bucket.key] > 0 ? Calculator.formatCurrency(totals[bucket.key], totals.currency) : '—'}</td>
+        `).join('')}
+        <td style="text-align: right; font-weight: 600;">${Calculator.formatCurrency(totals.total, totals.currency)}</td>
+      </tr>
+    `).join('');
+
+    const invoiceRows = rows.map(row => `
+      <tr data-history-id="${row.id}" style="cursor: pointer;" title="View invoice">
+        <td>${row.invoiceNumber}</td>
+        <td>${row.client}</td>
+        <td>${InvoiceEditor.formatDate(row.dueDate)}</td>
+        <td style="text-align: right;">${row.daysPastDue}</td>
+        <td>${this.buckets.find(bucket => bucket.key === row.bucket).label}</td>
+        <td style="text-align: right;">${Calculator.formatCurrency(row.balance, row.currency)}</td>
+      </tr>
+    `).join('');
+
+    body.innerHTML = `
+      <h4 style="margin-bottom: 0.5rem;">By client</h4>
+      <div style="overflow-x: auto; margin-bottom: 1.5rem;">
+        <table>
+          <thead><tr><th>Client</th>${bucketHeaders}<th style="text-align: right;">Total</th></tr></thead>
+          <tbody>${clientRows}</tbody>
+        </table>
+      </div>
+
+      <h4 style="margin-bottom: 0.5rem;">Outstanding invoices</h4>
+      <div style="overflow-x: auto;">
+        <table>
+          <thead>
+            <tr>
+              <th>Invoice</th>
+              <th>Client</th>
+              <th>Due</th>
+              <th style="text-align: right;">Days Past Due</th>
+              <th>Bucket</th>
+              <th style="text-align: right;">Balance</th>
+            </tr>
+          </thead>
+          <tbody>${invoiceRows}</tbody>
+        </table>
+      </div>
+    `;
+  },
+
+  // Quote a value for CSV
+  csvCell(value) {
+    const text = String(value === undefined || value === null ? '' : value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  // Download the outstanding invoices as CSV
+  exportCsv() {
+    const rows = this.outstanding(this.asOf);
+    const lines = [
+      ['Invoice', 'Client', 'Project', 'Issue Date', 'Due Date', 'Days Past Due', 'Bucket', 'Currency', 'Total', 'Paid', 'Balance'],
+      ...rows.map(row => [
+        row.invoiceNumber,
+        row.client,
+        row.project,
+        row.issueDate,
+        row.dueDate,
+        row.daysPastDue,
+        this.buckets.find(bucket => bucket.key === row.bucket).label,
+        row.currency,
+        row.total.toFixed(2),
+        row.paid.toFixed(2),
+        row.balance.toFixed(2)
+      ])
+    ];
+
+    const csv = lines.map(line => line.map(cell => this.csvCell(cell)).join(',')).join('\r\n');
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `luminaryops_ar_aging_${this.asOf}.csv`;
+
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+};
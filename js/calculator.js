@@ -1,6 +1,6 @@
 /**
  * Calculator Module
- * Handles all rate calculations and quote/invoice generation logic
+ * Bridges the quote form and the Pricing engine, and handles quote/invoice generation logic
  */
 
 const Calculator = {
@@ -11,212 +11,141 @@ const Calculator = {
     this.rates = rates;
   },
   
+  // Read the service currently selected in the form as a crew position
+  readPositionFromForm() {
+    return Pricing.normalizePosition({
+      serviceType: document.getElementById('serviceType').value,
+      quantity: document.getElementById('crewQuantity').value,
+      durationType: document.getElementById('durationType').value,
+      customDays: document.getElementById('customDays').value,
+      additionalHours: document.getElementById('additionalHours').value,
+      includeTravel: document.getElementById('includeTravel').checked,
+      travelDays: document.getElementById('travelDays').value
+    });
+  },
+  
+  // Read quote input from the form
+  // Added crew positions take precedence; otherwise the selected service is quoted on its own
+  readQuoteInput() {
+    return {
+      positions: AppState.crewPositions.length > 0 ?
+        AppState.crewPositions : [this.readPositionFromForm()],
+      schedule: AppState.schedule,
+      clientType: document.getElementById('clientType').value,
+      specialtyServices: AppState.specialtyServices,
+      expenses: AppState.expenses,
+      expensesInDeposit: document.getElementById('expensesInDeposit').checked,
+      depositRate: Clients.depositRateFor(document.getElementById('clientName').value),
+      clientName: document.getElementById('clientName').value,
+      projectName: document.getElementById('projectName').value,
+      projectLocation: document.getElementById('projectLocation').value,
+      projectStartDate: document.getElementById('projectStartDate').value,
+      projectEndDate: document.getElementById('projectEndDate').value,
+      taxJurisdiction: document.getElementById('taxJurisdiction').value,
+      currency: document.getElementById('quoteCurrency').value
+    };
+  },
+  
   // Calculate quote based on form inputs
+  // A duplicated quote can pin the rate card version it was originally priced with
   calculateQuote() {
-    // Get form values
-    const svc = document.getElementById('serviceType').value;
-    const dur = document.getElementById('durationType').value;
-    const days = dur === 'custom' ? parseInt(document.getElementById('customDays').value) || 1 : 0;
-    const ot = parseInt(document.getElementById('additionalHours').value) || 0;
-    const cli = document.getElementById('clientType').value;
-    const includeTravel = document.getElementById('includeTravel').checked;
-    const travelDays = includeTravel ? parseInt(document.getElementById('travelDays').value) || 0 : 0;
-    
-    
-    // Get client and project info
-    const clientName = document.getElementById('clientName').value.trim();
-    if (clientName === "") {
-      alert("Client Name is required.");
-      return;
-    }
-
-    
-    const projectName = document.getElementById('projectName').value.trim();
-    if (projectName === "") {
-      alert("Project Name is required.");
-      return;
-    }
-    const projectLocation = document.getElementById('projectLocation').value.trim();
-    
-    // Format date
-    const now = new Date();
-    const dateOptions = { year: 'numeric', month: 'long', day: 'numeric' };
-    const formattedDate = now.toLocaleDateString('en-US', dateOptions);
-    
-    // Calculate valid until date (2 weeks from now)
-    const validUntil = new Date(now);
-    validUntil.setDate(validUntil.getDate() + this.rates.terms.quoteValidity);
-    const validUntilFormatted = validUntil.toLocaleDateString('en-US', dateOptions);
+    const quote = Pricing.priceQuote(this.readQuoteInput(), AppState.pinnedRates || this.rates);
     
-    // Initialize calculation variables
-    let total = 0;
-    const rows = [];
-    const notes = [];
-    
-    // Add date info
-    rows.unshift(['Quote Valid Until', validUntilFormatted, '', '']);
-    rows.unshift(['Quote Date', formattedDate, '', '']);
-    
-    // Calculate base rate
-    if (dur === 'full' || dur === 'half') {
-      const r = this.rates.services[svc].rates[dur];
-      rows.push([
-        this.getServiceName(svc),
-        dur === 'full' ? 'Full Day (10h)' : 'Half Day (5h)',
-        `$${r}`,
-        r
-      ]);
-      total += r;
-    } else if (['2day', '3day', '5day'].includes(dur)) {
-      const r = this.rates.packages[svc][dur].rate;
-      rows.push([
-        this.getServiceName(svc),
-        `${dur.replace('day', '')} Day Package`,
-        `$${r}`,
-        r
-      ]);
-      total += r;
-    } else {
-      let base = this.rates.services[svc].rates.full * days;
-      let disc = days >= 5 ? 0.15 : days >= 3 ? 0.10 : days >= 2 ? 0.05 : 0;
-      if (disc > 0) {
-        const amt = Math.round(base * (1 - disc));
-        rows.push([
-          this.getServiceName(svc),
-          `${days} Day Custom (${disc * 100}% off)`,
-          `$${Math.round(amt / days)}/day`,
-          amt
-        ]);
-        total += amt;
-      } else {
-        rows.push([
-          this.getServiceName(svc),
-          `${days} Day(s)`,
-          `$${this.rates.services[svc].rates.full}/day`,
-          base
-        ]);
-        total += base;
-      }
+    if (quote.valid && AppState.pinnedRates) {
+      quote.notes.unshift(`Priced at rate card ${RateCard.versionLabel(quote.rateCardVersion)} as originally quoted.`);
     }
     
-    // Add travel days
-    if (travelDays > 0) {
-      const r = this.rates.services[svc].rates.full;
-      const amt = r * travelDays;
-      rows.push([
-        'Travel Days',
-        `${travelDays} day(s)`,
-        `$${r}/day`,
-        amt
-      ]);
-      total += amt;
+    // Explain a partner discount with the bookings that earned it
+    const partnerTier = this.suggestPartnerTier(quote.input || {});
+    if (quote.valid && partnerTier && partnerTier.tier && partnerTier.tier.type === quote.input.clientType) {
+      quote.notes.unshift(`${partnerTier.tier.name}: ${this.partnerTierReason(partnerTier)}`);
     }
     
-    // Add overtime
-    if (ot > 0) {
-      const r = this.rates.services[svc].rates.overtime;
-      const amt = r * ot;
-      rows.push([
-        'Overtime',
-        `${ot}h`,
-        `$${r}/h`,
-        amt
-      ]);
-      total += amt;
-    }
-    
-    // Add specialty services
-    AppState.specialtyServices.forEach(service => {
-      const isHourly = (service.type !== 'prep' && service.type !== 'resolume' && service.type !== 'surface');
-      const r = this.rates.specialty[service.type].rate;
-      const amt = r * service.amount;
-      const details = `${service.amount} ${isHourly ? 'Hour' : 'Day'}${service.amount > 1 ? 's' : ''}`;
-      
-      rows.push([
-        this.getSpecialtyName(service.type),
-        details,
-        `$${r}/${isHourly ? 'h' : 'day'}`,
-        amt
-      ]);
-      total += amt;
-    });
-    
-    // Apply client discount
-    if (cli !== 'regular') {
-      const pct = this.rates.discounts[cli].rate;
-      const amt = Math.round(total * pct);
-      rows.push([
-        'Client Discount',
-        `${this.getClientName(cli)}`,
-        `-${pct * 100}%`,
-        -amt
-      ]);
-      total -= amt;
-    }
-    
-    // Calculate deposit
-    AppState.depositPercentage = this.rates.depositRates[cli];
-    AppState.depositAmount = Math.round(total * AppState.depositPercentage);
-    
-    // Add total row
-    rows.push(['TOTAL', '', '', total]);
-    
-    // Add notes
-    notes.push(`Deposit: ${AppState.depositPercentage * 100}% (${this.formatCurrency(AppState.depositAmount)}) due on booking.`);
-    notes.push('Includes up to 10 hours per day.');
-    
-    if (cli === 'partner5' || cli === 'partner8') {
-      notes.push('Partner status requires meeting monthly booking thresholds and resets at the beginning of each month.');
-    }
+    return this.applyQuote(quote);
+  },
+  
+  // Partner tier the client qualifies for in the project month, counting the days
+  // already booked on the calendar plus this quote's working days (each date once)
+  // Returns null until the client name and start date are known
+  suggestPartnerTier(input = this.readQuoteInput()) {
+    const clientName = (input.clientName || '').trim();
+    if (!clientName || !input.projectStartDate) return null;
+    
+    const month = input.projectStartDate.slice(0, 7);
+    const calendarDays = Calendar.clientBookedDates(clientName, month);
+    const quoteDays = (input.schedule || [])
+      .filter(day => day.dayType !== 'off' && day.date.startsWith(month) && !calendarDays.includes(day.date))
+      .map(day => day.date);
+    const totalDays = calendarDays.length + quoteDays.length;
     
-    if (travelDays > 0) {
-      notes.push('Travel days are billed at the full day rate.');
-    } else {
-      notes.push('Travel and per diem may apply for events requiring overnight stays.');
+    return {
+      clientName,
+      month,
+      calendarDays: calendarDays.length,
+      quoteDays: quoteDays.length,
+      totalDays,
+      tier: Pricing.partnerTier(totalDays, AppState.pinnedRates || this.rates)
+    };
+  },
+  
+  // Explain a partner tier suggestion (e.g. "6 days booked in March 2026: 4 on the calendar + 2 in this quote.")
+  partnerTierReason(suggestion) {
+    const [year, month] = suggestion.month.split('-').map(Number);
+    const monthLabel = new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+    const days = count => `${count} day${count === 1 ? '' : 's'}`;
+    
+    return `${days(suggestion.totalDays)} booked with ${suggestion.clientName} in ${monthLabel}: ` +
+      `${suggestion.calendarDays} on the calendar + ${suggestion.quoteDays} in this quote.`;
+  },
+  
+  // Store a priced quote in app state, or report its validation errors
+  applyQuote(quote) {
+    if (!quote.valid) {
+      UI.showAlert(quote.errors[0].message);
+      return null;
     }
     
-    notes.push(`Cancellation: ${this.rates.terms.cancellationPolicy.within7Days * 100}% fee if within 7 days, ${this.rates.terms.cancellationPolicy.within14Days * 100}% fee if within 14 days.`);
-    notes.push('All rates are for labor only. Equipment available through partner vendors.');
+    AppState.depositPercentage = quote.depositPercentage;
+    AppState.depositAmount = quote.depositAmount;
+    AppState.quoteTotal = quote.total;
     
-    // Store the final total
-    AppState.quoteTotal = total;
-    
-    // Return quote data
-    return {
-      rows,
-      notes,
-      client: clientName,
-      project: {
-        name: projectName,
-        location: projectLocation
-      },
-      formattedDate,
-      validUntilFormatted,
-      total
-    };
+    return quote;
   },
   
-  // Generate invoice data from quote
+  // Generate invoice data from quote and the invoice editor's details
+  // The invoice gets its own copy of the quote's line items unless the editor supplies them
   generateInvoice(quoteData, invoiceDetails) {
+    const lineItems = invoiceDetails.lineItems || Pricing.quoteLineItems(quoteData).map(line => ({ ...line }));
+    const totals = Pricing.summarizeLines(lineItems);
+    const depositReceived = invoiceDetails.depositReceived || { amount: 0, date: '' };
+    
+    // A deposit taken before invoicing opens the payment ledger
+    const payments = invoiceDetails.payments || (depositReceived.amount > 0 ? [
+      Payment.createLedgerEntry({
+        date: depositReceived.date,
+        method: 'other',
+        amount: depositReceived.amount,
+        reference: 'Deposit'
+      })
+    ] : []);
+    
     return {
       ...quoteData,
       ...invoiceDetails,
+      lineItems,
+      subtotal: totals.subtotal,
+      total: totals.total,
       depositAmount: AppState.depositAmount,
-      depositPaid: invoiceDetails.depositPaid,
-      balanceDue: invoiceDetails.depositPaid ? 
-        quoteData.total - AppState.depositAmount : 
-        quoteData.total
+      depositReceived,
+      depositPaid: depositReceived.amount > 0,
+      payments,
+      balanceDue: Payment.balanceDue(totals.total, payments)
     };
   },
   
-  // Format currency
-  formatCurrency(amount) {
-    return new Intl.NumberFormat('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
-    }).format(amount);
+  // Format currency (defaults to the currency of the current quote)
+  formatCurrency(amount, currency = AppState.quoteData?.currency) {
+    return Pricing.formatCurrency(amount, currency);
   },
   
   // Get service name
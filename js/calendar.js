@@ -53,6 +53,13 @@ const Calendar = {
     return localDate;
   },
   
+  // YYYY-MM-DD for a date in local time (toISOString gives the UTC date, the previous day east of UTC)
+  formatLocalDate(date) {
+    return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+      .map(part => String(part).padStart(2, '0'))
+      .join('-');
+  },
+  
   // Initialize calendar module
   async init() {
     try {
@@ -79,78 +86,20 @@ const Calendar = {
     }
   },
   
-  // Load availability data from Firebase with improved error handling
+  // Load availability data with improved error handling
   async loadAvailability() {
     try {
-      // Try to load from Firebase if available
-      if (AppState.usingFirebase) {
-        const availability = await FirebaseStorage.loadCalendarData();
-        if (availability) {
-          // Log what we're loading to debug
-          console.log('Loading availability from Firebase:', 
-            'events:', Object.keys(availability.events || {}).length, 
-            'blockedDates:', Object.keys(availability.blockedDates || {}).length, 
-            'bookedDates:', Object.keys(availability.bookedDates || {}).length);
-          
-          // Validate each property before assigning
-          this.blockedDates = availability.blockedDates || {};
-          this.bookedDates = availability.bookedDates || {};
-          this.events = availability.events || {};
-          
-          // Add debugging for a few events if any
-          if (Object.keys(this.events).length > 0) {
-            const sampleDate = Object.keys(this.events)[0];
-            console.log(`Sample events for ${sampleDate}:`, this.events[sampleDate]);
-          }
-          
-          // Update app state
-          AppState.availability = {
-            blockedDates: this.blockedDates,
-            bookedDates: this.bookedDates,
-            events: this.events
-          };
-          
-          console.log('Availability data loaded from Firebase successfully');
-          return true;
-        }
-      }
+      const availability = await DataStore.load('calendar');
       
-      // Fallback to localStorage
-      const storedCalendar = localStorage.getItem('calendar');
-      if (storedCalendar) {
-        try {
-          const parsed = JSON.parse(storedCalendar);
-          this.blockedDates = parsed.blockedDates || {};
-          this.bookedDates = parsed.bookedDates || {};
-          this.events = parsed.events || {};
-          
-          // Update app state
-          AppState.availability = {
-            blockedDates: this.blockedDates,
-            bookedDates: this.bookedDates,
-            events: this.events
-          };
-          
-          console.log('Availability data loaded from localStorage');
-          return true;
-        } catch (parseError) {
-          console.error('Error parsing stored calendar data:', parseError);
-        }
-      }
+      // Validate each property before assigning
+      this.blockedDates = (availability && availability.blockedDates) || {};
+      this.bookedDates = (availability && availability.bookedDates) || {};
+      this.events = (availability && availability.events) || {};
       
-      // Initialize with empty data if nothing found
-      this.blockedDates = {};
-      this.bookedDates = {};
-      this.events = {};
-      
-      // Update app state
-      AppState.availability = {
-        blockedDates: this.blockedDates,
-        bookedDates: this.bookedDates,
-        events: this.events
-      };
-      
-      console.log('No availability data found, initialized with empty data');
+      console.log(availability ? 'Availability data loaded:' : 'No availability data found, initialized with empty data:',
+        'events:', Object.keys(this.events).length,
+        'blockedDates:', Object.keys(this.blockedDates).length,
+        'bookedDates:', Object.keys(this.bookedDates).length);
       return true;
     } catch (error) {
       console.error('Error loading availability data:', error);
@@ -159,70 +108,34 @@ const Calendar = {
       this.blockedDates = {};
       this.bookedDates = {};
       this.events = {};
-      
+      return false;
+    } finally {
       // Update app state
       AppState.availability = {
         blockedDates: this.blockedDates,
         bookedDates: this.bookedDates,
         events: this.events
       };
-      
-      return false;
     }
   },
   
-  // Save availability data to Firebase
+  // Save availability data
   async saveAvailability() {
+    const availability = {
+      blockedDates: this.blockedDates,
+      bookedDates: this.bookedDates,
+      events: this.events
+    };
+    
+    // Update app state
+    AppState.availability = availability;
+    
     try {
-      // Save to Firebase if available
-      if (AppState.usingFirebase) {
-        const availability = {
-          blockedDates: this.blockedDates,
-          bookedDates: this.bookedDates,
-          events: this.events
-        };
-        
-        await FirebaseStorage.saveCalendarData(availability);
-        console.log('Availability data saved to Firebase');
-      } else {
-        // Fallback to localStorage
-        const availability = {
-          blockedDates: this.blockedDates,
-          bookedDates: this.bookedDates,
-          events: this.events
-        };
-        
-        localStorage.setItem('calendar', JSON.stringify(availability));
-        console.log('Availability data saved to localStorage');
-      }
-      
-      // Update app state
-      AppState.availability = {
-        blockedDates: this.blockedDates,
-        bookedDates: this.bookedDates,
-        events: this.events
-      };
-      
-      console.log('Availability data updated in app state');
+      await DataStore.save('calendar', availability);
       return true;
     } catch (error) {
       console.error('Error saving availability data:', error);
-      
-      // Fallback to localStorage
-      try {
-        const availability = {
-          blockedDates: this.blockedDates,
-          bookedDates: this.bookedDates,
-          events: this.events
-        };
-        
-        localStorage.setItem('calendar', JSON.stringify(availability));
-        console.log('Availability data saved to localStorage (fallback)');
-        return true;
-      } catch (localError) {
-        console.error('Error saving to localStorage:', localError);
-        return false;
-      }
+      return false;
     }
   },
   
@@ -291,8 +204,8 @@ const Calendar = {
               calendarContainer.appendChild(loadingIndicator);
             }
             
-            // Load fresh data from Firebase
-            const calendarData = await FirebaseStorage.loadCalendarData();
+            // Load fresh data from the cloud
+            const calendarData = await DataStore.load('calendar');
             
             // Update the calendar with the fresh data
             if (calendarData) {
@@ -325,7 +238,7 @@ const Calendar = {
             btn.classList.remove('active');
           }
         });
-      });
+      }, 'calendar.view');
     });
   },
   
@@ -705,6 +618,19 @@ const Calendar = {
     });
   },
   
+  // Dates (YYYY-MM-DD) in a month (YYYY-MM) with a booking for the client, travel days included
+  clientBookedDates(clientName, month) {
+    const name = clientName.trim().toLowerCase();
+    
+    return Object.keys(this.events)
+      .filter(dateStr => dateStr.startsWith(month))
+      .filter(dateStr => Array.isArray(this.events[dateStr]) && this.events[dateStr].some(event =>
+        event.type === 'booked' &&
+        event.clientData &&
+        (event.clientData.clientName || '').trim().toLowerCase() === name))
+      .sort();
+  },
+  
   // Convert time string to minutes (e.g., "09:30" -> 570)
   timeToMinutes(timeStr) {
     if (!timeStr || !timeStr.includes(':')) return 0;
@@ -723,6 +649,12 @@ const Calendar = {
   renderCalendar() {
     this.clearCalendarContainer();
     
+    // Only roles that can change the calendar get the buttons to do so
+    ['newEventBtn', 'blockDateBtn'].forEach(id => {
+      const btn = document.getElementById(id);
+      if (btn) btn.style.display = this.isReadOnly() ? 'none' : '';
+    });
+    
     // Update month/year title based on current view
     this.updateCalendarTitle();
     
@@ -736,6 +668,32 @@ const Calendar = {
     }
   },
   
+  // Read-only mode: roles without calendar.edit can browse events but not change them
+  isReadOnly() {
+    return !PinAuth.can('calendar.edit');
+  },
+  
+  // Whether client financial details (deposit status, invoicing) may be shown
+  showsFinancials() {
+    return PinAuth.can('calendar.financials');
+  },
+  
+  // Events on a date the signed-in user may see. Roles without calendar.bookings
+  // (crew leads) only see the bookings they are assigned to lead.
+  visibleEvents(dateStr) {
+    const events = Array.isArray(this.events[dateStr]) ? this.events[dateStr] : [];
+    if (PinAuth.can('calendar.bookings')) return events;
+    
+    const userId = PinAuth.currentUser ? PinAuth.currentUser.id : null;
+    return events.filter(event => !event || event.type !== 'booked' || (userId && event.crewLeadId === userId));
+  },
+  
+  // Name of the user leading a booking, if any
+  crewLeadName(crewLeadId) {
+    const user = crewLeadId ? PinAuth.findUser(crewLeadId) : null;
+    return user ? user.name : '';
+  },
+  
   // Clear calendar container
   clearCalendarContainer() {
     const container = document.querySelector('.calendar-container');
@@ -886,7 +844,7 @@ const Calendar = {
     // Add events for this day - with improved handling
     if (this.events[dateStr] && Array.isArray(this.events[dateStr])) {
       // Sort events by all-day first, then by start time
-      const sortedEvents = [...this.events[dateStr]].sort((a, b) => {
+      const sortedEvents = [...this.visibleEvents(dateStr)].sort((a, b) => {
         // Handle potential missing properties
         const aFullDay = typeof a?.fullDay === 'boolean' ? a.fullDay : false;
         const bFullDay = typeof b?.fullDay === 'boolean' ? b.fullDay : false;
@@ -1010,7 +968,7 @@ const Calendar = {
       }
     }
     
-    // If blocked for the whole day, show reason and add unblock option
+    // If blocked for the whole day, show reason and add unblock option (unless read-only)
     if (this.blockedDates[dateStr]) {
       const blockedReason = document.createElement('div');
       blockedReason.className = 'event-indicator blocked-event';
@@ -1040,7 +998,7 @@ const Calendar = {
         }
       });
       
-      blockedReason.appendChild(unblockIcon);
+      if (!this.isReadOnly()) blockedReason.appendChild(unblockIcon);
       dayContent.appendChild(blockedReason);
     }
     
@@ -1178,7 +1136,7 @@ const Calendar = {
       
       // Add events for this day
       if (this.events[dateStr] && Array.isArray(this.events[dateStr])) {
-        this.events[dateStr].forEach(event => {
+        this.visibleEvents(dateStr).forEach(event => {
           try {
             // Validate event
             if (!event || typeof event !== 'object') {
@@ -1527,7 +1485,7 @@ const Calendar = {
     
     // Add full day events
     if (this.events[dateStr] && Array.isArray(this.events[dateStr])) {
-      const fullDayEvents = this.events[dateStr].filter(event => event && event.fullDay);
+      const fullDayEvents = this.visibleEvents(dateStr).filter(event => event && event.fullDay);
       
       if (fullDayEvents.length > 0) {
         fullDayEvents.forEach(event => {
@@ -1624,7 +1582,7 @@ const Calendar = {
 
     // Add timed events to their container
     if (this.events[dateStr] && Array.isArray(this.events[dateStr])) {
-      const timedEvents = this.events[dateStr].filter(event => event && !event.fullDay);
+      const timedEvents = this.visibleEvents(dateStr).filter(event => event && !event.fullDay);
       
       timedEvents.forEach(event => {
         try {
@@ -1899,6 +1857,14 @@ const Calendar = {
   
   // Show event creation/edit modal
   showEventModal(date = null, eventData = null) { // date should be a Date object
+    // Read-only: existing events open in the details view and new ones can't be created
+    if (this.isReadOnly()) {
+      if (eventData && eventData.id) {
+        this.showBookingDetailsModal(eventData, date instanceof Date && !isNaN(date) ? date : this.parseLocalDate(eventData.date));
+      }
+      return;
+    }
+    
     // Store current event data as an object property
     this.currentEventData = eventData;
     
@@ -1959,6 +1925,15 @@ const Calendar = {
     const eventType = form.querySelector('#eventType');
     eventType.value = event?.type || 'regular';
     
+    // Crew lead choices (names are user input, so options are built as text)
+    const crewLeadSelect = form.querySelector('#eventCrewLead');
+    crewLeadSelect.innerHTML = '';
+    crewLeadSelect.appendChild(new Option('Unassigned', ''));
+    PinAuth.users.filter(user => user.role === 'crewLead').forEach(user => {
+      crewLeadSelect.appendChild(new Option(user.name, user.id));
+    });
+    crewLeadSelect.value = event?.crewLeadId || '';
+    
     // Set event details if editing
     if (isEditing) {
       form.querySelector('#eventId').value = event.id;
@@ -2100,6 +2075,12 @@ const Calendar = {
         <textarea id="eventDescription" rows="3" placeholder="Add event details"></textarea>
       </div>
       
+      <div class="form-group">
+        <label for="eventCrewLead">Crew Lead</label>
+        <select id="eventCrewLead"></select>
+        <small>Crew leads only see the bookings they lead. Applies to every day of the booking.</small>
+      </div>
+      
       <div class="form-group">
         <div class="switch-container">
           <label class="switch">
@@ -2275,6 +2256,7 @@ const Calendar = {
     const title = form.querySelector('#eventTitle').value.trim(); // Trim whitespace
     const description = form.querySelector('#eventDescription').value.trim();
     const eventType = form.querySelector('#eventType').value;
+    const crewLeadId = form.querySelector('#eventCrewLead').value;
     
     // Get time values if not full day
     let startTime = null;
@@ -2331,6 +2313,7 @@ const Calendar = {
         fullDay,
         // Only include time if not full day
         ...( !fullDay && { startTime, endTime } ),
+        ...( crewLeadId && { crewLeadId } ),
         // Preserve client data if it exists
         ...( this.currentEventData?.clientData && { clientData: this.currentEventData.clientData } ) 
     };
@@ -2384,6 +2367,22 @@ const Calendar = {
          }
     }
     
+    // Every day of a booking has the same crew lead
+    const bookingSetId = event.clientData && event.clientData.bookingSetId;
+    if (bookingSetId) {
+        Object.values(this.events).forEach(dayEvents => {
+            if (!Array.isArray(dayEvents)) return;
+            dayEvents.forEach(e => {
+                if (!e || !e.clientData || e.clientData.bookingSetId !== bookingSetId) return;
+                if (crewLeadId) {
+                    e.crewLeadId = crewLeadId;
+                } else {
+                    delete e.crewLeadId;
+                }
+            });
+        });
+    }
+    
     // --- Save changes ---
     try {
         await this.saveAvailability();
@@ -2521,8 +2520,8 @@ const Calendar = {
     // Parse the date string into a Date object for the modal
     const eventDateObject = this.parseLocalDate(validatedEvent.date);
     
-    // For booked events, add option to cancel booking
-    if (validatedEvent.type === 'booked') {
+    // For booked events (or any event when read-only), show the details view
+    if (validatedEvent.type === 'booked' || this.isReadOnly()) {
       // Create a custom modal for booking details with cancel option
       this.showBookingDetailsModal(validatedEvent, eventDateObject); // Pass Date object too
       return;
@@ -2548,12 +2547,20 @@ const Calendar = {
     
     // Get client data if available
     const clientData = event.clientData || {};
+    const isBooking = event.type === 'booked';
+    const readOnly = this.isReadOnly();
     
     // Update modal title and content
-    modalContent.querySelector('.modal-title').textContent = `Booking: ${event.title}`;
+    modalContent.querySelector('.modal-title').textContent = `${isBooking ? 'Booking' : 'Event'}: ${event.title}`;
+    
+    // The deposit status is client financial data
+    const status = clientData.depositPaid && this.showsFinancials() ?
+      { badge: 'badge-success', label: 'Deposit Paid' } :
+      { badge: 'badge-primary', label: 'Confirmed' };
     
     const detailsContent = modalContent.querySelector('.booking-details-content');
     detailsContent.innerHTML = `
+      ${isBooking ? `
       <div class="booking-detail-row">
         <div class="booking-detail-label">Client:</div>
         <div class="booking-detail-value">${clientData.clientName || event.title}</div>
@@ -2562,6 +2569,7 @@ const Calendar = {
         <div class="booking-detail-label">Project:</div>
         <div class="booking-detail-value">${clientData.projectName || event.description || 'N/A'}</div>
       </div>
+      ` : ''}
       ${clientData.projectLocation ? `
       <div class="booking-detail-row">
         <div class="booking-detail-label">Location:</div>
@@ -2578,14 +2586,20 @@ const Calendar = {
           ${event.fullDay ? 'All Day' : `${event.startTime || 'N/A'} - ${event.endTime || 'N/A'}`}
         </div>
       </div>
+      ${isBooking && this.crewLeadName(event.crewLeadId) ? `
+      <div class="booking-detail-row">
+        <div class="booking-detail-label">Crew Lead:</div>
+        <div class="booking-detail-value">${Clients.escape(this.crewLeadName(event.crewLeadId))}</div>
+      </div>
+      ` : ''}
+      ${isBooking ? `
       <div class="booking-detail-row">
         <div class="booking-detail-label">Status:</div>
         <div class="booking-detail-value">
-          <span class="badge ${clientData.depositPaid ? 'badge-success' : 'badge-primary'}">
-            ${clientData.depositPaid ? 'Deposit Paid' : 'Confirmed'}
-          </span>
+          <span class="badge ${status.badge}">${status.label}</span>
         </div>
       </div>
+      ` : ''}
       ${event.description && event.description !== clientData.projectName ? `
       <div class="booking-detail-row">
         <div class="booking-detail-label">Notes:</div>
@@ -2615,6 +2629,12 @@ const Calendar = {
     });
     btnGroup.appendChild(closeBtn);
     
+    // Read-only mode stops at Close
+    if (readOnly) {
+      modal.style.display = 'flex';
+      return;
+    }
+    
     // 2. Cancel booking button
     const cancelBtn = document.createElement('button');
     cancelBtn.type = 'button';
@@ -2647,16 +2667,18 @@ const Calendar = {
     });
     btnGroup.appendChild(editBtn);
     
-    // 4. Create Invoice button
-    const createInvoiceBtn = document.createElement('button');
-    createInvoiceBtn.id = 'createInvoiceFromEventBtn';
-    createInvoiceBtn.className = 'btn btn-primary';
-    createInvoiceBtn.innerHTML = '<i class="fas fa-file-invoice-dollar"></i> Create Invoice';
-    createInvoiceBtn.addEventListener('click', () => {
-      modal.style.display = 'none'; // Hide booking details modal
-      this.showInvoiceFromEventModal(event); // Show invoice creation modal with the event data
-    });
-    btnGroup.appendChild(createInvoiceBtn);
+    // 4. Create Invoice button, for roles that can invoice
+    if (PinAuth.can('invoices.create')) {
+      const createInvoiceBtn = document.createElement('button');
+      createInvoiceBtn.id = 'createInvoiceFromEventBtn';
+      createInvoiceBtn.className = 'btn btn-primary';
+      createInvoiceBtn.innerHTML = '<i class="fas fa-file-invoice-dollar"></i> Create Invoice';
+      createInvoiceBtn.addEventListener('click', () => {
+        modal.style.display = 'none'; // Hide booking details modal
+        this.showInvoiceFromEventModal(event); // Show invoice creation modal with the event data
+      });
+      btnGroup.appendChild(createInvoiceBtn);
+    }
     
     // Show the modal
     modal.style.display = 'flex';
@@ -2767,6 +2789,8 @@ const Calendar = {
   
   // Handle cancel booking
   async handleCancelBooking(eventId, dateStr) { // Expects original date string
+    if (this.isReadOnly()) return;
+    
     if (!eventId || !dateStr || !this.events[dateStr] || !Array.isArray(this.events[dateStr])) {
       console.error(`Cannot cancel booking: Invalid data provided. Event ID: ${eventId}, Date String: ${dateStr}`);
       return;
@@ -2850,6 +2874,8 @@ const Calendar = {
 
 // Create invoice modal for calendar events
 showInvoiceFromEventModal(event) {
+  if (!PinAuth.can('invoices.create')) return;
+  
   // Create modal if it doesn't exist
   if (!this.invoiceFromEventModal) {
     this.createInvoiceFromEventModal();
@@ -2889,6 +2915,10 @@ showInvoiceFromEventModal(event) {
     endDate = this.parseLocalDate(event.date);
   }
   
+  // Keep the project range for the priced quote
+  modal.dataset.projectStartDate = this.formatLocalDate(startDate);
+  modal.dataset.projectEndDate = this.formatLocalDate(endDate);
+  
   // Calculate number of days
   const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
   
@@ -3124,20 +3154,6 @@ generateInvoiceFromEvent() {
     return;
   }
   
-  // Create quote data structure for the calculator
-  AppState.quoteData = {
-    serviceType,
-    durationType,
-    days,
-    additionalHours,
-    clientType,
-    client: clientName,
-    project: {
-      name: projectName,
-      location: projectLocation
-    }
-  };
-  
   // Set client and project in form elements for calculator
   document.getElementById('serviceType').value = serviceType;
   document.getElementById('durationType').value = durationType;
@@ -3152,15 +3168,22 @@ generateInvoiceFromEvent() {
     document.getElementById('customDays').value = days;
   }
   
-  // Calculate the quote using existing calculator code
-  AppState.quoteData = Calculator.calculateQuote();
-  
-  // Store the result in the app state
-  AppState.quoteTotal = AppState.quoteData.total;
+  // Price the booking directly through the pricing engine
+  const quote = Calculator.applyQuote(Pricing.priceQuote({
+    serviceType,
+    durationType,
+    customDays: days,
+    additionalHours,
+    clientType,
+    clientName,
+    projectName,
+    projectLocation,
+    projectStartDate: modal.dataset.projectStartDate || '',
+    projectEndDate: modal.dataset.projectEndDate || ''
+  }, AppState.rates));
   
-  // Calculate deposit
-  AppState.depositPercentage = AppState.rates.depositRates[clientType];
-  AppState.depositAmount = Math.round(AppState.quoteTotal * AppState.depositPercentage);
+  if (!quote) return;
+  AppState.quoteData = quote;
   
   // Close the modal
   modal.style.display = 'none';
@@ -3180,131 +3203,15 @@ generateInvoiceFromEvent() {
 
 // Helper to create the invoice using the UI module
 createInvoice(depositPaid) {
-  // Build invoice number with current date format YYYYMMDD-XXX
-  const now = new Date();
-  const dateStr = now.getFullYear() + 
-                (now.getMonth() + 1).toString().padStart(2, '0') + 
-                now.getDate().toString().padStart(2, '0');
-  
-  const defaultInvoiceNum = `INV-${dateStr}-001`;
-  const invoiceNum = prompt('Enter Invoice Number:', defaultInvoiceNum) || defaultInvoiceNum;
-  
-  // Get client name
-  const clientName = document.getElementById('clientName').value.trim();
-  
-  // Set invoice display fields
-  const invoiceClientElement = document.getElementById('invoiceClient');
-  invoiceClientElement.textContent = clientName;
-  
-  document.getElementById('invoiceProject').textContent = document.getElementById('projectName').value.trim();
-  document.getElementById('invoiceNumber').textContent = invoiceNum;
-  
-  // Set invoice date
-  const dateOptions = { year: 'numeric', month: 'long', day: 'numeric' };
-  const formattedDate = now.toLocaleDateString('en-US', dateOptions);
-  document.getElementById('invoiceDate').textContent = formattedDate;
-  
-  // Set datetime
-  const timeOptions = { hour: '2-digit', minute: '2-digit' };
-  const formattedDateTime = `Created on ${formattedDate} at ${now.toLocaleTimeString('en-US', timeOptions)}`;
-  document.getElementById('invoiceDateTime').textContent = formattedDateTime;
-  
-  // Generate invoice data
-  const invoiceData = Calculator.generateInvoice(AppState.quoteData, {
-    invoiceNumber: invoiceNum,
-    date: formattedDate,
-    dateTime: formattedDateTime,
-    client: clientName,
-    depositPaid: depositPaid
-  });
-  
-  AppState.invoiceData = invoiceData;
-  
-  // IMPORTANT FIX: Render the quote to the DOM first
-  // Get the quote section and make sure it's in the DOM (but invisible)
-  const quoteSection = document.getElementById('quoteSection');
-  const quoteBody = document.getElementById('quoteBody');
-  
-  // Clear existing content
-  quoteBody.innerHTML = '';
-  
-  // Render the quote rows to the DOM (using a simplified version of UI.renderQuote logic)
-  if (AppState.quoteData && AppState.quoteData.rows) {
-    AppState.quoteData.rows.forEach(r => {
-      const tr = document.createElement('tr');
-      r.forEach((cell, i) => {
-        const td = document.createElement('td');
-        td.innerHTML = i === 3 && typeof cell === 'number' ? Calculator.formatCurrency(cell) : cell;
-        tr.appendChild(td);
-      });
-      if (r[0] === 'TOTAL') tr.classList.add('total-row');
-      quoteBody.appendChild(tr);
-    });
-  }
-  
-  // Make sure the quote section is in the DOM but not visible to the user
-  quoteSection.style.display = 'block';
-  quoteSection.style.visibility = 'hidden';
-  quoteSection.style.position = 'absolute';
-  quoteSection.style.zIndex = '-1000';
-  
-  // Allow a brief moment for the DOM to update
-  setTimeout(() => {
-    // Now the quoteBody has all the rows, so we can clone them
-    const invoiceBody = document.getElementById('invoiceBody');
-    invoiceBody.innerHTML = '';
-    
-    let subtotal = 0;
-    
-    Array.from(quoteBody.children).forEach(row => {
-      const service = row.cells[0].textContent;
-      if (service === 'Quote Date' || service === 'Quote Valid Until') return;
-      
-      const clone = row.cloneNode(true);
-      invoiceBody.appendChild(clone);
-      
-      if (service !== 'TOTAL') {
-        const amt = parseFloat(clone.cells[3].textContent.replace(/[^0-9.-]/g, '')) || 0;
-        subtotal += amt;
-      }
-    });
-    
-    // Set summary amounts
-    document.getElementById('invoiceSubtotal').textContent = Calculator.formatCurrency(subtotal);
-    
-    // Handle deposit
-    const depositRow = document.getElementById('depositRow');
-    const invoiceDeposit = document.getElementById('invoiceDeposit');
-    const invoiceTotal = document.getElementById('invoiceTotal');
-    
-    if (depositPaid) {
-      depositRow.style.display = 'flex';
-      invoiceDeposit.textContent = `- ${Calculator.formatCurrency(AppState.depositAmount)}`;
-      invoiceTotal.textContent = Calculator.formatCurrency(subtotal - AppState.depositAmount);
-      AppState.isPaid = true;
-    } else {
-      depositRow.style.display = 'none';
-      invoiceTotal.textContent = Calculator.formatCurrency(subtotal);
-      AppState.isPaid = false;
-    }
-    
-    // Show invoice section
-    document.getElementById('invoiceSection').style.display = 'block';
-    
-    // Clean up the temporary quote rendering
-    quoteSection.style.display = 'none';
-    quoteSection.style.visibility = '';
-    quoteSection.style.position = '';
-    quoteSection.style.zIndex = '';
-    
-    // Add payment buttons using the existing Payment module
-    UI.addPaymentButtons(depositPaid);
+  InvoiceEditor.open(AppState.quoteData, {
+    client: document.getElementById('clientName').value.trim(),
+    depositPaid
+  }, async details => {
+    await UI.finalizeInvoice(details);
     
     // Save invoice to history
-    setTimeout(() => {
-      History.saveInvoice();
-    }, 500);
-  }, 50); // 50ms should be enough for the DOM to update
+    History.saveInvoice();
+  });
 },
   
   // Show cancellation notification
@@ -3358,6 +3265,8 @@ createInvoice(depositPaid) {
   
   // Show block date modal
   showBlockDateModal() {
+    if (this.isReadOnly()) return;
+    
     // Create modal if it doesn't exist
     if (!this.modal) {
       this.createBlockDateModal();
@@ -3581,7 +3490,7 @@ createInvoice(depositPaid) {
       if (eventDate >= today) {
         // Check if we have a valid event array
         if (Array.isArray(this.events[dateStr])) {
-          this.events[dateStr].forEach(event => {
+          this.visibleEvents(dateStr).forEach(event => {
             try {
               // Validate event object
               if (!event || typeof event !== 'object') {
@@ -3600,6 +3509,7 @@ createInvoice(depositPaid) {
                 startTime: event.startTime, // Keep original format or null
                 endTime: event.endTime,     // Keep original format or null
                 clientData: event.clientData || null,
+                crewLeadId: event.crewLeadId || null,
                 dateObj: eventDate // Store the parsed Date object
               };
               
@@ -4157,7 +4067,7 @@ createInvoice(depositPaid) {
         return; // Skip this date if data is corrupt
       }
       
-      this.events[dateStr].forEach(event => {
+      this.visibleEvents(dateStr).forEach(event => {
         try {
           // Validate event
           if (!event || typeof event !== 'object' || !event.id) {
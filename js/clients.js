@@ -0,0 +1,639 @@
+/**
+ * Clients Module
+ * Client directory: company, contacts, billing address, default client type,
+ * default deposit rate and notes, saved through the DataStore. The quote form
+ * autocompletes client names from the directory, and a client's detail view
+ * lists their quotes, invoices, bookings and signatures from History and the
+ * Calendar.
+ */
+
+const Clients = {
+  // [{ id, company, contacts: [{ name, title, email, phone }], billingAddress,
+  //    defaultClientType, defaultDepositRate, notes, createdAt, updatedAt }]
+  clients: [],
+  modal: null,
+
+  // Load the directory and hook it up to the quote form
+  async init() {
+    const saved = await this.loadClients();
+    if (saved) {
+      this.clients = saved;
+    }
+
+    document.getElementById('clientDirectoryBtn').addEventListener('click', () => {
+      PinAuth.verifyPin(() => this.showDirectory(), 'directory.edit');
+    });
+
+    this.renderDatalist();
+  },
+
+  // Load the directory, or null if it has not been saved or did not load
+  async loadClients() {
+    try {
+      return await DataStore.load('clients');
+    } catch (error) {
+      console.error('Error loading client directory:', error);
+      return null;
+    }
+  },
+
+  // Save the directory
+  async saveClients() {
+    try {
+      await DataStore.save('clients', this.clients);
+    } catch (error) {
+      console.error('Error saving client directory:', error);
+    }
+  },
+
+  // Normalize a company name for matching quotes, bookings and directory entries
+  normalize(name) {
+    return String(name || '').trim().toLowerCase();
+  },
+
+  // Directory entry for a company name, if any
+  find(name) {
+    const key = this.normalize(name);
+    return key ? this.clients.find(client => this.normalize(client.company) === key) || null : null;
+  },
+
+  // Build a new directory entry
+  createClient(fields = {}) {
+    const now = new Date().toISOString();
+
+    return {
+      id: 'client_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      company: '',
+      contacts: [],
+      billingAddress: '',
+      defaultClientType: '',
+      defaultDepositRate: null,
+      notes: '',
+      createdAt: now,
+      updatedAt: now,
+      ...fields
+    };
+  },
+
+  // Add or replace a directory entry
+  async upsert(client) {
+    const updated = { ...client, updatedAt: new Date().toISOString() };
+    const index = this.clients.findIndex(c => c.id === client.id);
+
+    if (index >= 0) {
+      this.clients[index] = updated;
+    } else {
+      this.clients.push(updated);
+    }
+
+    this.clients.sort((a, b) => a.company.localeCompare(b.company));
+    await this.saveClients();
+    this.renderDatalist();
+
+    return updated;
+  },
+
+  // Remove a directory entry (history and bookings are kept)
+  async remove(id) {
+    this.clients = this.clients.filter(client => client.id !== id);
+    await this.saveClients();
+    this.renderDatalist();
+  },
+
+  // First contact of a client, used to prefill the signer
+  primaryContact(name) {
+    const client = this.find(name);
+    return client && client.contacts.length > 0 ? client.contacts[0] : null;
+  },
+
+  // Add a signer to the client's contacts, creating the client if it is new
+  async recordContact(name, contact) {
+    if (!this.normalize(name) || !contact.name) return;
+
+    const client = this.find(name) || this.createClient({ company: name.trim() });
+    const known = client.contacts.some(c =>
+      (contact.email && this.normalize(c.email) === this.normalize(contact.email)) ||
+      (!contact.email && this.normalize(c.name) === this.normalize(contact.name)));
+
+    if (known) return;
+
+    await this.upsert({
+      ...client,
+      contacts: [...client.contacts, {
+        name: contact.name,
+        title: contact.title || '',
+        email: contact.email || '',
+        phone: ''
+      }]
+    });
+  },
+
+  // Deposit rate saved for a client, or null to use the client type's rate
+  depositRateFor(name) {
+    const client = this.find(name);
+    return client && typeof client.defaultDepositRate === 'number' ? client.defaultDepositRate : null;
+  },
+
+  // Apply a directory client's default client type to the quote form
+  applyDefaults(name) {
+    const client = this.find(name);
+
+    if (client && client.defaultClientType) {
+      document.getElementById('clientType').value = client.defaultClientType;
+    }
+
+    return client;
+  },
+
+  // Fill the quote form's autocomplete list
+  renderDatalist() {
+    document.getElementById('clientDirectoryList').innerHTML = this.clients
+      .map(client => `<option value="${this.escape(client.company)}"></option>`)
+      .join('');
+  },
+
+  // Escape text for HTML attributes and content
+  escape(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
+  // Client type options from the quote form
+  clientTypeOptions() {
+    return Array.from(document.getElementById('clientType').options)
+      .map(option => ({ value: option.value, label: option.textContent }));
+  },
+
+  // Label of a client type
+  clientTypeLabel(value) {
+    const option = this.clientTypeOptions().find(o => o.value === value);
+    return option ? option.label : 'Per quote';
+  },
+
+  // History items (quotes and invoices) for a client, newest first
+  historyFor(name) {
+    const key = this.normalize(name);
+    return History.historyData.filter(item => this.normalize(item.client) === key);
+  },
+
+  // Calendar bookings for a client, one entry per booking (travel days folded in), newest first
+  bookingsFor(name) {
+    const key = this.normalize(name);
+    const bookings = {};
+
+    Object.entries(Calendar.events).forEach(([dateStr, events]) => {
+      if (!Array.isArray(events)) return;
+
+      events
+        .filter(event => event.type === 'booked' && event.clientData &&
+          this.normalize(event.clientData.clientName) === key)
+        .forEach(event => {
+          const data = event.clientData;
+          const id = data.bookingSetId || event.id;
+          const booking = bookings[id] || (bookings[id] = {
+            project: data.projectName || event.description || '',
+            startDate: data.projectStartDate || dateStr,
+            endDate: data.projectEndDate || dateStr,
+            depositPaid: !!data.depositPaid,
+            days: 0
+          });
+
+          booking.days++;
+        });
+    });
+
+    return Object.values(bookings).sort((a, b) => b.startDate.localeCompare(a.startDate));
+  },
+
+  // Signatures captured on the client's accepted quotes
+  signaturesFor(name) {
+    return this.historyFor(name)
+      .filter(item => item.type === 'quote' && item.accepted && item.signatureData)
+      .map(item => ({
+        id: item.id,
+        project: item.project,
+        name: item.signatureData.name,
+        title: item.signatureData.title || '',
+        email: item.signatureData.email,
+        date: item.acceptedDate
+      }));
+  },
+
+  // Show the directory
+  showDirectory() {
+    if (!this.modal) {
+      this.createModal();
+    }
+
+    this.renderList();
+    this.modal.style.display = 'flex';
+  },
+
+  // Create the directory modal
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'client-directory-modal';
+    this.modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: none;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      padding: 1rem;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background-color: var(--card-bg);
+      border-radius: var(--border-radius);
+      box-shadow: var(--shadow-lg);
+      width: 100%;
+      max-width: 860px;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 2rem;
+      position: relative;
+    `;
+
+    const closeBtn = document.createElement('div');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    closeBtn.style.cssText = `
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      cursor: pointer;
+      font-size: 1.25rem;
+      color: var(--gray-500);
+    `;
+    closeBtn.addEventListener('click', () => {
+      this.modal.style.display = 'none';
+    });
+
+    const body = document.createElement('div');
+    body.className = 'client-directory-body';
+
+    // Views are re-rendered in place, so listen on the container
+    body.addEventListener('click', (e) => this.handleClick(e));
+    body.addEventListener('input', (e) => {
+      if (e.target.id === 'clientDirectorySearch') this.renderRows(e.target.value);
+    });
+    body.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSave(e.target);
+    });
+
+    content.appendChild(closeBtn);
+    content.appendChild(body);
+    this.modal.appendChild(content);
+    document.body.appendChild(this.modal);
+  },
+
+  // Route clicks in the directory views
+  async handleClick(e) {
+    const target = e.target.closest('[data-action]');
+    if (!target) return;
+
+    e.preventDefault();
+    const id = target.dataset.id;
+
+    switch (target.dataset.action) {
+      case 'new':
+        this.renderEditor(this.createClient());
+        break;
+      case 'list':
+        this.renderList();
+        break;
+      case 'view':
+        this.renderDetail(id);
+        break;
+      case 'edit':
+        this.renderEditor(this.clients.find(client => client.id === id));
+        break;
+      case 'delete': {
+        const client = this.clients.find(c => c.id === id);
+        if (confirm(`Remove ${client.company} from the client directory? Quotes, invoices and bookings are kept.`)) {
+          await this.remove(id);
+          this.renderList();
+        }
+        break;
+      }
+      case 'use':
+        document.getElementById('clientName').value = this.clients.find(client => client.id === id).company;
+        document.getElementById('clientName').dispatchEvent(new Event('change'));
+        this.modal.style.display = 'none';
+        break;
+      case 'add-contact':
+        target.closest('form').querySelector('.client-contacts').insertAdjacentHTML('beforeend', this.contactRow({}));
+        break;
+      case 'remove-contact':
+        target.closest('tr').remove();
+        break;
+      case 'history':
+        this.modal.style.display = 'none';
+        History.viewHistoryItem(id);
+        break;
+    }
+  },
+
+  // Render the list of clients with a search box
+  renderList() {
+    const body = this.modal.querySelector('.client-directory-body');
+
+    body.innerHTML = `
+      <h3 style="margin-bottom: 1rem;">Client Directory</h3>
+      <div style="display: flex; gap: 1rem; margin-bottom: 1rem;">
+        <input type="text" id="clientDirectorySearch" placeholder="Search clients..." style="flex: 1;">
+        <button type="button" class="btn btn-primary" data-action="new">
+          <i class="fas fa-plus"></i> New Client
+        </button>
+      </div>
+      <div class="client-directory-rows"></div>
+    `;
+
+    this.renderRows('');
+  },
+
+  // Render the client rows matching a search
+  renderRows(search) {
+    const term = this.normalize(search);
+    const rows = this.clients.filter(client =>
+      !term ||
+      this.normalize(client.company).includes(term) ||
+      client.contacts.some(contact => this.normalize(contact.name).includes(term) || this.normalize(contact.email).includes(term)));
+
+    this.modal.querySelector('.client-directory-rows').innerHTML = rows.length > 0 ? `
+      <table>
+        <thead><tr><th>Company</th><th>Primary Contact</th><th>Client Type</th><th></th></tr></thead>
+        <tbody>
+          ${rows.map(client => `
+          <tr>
+            <td><a href="#" data-action="view" data-id="${client.id}">${this.escape(client.company)}</a></td>
+            <td>${client.contacts[0] ? this.escape(client.contacts[0].name) : '—'}</td>
+            <td>${this.clientTypeLabel(client.defaultClientType)}</td>
+            <td style="text-align: right; white-space: nowrap;">
+              <button type="button" class="btn btn-sm btn-outline" data-action="use" data-id="${client.id}" title="Use on quote">
+                <i class="fas fa-file-signature"></i>
+              </button>
+              <button type="button" class="btn btn-sm btn-outline" data-action="edit" data-id="${client.id}" title="Edit">
+                <i class="fas fa-edit"></i>
+              </button>
+              <button type="button" class="btn btn-sm btn-outline" data-action="delete" data-id="${client.id}" title="Remove">
+                <i class="fas fa-trash"></i>
+              </button>
+            </td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    ` : `
+      <p style="text-align: center; padding: 2rem 1rem; color: var(--gray-500); font-style: italic;">
+        ${term ? 'No matching clients.' : 'No clients yet. Add one, or they will be added as quotes are signed.'}
+      </p>
+    `;
+  },
+
+  // Editable row for one contact
+  contactRow(contact) {
+    return `
+      <tr>
+        <td><input type="text" class="contact-name" value="${this.escape(contact.name)}" placeholder="Name"></td>
+        <td><input type="text" class="contact-title" value="${this.escape(contact.title)}" placeholder="Title"></td>
+        <td><input type="email" class="contact-email" value="${this.escape(contact.email)}" placeholder="Email"></td>
+        <td><input type="tel" class="contact-phone" value="${this.escape(contact.phone)}" placeholder="Phone"></td>
+        <td>
+          <button type="button" class="btn btn-sm btn-outline" data-action="remove-contact" title="Remove contact">
+            <i class="fas fa-times"></i>
+          </button>
+        </td>
+      </tr>
+    `;
+  },
+
+  // Render the add/edit form for a client
+  renderEditor(client) {
+    const body = this.modal.querySelector('.client-directory-body');
+    const typeOptions = this.clientTypeOptions()
+      .map(option => `<option value="${option.value}"${client.defaultClientType === option.value ? ' selected' : ''}>${option.label}</option>`)
+      .join('');
+    const depositPercent = typeof client.defaultDepositRate === 'number' ?
+      Math.round(client.defaultDepositRate * 1000) / 10 : '';
+
+    body.innerHTML = `
+      <h3 style="margin-bottom: 1rem;">${client.company ? `Edit ${this.escape(client.company)}` : 'New Client'}</h3>
+      <form data-id="${client.id}">
+        <div class="form-group">
+          <label for="clientEditorCompany">Company *</label>
+          <input type="text" id="clientEditorCompany" value="${this.escape(client.company)}" required>
+        </div>
+        <div class="form-group">
+          <label for="clientEditorAddress">Billing Address</label>
+          <textarea id="clientEditorAddress" rows="3">${this.escape(client.billingAddress)}</textarea>
+        </div>
+        <div class="row">
+          <div class="col">
+            <div class="form-group">
+              <label for="clientEditorType">Default Client Type</label>
+              <select id="clientEditorType">
+                <option value=""${client.defaultClientType ? '' : ' selected'}>Choose per quote</option>
+                ${typeOptions}
+              </select>
+            </div>
+          </div>
+          <div class="col">
+            <div class="form-group">
+              <label for="clientEditorDeposit">Default Deposit Rate (%)</label>
+              <input type="number" id="clientEditorDeposit" min="0" max="100" step="0.5" value="${depositPercent}" placeholder="Client type's rate">
+            </div>
+          </div>
+        </div>
+        <h4 style="margin: 0.5rem 0;">Contacts</h4>
+        <table>
+          <tbody class="client-contacts">${client.contacts.map(contact => this.contactRow(contact)).join('')}</tbody>
+        </table>
+        <button type="button" class="btn btn-sm btn-outline" data-action="add-contact" style="margin: 0.5rem 0 1rem;">
+          <i class="fas fa-user-plus"></i> Add Contact
+        </button>
+        <div class="form-group">
+          <label for="clientEditorNotes">Notes</label>
+          <textarea id="clientEditorNotes" rows="3">${this.escape(client.notes)}</textarea>
+        </div>
+        <p id="clientEditorError" style="display: none; color: var(--danger); font-size: 0.875rem;"></p>
+        <div class="btn-group">
+          <button type="submit" class="btn btn-primary"><i class="fas fa-save"></i> Save Client</button>
+          <button type="button" class="btn btn-outline" data-action="list">Cancel</button>
+        </div>
+      </form>
+    `;
+  },
+
+  // Validate and save the editor form
+  async handleSave(form) {
+    const company = form.querySelector('#clientEditorCompany').value.trim();
+    const depositValue = form.querySelector('#clientEditorDeposit').value;
+    const errorEl = form.querySelector('#clientEditorError');
+    const existing = this.find(company);
+
+    if (existing && existing.id !== form.dataset.id) {
+      errorEl.textContent = `${existing.company} is already in the directory.`;
+      errorEl.style.display = 'block';
+      return;
+    }
+
+    const contacts = Array.from(form.querySelectorAll('.client-contacts tr'))
+      .map(row => ({
+        name: row.querySelector('.contact-name').value.trim(),
+        title: row.querySelector('.contact-title').value.trim(),
+        email: row.querySelector('.contact-email').value.trim(),
+        phone: row.querySelector('.contact-phone').value.trim()
+      }))
+      .filter(contact => contact.name || contact.email);
+
+    const client = this.clients.find(c => c.id === form.dataset.id) || this.createClient({ id: form.dataset.id });
+    const saved = await this.upsert({
+      ...client,
+      company,
+      contacts,
+      billingAddress: form.querySelector('#clientEditorAddress').value.trim(),
+      defaultClientType: form.querySelector('#clientEditorType').value,
+      defaultDepositRate: depositValue === '' ? null : Math.min(100, Math.max(0, parseFloat(depositValue))) / 100,
+      notes: form.querySelector('#clientEditorNotes').value.trim()
+    });
+
+    this.renderDetail(saved.id);
+  },
+
+  // Render a client's details with their quotes, invoices, bookings and signatures
+  renderDetail(id) {
+    const client = this.clients.find(c => c.id === id);
+    const body = this.modal.querySelector('.client-directory-body');
+    const history = this.historyFor(client.company);
+    const quotes = history.filter(item => item.type === 'quote');
+    const invoices = history.filter(item => item.type === 'invoice');
+    const bookings = this.bookingsFor(client.company);
+    const signatures = this.signaturesFor(client.company);
+    const date = value => new Date(value).toLocaleDateString('en-US');
+    const empty = text => `<p style="color: var(--gray-500); font-style: italic; margin-bottom: 1rem;">${text}</p>`;
+
+    body.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+        <h3>${this.escape(client.company)}</h3>
+        <div class="btn-group" style="margin: 0 2rem 0 0;">
+          <button type="button" class="btn btn-sm btn-outline" data-action="list"><i class="fas fa-arrow-left"></i> All Clients</button>
+          <button type="button" class="btn btn-sm btn-outline" data-action="edit" data-id="${client.id}"><i class="fas fa-edit"></i> Edit</button>
+          <button type="button" class="btn btn-sm btn-primary" data-action="use" data-id="${client.id}"><i class="fas fa-file-signature"></i> Use on Quote</button>
+        </div>
+      </div>
+
+      <div class="row">
+        <div class="col">
+          <p style="font-size: 0.875rem; color: var(--gray-600);">Billing Address</p>
+          <p style="white-space: pre-line; margin-bottom: 1rem;">${this.escape(client.billingAddress) || '—'}</p>
+        </div>
+        <div class="col">
+          <p style="font-size: 0.875rem; color: var(--gray-600);">Defaults</p>
+          <p style="margin-bottom: 1rem;">
+            ${this.clientTypeLabel(client.defaultClientType)}<br>
+            Deposit: ${typeof client.defaultDepositRate === 'number' ? `${Math.round(client.defaultDepositRate * 1000) / 10}%` : "client type's rate"}
+          </p>
+        </div>
+      </div>
+      ${client.notes ? `<p style="white-space: pre-line; margin-bottom: 1rem;">${this.escape(client.notes)}</p>` : ''}
+
+      <h4 style="margin-bottom: 0.5rem;">Contacts</h4>
+      ${client.contacts.length > 0 ? `
+      <table style="margin-bottom: 1rem;">
+        <thead><tr><th>Name</th><th>Title</th><th>Email</th><th>Phone</th></tr></thead>
+        <tbody>
+          ${client.contacts.map(contact => `
+          <tr>
+            <td>${this.escape(contact.name)}</td>
+            <td>${this.escape(contact.title) || '—'}</td>
+            <td>${contact.email ? `<a href="mailto:${this.escape(contact.email)}">${this.escape(contact.email)}</a>` : '—'}</td>
+            <td>${this.escape(contact.phone) || '—'}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ` : empty('No contacts yet.')}
+
+      <h4 style="margin-bottom: 0.5rem;">Quotes</h4>
+      ${quotes.length > 0 ? `
+      <table style="margin-bottom: 1rem;">
+        <thead><tr><th>Date</th><th>Project</th><th>Status</th><th style="text-align: right;">Amount</th></tr></thead>
+        <tbody>
+          ${quotes.map(item => `
+          <tr data-action="history" data-id="${item.id}" style="cursor: pointer;">
+            <td>${date(item.date)}</td>
+            <td>${this.escape(item.project)}</td>
+            <td><span class="badge ${History.quoteStatuses[History.quoteStatus(item)].badge}">${History.quoteStatuses[History.quoteStatus(item)].label}</span></td>
+            <td style="text-align: right;">${Calculator.formatCurrency(item.amount, item.currency || 'USD')}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ` : empty('No quotes yet.')}
+
+      <h4 style="margin-bottom: 0.5rem;">Invoices</h4>
+      ${invoices.length > 0 ? `
+      <table style="margin-bottom: 1rem;">
+        <thead><tr><th>Invoice</th><th>Date</th><th>Status</th><th style="text-align: right;">Amount</th></tr></thead>
+        <tbody>
+          ${invoices.map(item => {
+            const status = Payment.paymentStatuses[Payment.paymentStatus(item.amount, History.invoicePayments(item))];
+            return `
+          <tr data-action="history" data-id="${item.id}" style="cursor: pointer;">
+            <td>${this.escape(item.invoiceNumber)}</td>
+            <td>${date(item.date)}</td>
+            <td><span class="badge ${status.badge}">${status.label}</span></td>
+            <td style="text-align: right;">${Calculator.formatCurrency(item.amount, item.currency || 'USD')}</td>
+          </tr>
+          `;
+          }).join('')}
+        </tbody>
+      </table>
+      ` : empty('No invoices yet.')}
+
+      <h4 style="margin-bottom: 0.5rem;">Bookings</h4>
+      ${bookings.length > 0 ? `
+      <table style="margin-bottom: 1rem;">
+        <thead><tr><th>Project</th><th>Dates</th><th style="text-align: right;">Days</th><th>Deposit</th></tr></thead>
+        <tbody>
+          ${bookings.map(booking => `
+          <tr>
+            <td>${this.escape(booking.project) || '—'}</td>
+            <td>${InvoiceEditor.formatDate(booking.startDate)}${booking.endDate !== booking.startDate ? ` – ${InvoiceEditor.formatDate(booking.endDate)}` : ''}</td>
+            <td style="text-align: right;">${booking.days}</td>
+            <td>${booking.depositPaid ? 'Paid' : 'Pending'}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ` : empty('No bookings on the calendar.')}
+
+      <h4 style="margin-bottom: 0.5rem;">Signatures</h4>
+      ${signatures.length > 0 ? `
+      <table>
+        <thead><tr><th>Signed</th><th>Signer</th><th>Project</th></tr></thead>
+        <tbody>
+          ${signatures.map(signature => `
+          <tr data-action="history" data-id="${signature.id}" style="cursor: pointer;">
+            <td>${date(signature.date)}</td>
+            <td>${this.escape(signature.name)}${signature.title ? `, ${this.escape(signature.title)}` : ''}<br>
+              <span style="font-size: 0.75rem; color: var(--gray-600);">${this.escape(signature.email)}</span></td>
+            <td>${this.escape(signature.project)}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ` : empty('No signed quotes yet.')}
+    `;
+  }
+};
@@ -0,0 +1,186 @@
+/**
+ * Currency Module
+ * Maintains the local exchange-rate table used to quote in currencies other
+ * than the rate card's base currency. Edits are stored in this browser through
+ * the DataStore and layered over the defaults from rates.json.
+ */
+
+const Currency = {
+  rates: null,
+  modal: null,
+  onSave: null,
+
+  // Initialize with the loaded rate card and apply locally saved exchange rates
+  async init(rates) {
+    this.rates = rates;
+
+    if (!this.rates.currencies) {
+      this.rates.currencies = { base: 'USD', rates: {} };
+    }
+
+    try {
+      const saved = await DataStore.load('exchangeRates');
+      if (saved) {
+        Object.entries(saved).forEach(([code, entry]) => {
+          this.rates.currencies.rates[code] = { ...this.rates.currencies.rates[code], ...entry };
+        });
+        console.log('Exchange rates loaded');
+      }
+    } catch (error) {
+      console.error('Error loading exchange rates:', error);
+    }
+  },
+
+  // Base currency code of the rate card
+  getBaseCurrency() {
+    return Pricing.baseCurrency(this.rates);
+  },
+
+  // Currency codes available for quoting, base currency first
+  getCodes() {
+    return [this.getBaseCurrency(), ...Object.keys(this.rates.currencies.rates)];
+  },
+
+  // Display label for a currency code (e.g. "CAD – Canadian Dollar (1.37)")
+  getLabel(code) {
+    if (code === this.getBaseCurrency()) return `${code} (rate card)`;
+
+    const entry = this.rates.currencies.rates[code];
+    return `${code} – ${entry.name} (${entry.rate})`;
+  },
+
+  // Save the exchange-rate table
+  async saveRates() {
+    try {
+      await DataStore.save('exchangeRates', this.rates.currencies.rates);
+    } catch (error) {
+      console.error('Error saving exchange rates:', error);
+    }
+  },
+
+  // Show the exchange-rate editor; onSave runs after the table is saved
+  showEditor(onSave) {
+    this.onSave = onSave;
+
+    if (!this.modal) {
+      this.createEditorModal();
+    }
+
+    this.renderEditorRows();
+    this.modal.style.display = 'flex';
+  },
+
+  // Create the exchange-rate editor modal
+  createEditorModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'exchange-rate-modal';
+    this.modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: none;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      padding: 1rem;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background-color: var(--card-bg);
+      border-radius: var(--border-radius);
+      box-shadow: var(--shadow-lg);
+      width: 100%;
+      max-width: 520px;
+      padding: 2rem;
+      position: relative;
+    `;
+
+    const closeBtn = document.createElement('div');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    closeBtn.style.cssText = `
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      cursor: pointer;
+      font-size: 1.25rem;
+      color: var(--gray-500);
+    `;
+    closeBtn.addEventListener('click', () => {
+      this.modal.style.display = 'none';
+    });
+
+    const form = document.createElement('form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleEditorSubmit();
+    });
+
+    form.innerHTML = `
+      <h3 style="margin-bottom: 0.5rem;">Exchange Rates</h3>
+      <p style="margin-bottom: 1.5rem; font-size: 0.875rem; color: var(--gray-600);">
+        Units of each currency per 1 <span id="exchangeRateBase"></span>. Quotes are converted from the rate card using these values.
+      </p>
+      <table>
+        <thead>
+          <tr><th>Currency</th><th>Rate</th><th>As of</th></tr>
+        </thead>
+        <tbody id="exchangeRateBody"></tbody>
+      </table>
+      <div style="display: flex; justify-content: center; margin-top: 1.5rem;">
+        <button type="submit" class="btn btn-primary" style="min-width: 180px;">
+          <i class="fas fa-save"></i> Save Rates
+        </button>
+      </div>
+    `;
+
+    content.appendChild(closeBtn);
+    content.appendChild(form);
+    this.modal.appendChild(content);
+    document.body.appendChild(this.modal);
+  },
+
+  // Render one editable row per non-base currency
+  renderEditorRows() {
+    this.modal.querySelector('#exchangeRateBase').textContent = this.getBaseCurrency();
+
+    const body = this.modal.querySelector('#exchangeRateBody');
+    body.innerHTML = '';
+
+    Object.entries(this.rates.currencies.rates).forEach(([code, entry]) => {
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td>${code} – ${entry.name}</td>
+        <td><input type="number" step="0.0001" min="0.0001" required data-code="${code}" value="${entry.rate}"></td>
+        <td>${entry.updated || '—'}</td>
+      `;
+      body.appendChild(tr);
+    });
+  },
+
+  // Apply edited rates, stamping changed entries with today's date
+  handleEditorSubmit() {
+    const now = new Date();
+    const today = `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}-${now.getDate().toString().padStart(2, '0')}`;
+
+    this.modal.querySelectorAll('#exchangeRateBody input').forEach(input => {
+      const entry = this.rates.currencies.rates[input.dataset.code];
+      const rate = parseFloat(input.value);
+
+      if (rate > 0 && rate !== entry.rate) {
+        entry.rate = rate;
+        entry.updated = today;
+      }
+    });
+
+    this.saveRates();
+    this.modal.style.display = 'none';
+
+    if (typeof this.onSave === 'function') {
+      this.onSave();
+    }
+  }
+};
@@ -0,0 +1,384 @@
+/**
+ * Dashboard Module
+ * PIN-protected overview of a year's business built from History and the
+ * Calendar: booked days, revenue quoted vs. invoiced vs. collected, quote
+ * acceptance, average day rate per service, top clients and calendar
+ * utilization. Charts are plain inline SVG.
+ */
+
+const Dashboard = {
+  year: new Date().getFullYear(),
+  monthLabels: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+  revenueSeries: [
+    { key: 'quoted', label: 'Quoted', color: 'var(--gray-500)' },
+    { key: 'invoiced', label: 'Invoiced', color: 'var(--primary)' },
+    { key: 'collected', label: 'Collected', color: 'var(--success)' }
+  ],
+
+  // Create the dashboard tab
+  init() {
+    this.createTab();
+  },
+
+  // Create the tab and its (empty) content; the dashboard is rendered each time it is opened
+  createTab() {
+    const tabsContainer = document.querySelector('.tabs');
+    const dashboardTab = document.createElement('div');
+    dashboardTab.className = 'tab';
+    dashboardTab.setAttribute('data-tab', 'dashboard');
+    dashboardTab.innerHTML = '<i class="fas fa-chart-line"></i> Dashboard <i class="fas fa-lock" style="font-size: 0.75em; margin-left: 0.5rem;"></i>';
+    tabsContainer.appendChild(dashboardTab);
+
+    const tabContent = document.createElement('div');
+    tabContent.id = 'dashboard';
+    tabContent.className = 'tab-content';
+    tabContent.innerHTML = `
+      <div class="card">
+        <div style="display: flex; justify-content: space-between; align-items: center; flex-wrap: wrap; gap: 1rem;">
+          <h2><i class="fas fa-chart-line"></i> Dashboard</h2>
+          <div class="form-group" style="margin-bottom: 0;">
+            <label for="dashboardYear">Year</label>
+            <select id="dashboardYear"></select>
+          </div>
+        </div>
+        <div id="dashboardBody"></div>
+      </div>
+    `;
+    document.querySelector('.container').appendChild(tabContent);
+
+    tabContent.querySelector('#dashboardYear').addEventListener('change', (e) => {
+      this.year = parseInt(e.target.value, 10);
+      this.render();
+    });
+
+    dashboardTab.addEventListener('click', () => {
+      PinAuth.verifyPin(() => {
+        document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+        document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+
+        dashboardTab.classList.add('active');
+        tabContent.classList.add('active');
+
+        this.render();
+      }, 'reports.view');
+    });
+  },
+
+  // Amount of a history document in the rate card's base currency
+  baseAmount(amount, doc) {
+    if (doc && doc.currency && doc.baseCurrency && doc.currency !== doc.baseCurrency && doc.exchangeRate) {
+      return amount / doc.exchangeRate;
+    }
+    return amount;
+  },
+
+  // Local YYYY-MM-DD date of a history item
+  itemDate(item) {
+    return InvoiceEditor.toDateInput(new Date(item.date));
+  },
+
+  // History items of one type dated in the year
+  itemsInYear(type, year) {
+    return History.historyData.filter(item =>
+      item.type === type && new Date(item.date).getFullYear() === year);
+  },
+
+  // Whether a calendar day is booked, blocked or free
+  dayStatus(dateStr) {
+    const events = Calendar.events[dateStr] || [];
+
+    if (events.some(event => event.type === 'booked') || Calendar.bookedDates[dateStr]) return 'booked';
+    if (events.some(event => event.type === 'blocked') || Calendar.blockedDates[dateStr]) return 'blocked';
+    return 'free';
+  },
+
+  // Every date of a year as YYYY-MM-DD
+  daysOfYear(year) {
+    const days = [];
+    const date = new Date(year, 0, 1);
+
+    while (date.getFullYear() === year) {
+      days.push(InvoiceEditor.toDateInput(date));
+      date.setDate(date.getDate() + 1);
+    }
+
+    return days;
+  },
+
+  // Booked, blocked and free days per month and for the year
+  utilization(year) {
+    const months = this.monthLabels.map(() => ({ booked: 0, blocked: 0, free: 0 }));
+    const totals = { booked: 0, blocked: 0, free: 0 };
+
+    this.daysOfYear(year).forEach(dateStr => {
+      const status = this.dayStatus(dateStr);
+      months[parseInt(dateStr.slice(5, 7), 10) - 1][status]++;
+      totals[status]++;
+    });
+
+    return { months, totals };
+  },
+
+  // Quoted, invoiced and collected revenue per month, in the base currency
+  revenue(year) {
+    const months = this.monthLabels.map(() => ({ quoted: 0, invoiced: 0, collected: 0 }));
+
+    this.itemsInYear('quote', year).forEach(item => {
+      months[new Date(item.date).getMonth()].quoted += this.baseAmount(item.amount, item.quoteData);
+    });
+
+    History.historyData.filter(item => item.type === 'invoice').forEach(item => {
+      if (new Date(item.date).getFullYear() === year) {
+        months[new Date(item.date).getMonth()].invoiced += this.baseAmount(item.amount, item.invoiceData);
+      }
+
+      // Payments count in the month they were received
+      History.invoicePayments(item).forEach(payment => {
+        const received = InvoiceEditor.fromDateInput(payment.date);
+        if (received.getFullYear() === year) {
+          months[received.getMonth()].collected += this.baseAmount(payment.amount, item.invoiceData);
+        }
+      });
+    });
+
+    const totals = { quoted: 0, invoiced: 0, collected: 0 };
+    months.forEach(month => {
+      Object.keys(totals).forEach(key => { totals[key] += month[key]; });
+    });
+
+    return { months, totals };
+  },
+
+  // Share of the year's quotes that were accepted
+  acceptance(year) {
+    const quotes = this.itemsInYear('quote', year);
+    const accepted = quotes.filter(item => item.accepted).length;
+
+    return {
+      quotes: quotes.length,
+      accepted,
+      rate: quotes.length > 0 ? accepted / quotes.length : 0
+    };
+  },
+
+  // Average quoted day rate per service type from the crew lines of the year's quotes
+  dayRates(year) {
+    const services = {};
+
+    this.itemsInYear('quote', year).forEach(item => {
+      if (!item.quoteData) return;
+
+      Pricing.quoteLineItems(item.quoteData)
+        .filter(line => line.kind === 'service' && line.serviceType && line.crewDays > 0)
+        .forEach(line => {
+          const totals = services[line.serviceType] || (services[line.serviceType] = { days: 0, revenue: 0 });
+          totals.days += line.crewDays;
+          totals.revenue += this.baseAmount(line.amount, item.quoteData);
+        });
+    });
+
+    return Object.entries(services)
+      .map(([type, totals]) => ({
+        type,
+        name: AppState.rates.services[type]?.name || type,
+        days: totals.days,
+        revenue: totals.revenue,
+        average: totals.revenue / totals.days
+      }))
+      .sort((a, b) => b.revenue - a.revenue);
+  },
+
+  // Clients with the most invoiced revenue in the year (quoted revenue breaks ties)
+  topClients(year, limit = 5) {
+    const clients = {};
+    const client = name => clients[name] || (clients[name] = { name, quoted: 0, invoiced: 0, collected: 0 });
+
+    this.itemsInYear('quote', year).forEach(item => {
+      client(item.client).quoted += this.baseAmount(item.amount, item.quoteData);
+    });
+
+    this.itemsInYear('invoice', year).forEach(item => {
+      const totals = client(item.client);
+      totals.invoiced += this.baseAmount(item.amount, item.invoiceData);
+      totals.collected += this.baseAmount(Payment.totalPaid(History.invoicePayments(item)), item.invoiceData);
+    });
+
+    return Object.values(clients)
+      .sort((a, b) => (b.invoiced - a.invoiced) || (b.quoted - a.quoted))
+      .slice(0, limit);
+  },
+
+  // Years with quotes, invoices or bookings, plus the current year
+  availableYears() {
+    const years = new Set([new Date().getFullYear()]);
+
+    History.historyData.forEach(item => years.add(new Date(item.date).getFullYear()));
+    Object.keys(Calendar.events).forEach(dateStr => years.add(parseInt(dateStr.slice(0, 4), 10)));
+
+    return [...years].filter(year => !isNaN(year)).sort((a, b) => b - a);
+  },
+
+  // Render the dashboard for the selected year
+  render() {
+    const yearSelect = document.getElementById('dashboardYear');
+    yearSelect.innerHTML = this.availableYears()
+      .map(year => `<option value="${year}"${year === this.year ? ' selected' : ''}>${year}</option>`)
+      .join('');
+
+    const currency = Pricing.baseCurrency(AppState.rates);
+    const money = amount => Calculator.formatCurrency(amount, currency);
+    const revenue = this.revenue(this.year);
+    const utilization = this.utilization(this.year);
+    const acceptance = this.acceptance(this.year);
+    const dayRates = this.dayRates(this.year);
+    const topClients = this.topClients(this.year);
+    const totalDays = utilization.totals.booked + utilization.totals.blocked + utilization.totals.free;
+    const percent = value => `${Math.round(value * 100)}%`;
+
+    const stat = (label, value, detail = '') => `
+      <div style="background-color: var(--gray-200); border-radius: var(--border-radius); padding: 1rem;">
+        <div style="font-size: 0.75rem; color: var(--gray-600); text-transform: uppercase;">${label}</div>
+        <div style="font-size: 1.5rem; font-weight: 700;">${value}</div>
+        ${detail ? `<div style="font-size: 0.75rem; color: var(--gray-600);">${detail}</div>` : ''}
+      </div>
+    `;
+
+    document.getElementById('dashboardBody').innerHTML = `
+      <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 1rem; margin: 1.5rem 0;">
+        ${stat('Quoted', money(revenue.totals.quoted))}
+        ${stat('Invoiced', money(revenue.totals.invoiced))}
+        ${stat('Collected', money(revenue.totals.collected))}
+        ${stat('Acceptance Rate', percent(acceptance.rate), `${acceptance.accepted} of ${acceptance.quotes} quotes`)}
+        ${stat('Booked Days', utilization.totals.booked, `${percent(utilization.totals.booked / totalDays)} of the year`)}
+      </div>
+
+      <h3 style="margin-bottom: 0.5rem;">Booked Days per Month</h3>
+      ${this.barChart(
+        utilization.months.map(month => [month.booked]),
+        [{ label: 'Booked days', color: 'var(--primary)' }],
+        value => String(value)
+      )}
+
+      <h3 style="margin: 1.5rem 0 0.5rem;">Revenue per Month (${currency})</h3>
+      ${this.barChart(
+        revenue.months.map(month => this.revenueSeries.map(series => month[series.key])),
+        this.revenueSeries,
+        value => money(value)
+      )}
+
+      <h3 style="margin: 1.5rem 0 0.5rem;">Calendar Utilization</h3>
+      ${this.utilizationBar(utilization.totals, totalDays)}
+
+      <div class="row" style="margin-top: 1.5rem;">
+        <div class="col">
+          <h3 style="margin-bottom: 0.5rem;">Average Day Rate by Service</h3>
+          ${dayRates.length > 0 ? `
+          <table>
+            <thead><tr><th>Service</th><th style="text-align: right;">Crew Days</th><th style="text-align: right;">Avg / Day</th></tr></thead>
+            <tbody>
+              ${dayRates.map(rate => `
+              <tr>
+                <td>${rate.name}</td>
+                <td style="text-align: right;">${rate.days}</td>
+                <td style="text-align: right;">${money(rate.average)}</td>
+              </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          ` : '<p style="color: var(--gray-500); font-style: italic;">No quoted crew days this year.</p>'}
+        </div>
+        <div class="col">
+          <h3 style="margin-bottom: 0.5rem;">Top Clients</h3>
+          ${topClients.length > 0 ? `
+          <table>
+            <thead><tr><th>Client</th><th style="text-align: right;">Invoiced</th><th style="text-align: right;">Collected</th></tr></thead>
+            <tbody>
+              ${topClients.map(client => `
+              <tr>
+                <td>${client.name}</td>
+                <td style="text-align: right;">${money(client.invoiced)}</td>
+                <td style="text-align: right;">${money(client.collected)}</td>
+              </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          ` : '<p style="color: var(--gray-500); font-style: italic;">No clients quoted this year.</p>'}
+        </div>
+      </div>
+    `;
+  },
+
+  // Monthly bar chart as inline SVG; values holds one array per month with a value per series
+  barChart(values, series, formatValue) {
+    const width = 720;
+    const height = 220;
+    const top = 20;
+    const bottom = 24;
+    const chartHeight = height - top - bottom;
+    const slot = width / values.length;
+    const barWidth = (slot - 12) / series.length;
+    const max = Math.max(...values.flat(), 0);
+
+    const bars = values.map((month, m) => month.map((value, s) => {
+      const barHeight = max > 0 ? (value / max) * chartHeight : 0;
+      const x = m * slot + 6 + s * barWidth;
+      const y = top + chartHeight - barHeight;
+
+      return `<rect x="${x}" y="${y}" width="${barWidth - 1}" height="${barHeight}" style="fill: ${series[s].color};">
+        <title>${this.monthLabels[m]} ${series[s].label}: ${formatValue(value)}</title>
+      </rect>`;
+    }).join('')).join('');
+
+    const labels = this.monthLabels.map((label, m) => `
+      <text x="${m * slot + slot / 2}" y="${height - 6}" text-anchor="middle" style="font-size: 12px; fill: var(--gray-600);">${label}</text>
+    `).join('');
+
+    const legend = series.length > 1 ? `
+      <div style="display: flex; gap: 1rem; font-size: 0.75rem; color: var(--gray-600); margin-top: 0.25rem;">
+        ${series.map(item => `
+        <span><span style="display: inline-block; width: 10px; height: 10px; background: ${item.color}; margin-right: 0.25rem;"></span>${item.label}</span>
+        `).join('')}
+      </div>
+    ` : '';
+
+    return `
+      <svg viewBox="0 0 ${width} ${height}" style="width: 100%; height: auto;" role="img">
+        <text x="0" y="12" style="font-size: 12px; fill: var(--gray-600);">${max > 0 ? formatValue(max) : ''}</text>
+        <line x1="0" y1="${top + chartHeight}" x2="${width}" y2="${top + chartHeight}" style="stroke: var(--gray-300);" />
+        ${bars}
+        ${labels}
+      </svg>
+      ${legend}
+    `;
+  },
+
+  // Booked / blocked / free days of the year as a single stacked bar
+  utilizationBar(totals, totalDays) {
+    const parts = [
+      { key: 'booked', label: 'Booked', color: 'var(--primary)' },
+      { key: 'blocked', label: 'Blocked', color: 'var(--warning)' },
+      { key: 'free', label: 'Free', color: 'var(--gray-300)' }
+    ];
+    let x = 0;
+
+    const segments = parts.map(part => {
+      const width = (totals[part.key] / totalDays) * 100;
+      const rect = `<rect x="${x}" y="0" width="${width}" height="10" style="fill: ${part.color};">
+        <title>${part.label}: ${totals[part.key]} days</title>
+      </rect>`;
+      x += width;
+      return rect;
+    }).join('');
+
+    return `
+      <svg viewBox="0 0 100 10" preserveAspectRatio="none" style="width: 100%; height: 24px; border-radius: 4px;" role="img">
+        ${segments}
+      </svg>
+      <div style="display: flex; gap: 1.5rem; font-size: 0.875rem; color: var(--gray-600); margin-top: 0.5rem;">
+        ${parts.map(part => `
+        <span><span style="display: inline-block; width: 10px; height: 10px; background: ${part.color}; margin-right: 0.25rem;"></span>${part.label}: ${totals[part.key]} days (${Math.round((totals[part.key] / totalDays) * 100)}%)</span>
+        `).join('')}
+      </div>
+    `;
+  }
+};
@@ -0,0 +1,283 @@
+/**
+ * Data Store Module
+ * The one storage interface modules load and save their data through. Data is
+ * kept as named documents (see DataStore.documents) by a pluggable adapter;
+ * every adapter implements init(), load(key) and save(key, value), and load
+ * resolves to null for a document that has never been saved. Adapters may
+ * also implement append(key, entry) and update(key, change) natively.
+ * - firestore: the signed-in organization's documents (through FirebaseStorage)
+ * - indexedDB: this browser, without localStorage's ~5MB limit
+ * - localStorage: this browser, where IndexedDB is not available
+ * - memory: nothing persisted, for tests
+ * Signed in, the app reads and writes the organization's Firestore documents;
+ * otherwise it uses the browser only. Browser documents are kept apart per
+ * organization and from the signed-out ones. Failures are passed back to the
+ * caller, and a document that failed to load is not saved until it loads, so
+ * it is never overwritten with empty data. Per-device state (session, PIN
+ * lockout) stays in localStorage outside the store.
+ */
+
+const DataStore = {
+  // Documents, with the localStorage keys they were kept under before the store
+  documents: {
+    history: 'history',
+    calendar: 'calendar',
+    signatures: 'signatureHistory',
+    preferences: 'theme',
+    rateCards: 'rateCards',
+    exchangeRates: 'exchangeRates',
+    invoiceNumbers: 'invoiceNumbering',
+    clients: 'clientDirectory',
+    venues: 'venueLibrary',
+    pinUsers: 'pinHash'
+  },
+  // Documents kept in this browser even when signed in
+  localDocuments: ['exchangeRates'],
+  // The adapter documents are read from and written to, and the browser adapter for localDocuments
+  adapter: null,
+  local: null,
+  // Documents whose last load failed
+  unloaded: new Set(),
+
+  // Set up storage. With an adapter (e.g. DataStore.adapters.memory() in tests)
+  // everything is stored there; otherwise in the organization's Firestore
+  // documents when signed in to one (orgId), and in the browser if not.
+  async init({ adapter = null, orgId = null } = {}) {
+    if (adapter) {
+      await adapter.init();
+      this.adapter = this.local = adapter;
+      console.log(`Storing data in ${adapter.name}`);
+      return;
+    }
+
+    try {
+      this.local = this.adapters.indexedDB(orgId ? `luminaryops_${orgId}` : 'luminaryops');
+      await this.local.init();
+
+      // What was saved before the store predates sign-in, so it is signed-out data
+      if (!orgId) await this.importLocalStorage();
+    } catch (error) {
+      console.error('IndexedDB is not available, using localStorage:', error);
+      this.local = this.adapters.localStorage(orgId ? `${orgId}:` : '');
+      await this.local.init();
+    }
+
+    this.adapter = orgId ? this.adapters.firestore() : this.local;
+    await this.adapter.init();
+    console.log(`Storing data in ${this.adapter.name}`);
+  },
+
+  // The adapter for a document
+  adapterFor(key) {
+    if (!(key in this.documents)) {
+      throw new Error(`Unknown document: ${key}`);
+    }
+
+    return this.localDocuments.includes(key) ? this.local : this.adapter;
+  },
+
+  // Load a document, or null if it has never been saved. A failed load is
+  // rethrown and the document is not saved again until a load succeeds.
+  async load(key) {
+    const adapter = this.adapterFor(key);
+
+    try {
+      const value = await adapter.load(key);
+      this.unloaded.delete(key);
+      return value;
+    } catch (error) {
+      console.error(`Error loading ${key} from ${adapter.name}:`, error);
+      this.unloaded.add(key);
+      throw error;
+    }
+  },
+
+  // Save a document
+  async save(key, value) {
+    const adapter = this.adapterFor(key);
+
+    if (this.unloaded.has(key)) {
+      throw new Error(`${key} did not load, so it is not saved over what is stored`);
+    }
+
+    await adapter.save(key, value);
+    console.log(`${key} saved to ${adapter.name}`);
+  },
+
+  // Add an entry to the front of a list document, keeping at most limit entries
+  async append(key, entry, limit = Infinity) {
+    const adapter = this.adapterFor(key);
+
+    // Firestore keeps such lists as a collection and adds to it directly
+    if (adapter.append) {
+      await adapter.append(key, entry);
+      return;
+    }
+
+    const list = (await this.load(key)) || [];
+    await this.save(key, [entry, ...list].slice(0, limit));
+  },
+
+  // Replace a document with change(stored value), resolving to the new value.
+  // Adapters that can (Firestore) read and write it in one transaction, so
+  // changes made elsewhere in between are not lost.
+  async update(key, change) {
+    const adapter = this.adapterFor(key);
+
+    if (adapter.update) {
+      const value = await adapter.update(key, change);
+      this.unloaded.delete(key);
+      return value;
+    }
+
+    const value = change(await this.load(key));
+    await this.save(key, value);
+    return value;
+  },
+
+  // Move documents saved in localStorage before the store into IndexedDB
+  async importLocalStorage() {
+    for (const [key, legacyKey] of Object.entries(this.documents)) {
+      const stored = localStorage.getItem(legacyKey);
+      if (stored === null) continue;
+
+      try {
+        if (await this.local.load(key) === null) {
+          // The theme was stored on its own as a plain string
+          const value = key === 'preferences' ? { theme: stored } : JSON.parse(stored);
+          await this.local.save(key, value);
+          console.log(`${key} moved from localStorage to IndexedDB`);
+        }
+        localStorage.removeItem(legacyKey);
+      } catch (error) {
+        console.error(`Error moving ${key} to IndexedDB:`, error);
+      }
+    }
+  },
+
+  adapters: {
+    // Documents in memory only, copied in and out like a real store
+    memory(initial = {}) {
+      const documents = new Map(Object.entries(initial).map(([key, value]) => [key, JSON.stringify(value)]));
+
+      return {
+        name: 'memory',
+        async init() {},
+        async load(key) {
+          return documents.has(key) ? JSON.parse(documents.get(key)) : null;
+        },
+        async save(key, value) {
+          documents.set(key, JSON.stringify(value));
+        }
+      };
+    },
+
+    // Documents in an IndexedDB object store, keyed by document name
+    indexedDB(databaseName = 'luminaryops') {
+      const storeName = 'documents';
+      let db = null;
+
+      const result = request => new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+
+      return {
+        name: 'IndexedDB',
+        async init() {
+          const open = indexedDB.open(databaseName, 1);
+          open.onupgradeneeded = () => open.result.createObjectStore(storeName);
+          db = await result(open);
+        },
+        async load(key) {
+          const value = await result(db.transaction(storeName).objectStore(storeName).get(key));
+          return value === undefined ? null : value;
+        },
+        save(key, value) {
+          return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readwrite');
+            transaction.objectStore(storeName).put(value, key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+          });
+        }
+      };
+    },
+
+    // Documents as JSON under their original localStorage keys, after a prefix
+    // that keeps each organization's apart
+    localStorage(prefix = '') {
+      return {
+        name: 'localStorage',
+        async init() {},
+        async load(key) {
+          const stored = localStorage.getItem(prefix + DataStore.documents[key]);
+          if (stored === null) return null;
+
+          return key === 'preferences' && !stored.startsWith('{') ? { theme: stored } : JSON.parse(stored);
+        },
+        async save(key, value) {
+          localStorage.setItem(prefix + DataStore.documents[key], JSON.stringify(value));
+        }
+      };
+    },
+
+    // The signed-in organization's Firestore documents. FirebaseStorage loads
+    // throw on failure, but saves resolve to false, so those become errors here.
+    // Documents the member's role cannot read (see firestore.rules) load as
+    // never saved, and the rules refuse saving them.
+    firestore() {
+      const methods = {
+        history: ['loadHistory', 'saveHistory', 'history'],
+        calendar: ['loadCalendarData', 'saveCalendarData', 'calendar'],
+        signatures: ['loadSignatureHistory', null, 'signatures'],
+        preferences: ['loadPreferences', 'savePreferences', 'preferences'],
+        rateCards: ['loadRateCards', 'saveRateCards', 'rate_cards'],
+        invoiceNumbers: ['loadInvoiceNumbering', 'saveInvoiceNumbering', 'invoice_numbers'],
+        clients: ['loadClients', 'saveClients', 'clients'],
+        venues: ['loadVenues', 'saveVenues', 'venues'],
+        pinUsers: ['loadPinRecord', 'savePinRecord', 'auth']
+      };
+
+      return {
+        name: 'Firebase',
+        async init() {
+          if (!FirebaseStorage.orgId) {
+            throw new Error('Firestore storage needs a signed-in organization');
+          }
+        },
+        async load(key) {
+          if (!FirebaseStorage.canRead(methods[key][2])) return null;
+
+          const value = await FirebaseStorage[methods[key][0]]();
+          return value === undefined ? null : value;
+        },
+        async save(key, value) {
+          if (!methods[key][1]) {
+            throw new Error(`${key} can only be added to`);
+          }
+          if (!await FirebaseStorage[methods[key][1]](value)) {
+            throw new Error(`Firebase did not save ${key}`);
+          }
+        },
+        async append(key, entry) {
+          if (key !== 'signatures' || !await FirebaseStorage.saveSignatureData(entry)) {
+            throw new Error(`Firebase did not add to ${key}`);
+          }
+        },
+        async update(key, change) {
+          if (key !== 'invoiceNumbers') {
+            throw new Error(`Firebase cannot update ${key} in a transaction`);
+          }
+          return FirebaseStorage.updateInvoiceNumbering(change);
+        }
+      };
+    }
+  }
+};
+
+// Allow the store to be required from Node (tests)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DataStore;
+}
@@ -1,19 +1,48 @@
 /**
  * Firebase Integration Module
  * Handles all storage operations through Firebase
+ * Data is only stored in the cloud once the user has signed in with Firebase
+ * Auth (email and password, or an emailed sign-in link) and verified their
+ * email. Each user belongs to one organization and all of its data lives under
+ * orgs/{orgId}/ (see firestore.rules).
+ *
+ * Local testing: run `firebase emulators:start` in the project folder and open
+ * the app on localhost with ?emulator in the URL. Verification and sign-in
+ * emails then appear in the emulator's log instead of being sent.
  */
 
 const FirebaseStorage = {
   db: null,
+  auth: null,
+  user: null,
+  orgId: null,
+  // The signed-in member's role in their organization: 'owner', 'viewer' or 'crewLead'
+  memberRole: null,
+  // Collections each role other than the owner can read, as in firestore.rules
+  roleReads: {
+    viewer: ['history', 'history_html', 'calendar', 'calendar_financials', 'signatures', 'rate_cards',
+      'invoice_numbers', 'clients', 'venues', 'preferences', 'auth'],
+    crewLead: ['calendar', 'rate_cards', 'preferences', 'auth']
+  },
   isInitialized: false,
+  // Emulator suite ports, matching firebase.json
+  emulatorPorts: { auth: 9099, firestore: 8080 },
+  emailKey: 'emailForSignIn',
+  // Shared documents and collections written before sign-in was required,
+  // copied once into their owner's organization (see migrateLegacyData)
+  legacyDocs: [['history', 'user_data'], ['calendar', 'availability'], ['rate_cards', 'versions'],
+    ['invoice_numbers', 'sequence'], ['clients', 'directory'], ['venues', 'library'], ['auth', 'pin'],
+    ['preferences', 'user_prefs']],
+  legacyCollections: ['history_html', 'signatures'],
   
-  // Initialize Firebase
+  // Initialize Firebase. Resolves to whether cloud storage can be used, i.e. a
+  // verified user is signed in and their organization is known.
   async init() {
     try {
       // Check if Firebase is already initialized
       if (this.isInitialized) {
         console.log('Firebase already initialized');
-        return true;
+        return !!this.orgId;
       }
       
       // Initialize Firebase app
@@ -31,9 +60,39 @@ const FirebaseStorage = {
       // Initialize Firebase
       firebase.initializeApp(firebaseConfig);
       this.db = firebase.firestore();
-      this.isInitialized = true;
+      this.auth = firebase.auth();
+      
+      if (this.usingEmulator()) {
+        this.auth.useEmulator(`http://${location.hostname}:${this.emulatorPorts.auth}`);
+        this.db.useEmulator(location.hostname, this.emulatorPorts.firestore);
+        console.log('Using the Firebase emulator suite');
+      }
       
+      this.isInitialized = true;
       console.log('Firebase initialized successfully');
+      
+      await this.completeEmailLinkSignIn();
+      this.user = await this.currentUser();
+      
+      if (!this.user) {
+        console.log('Not signed in; using local storage');
+        return false;
+      }
+      
+      // An email verified since the last visit only shows once the user and their token are refreshed
+      if (!this.user.emailVerified) {
+        await this.user.reload();
+        this.user = this.auth.currentUser;
+        if (this.user.emailVerified) await this.user.getIdToken(true);
+      }
+      if (!this.user.emailVerified) {
+        console.log('Email not verified yet; using local storage');
+        return false;
+      }
+      
+      this.orgId = await this.joinOrganization(this.user);
+      this.memberRole = await this.loadMemberRole();
+      console.log(`Signed in as ${this.user.email} (organization ${this.orgId}, ${this.memberRole})`);
       return true;
     } catch (error) {
       console.error('Error initializing Firebase:', error);
@@ -41,6 +100,207 @@ const FirebaseStorage = {
     }
   },
   
+  // Whether to connect to the local emulator suite (?emulator on localhost)
+  usingEmulator() {
+    return ['localhost', '127.0.0.1'].includes(location.hostname) &&
+      new URLSearchParams(location.search).has('emulator');
+  },
+  
+  // The signed-in user once Firebase Auth has restored the session, or null
+  currentUser() {
+    return new Promise(resolve => {
+      const unsubscribe = this.auth.onAuthStateChanged(user => {
+        unsubscribe();
+        resolve(user);
+      });
+    });
+  },
+  
+  // Sign in with an email and password
+  async signIn(email, password) {
+    await this.auth.signInWithEmailAndPassword(email, password);
+  },
+  
+  // Create an account and send the email verification
+  async createAccount(email, password) {
+    const credential = await this.auth.createUserWithEmailAndPassword(email, password);
+    await credential.user.sendEmailVerification({ url: this.returnUrl() });
+  },
+  
+  // Resend the verification email to the signed-in user
+  async resendVerification() {
+    await this.auth.currentUser.sendEmailVerification({ url: this.returnUrl() });
+  },
+  
+  // Email a sign-in link; the email is remembered to complete sign-in on return
+  async sendSignInLink(email) {
+    await this.auth.sendSignInLinkToEmail(email, { url: this.returnUrl(), handleCodeInApp: true });
+    localStorage.setItem(this.emailKey, email);
+  },
+  
+  // Finish signing in if the page was opened from an emailed sign-in link
+  async completeEmailLinkSignIn() {
+    if (!this.auth.isSignInWithEmailLink(location.href)) return;
+    
+    const email = localStorage.getItem(this.emailKey) || prompt('Please confirm your email to finish signing in');
+    if (!email) return;
+    
+    await this.auth.signInWithEmailLink(email, location.href);
+    localStorage.removeItem(this.emailKey);
+    
+    // Drop the one-time code from the address bar
+    history.replaceState(null, '', this.returnUrl());
+  },
+  
+  // This page's address (keeping ?emulator) to return to from emails
+  returnUrl() {
+    return location.origin + location.pathname + (this.usingEmulator() ? '?emulator' : '');
+  },
+  
+  // Sign out; the app reloads into local storage
+  async signOut() {
+    await this.auth.signOut();
+  },
+  
+  // The user's organization: the one they belong to, the one they were invited
+  // to, or else a new one of their own
+  async joinOrganization(user) {
+    const timestamp = firebase.firestore.FieldValue.serverTimestamp();
+    const email = user.email.toLowerCase();
+    const userRef = this.db.collection('users').doc(user.uid);
+    
+    const userDoc = await userRef.get();
+    if (userDoc.exists) return userDoc.data().orgId;
+    
+    const invites = await this.db.collectionGroup('invites').where('email', '==', email).limit(1).get();
+    let orgId;
+    
+    if (!invites.empty) {
+      const invite = invites.docs[0];
+      orgId = invite.data().orgId;
+      
+      await this.db.collection('orgs').doc(orgId).collection('members').doc(user.uid).set({
+        email,
+        role: invite.data().role || 'crewLead',
+        joined: timestamp
+      });
+      await invite.ref.delete();
+      console.log(`Joined organization ${orgId} by invite`);
+    } else {
+      const orgRef = this.db.collection('orgs').doc();
+      orgId = orgRef.id;
+      
+      await orgRef.set({ name: email, owner: user.uid, created: timestamp });
+      await orgRef.collection('members').doc(user.uid).set({ email, role: 'owner', joined: timestamp });
+      console.log(`Created organization ${orgId}`);
+    }
+    
+    await userRef.set({ orgId, email });
+    
+    if (invites.empty) {
+      await this.migrateLegacyData(orgId, user);
+    }
+    
+    return orgId;
+  },
+  
+  // Copy the shared pre-sign-in documents into a new organization. Only the
+  // owner named in config/legacyMigration can, and only once (see firestore.rules).
+  async migrateLegacyData(orgId, user) {
+    const migrationRef = this.db.collection('config').doc('legacyMigration');
+    const org = this.db.collection('orgs').doc(orgId);
+    
+    try {
+      const migration = await migrationRef.get();
+      if (!migration.exists || migration.data().ownerUid !== user.uid || migration.data().migratedTo) return;
+      
+      if (!confirm('Copy the data saved to the cloud before sign-in was required into your organization?')) return;
+      
+      for (const [collection, id] of this.legacyDocs) {
+        const doc = await this.db.collection(collection).doc(id).get();
+        if (doc.exists) await org.collection(collection).doc(id).set(doc.data());
+      }
+      
+      for (const collection of this.legacyCollections) {
+        const snapshot = await this.db.collection(collection).get();
+        for (const doc of snapshot.docs) {
+          await org.collection(collection).doc(doc.id).set(doc.data());
+        }
+      }
+      
+      // Closes the old documents to everyone
+      await migrationRef.update({ migratedTo: orgId });
+      console.log('Legacy data copied into the organization');
+    } catch (error) {
+      console.error('Error copying legacy data:', error);
+    }
+  },
+  
+  // A collection in the signed-in user's organization
+  orgCollection(name) {
+    return this.db.collection('orgs').doc(this.orgId).collection(name);
+  },
+  
+  // A document in the signed-in user's organization
+  orgDoc(collection, id) {
+    return this.orgCollection(collection).doc(id);
+  },
+  
+  // Whether the signed-in user owns their organization
+  async isOrgOwner() {
+    const orgDoc = await this.db.collection('orgs').doc(this.orgId).get();
+    return orgDoc.exists && orgDoc.data().owner === this.user.uid;
+  },
+  
+  // The signed-in member's role; members from before roles were recorded get the least access
+  async loadMemberRole() {
+    if (await this.isOrgOwner()) return 'owner';
+    
+    const member = await this.orgDoc('members', this.user.uid).get();
+    return (member.exists && member.data().role) || 'crewLead';
+  },
+  
+  // Whether the signed-in member's role can read a collection
+  canRead(collection) {
+    return this.memberRole === 'owner' || (this.roleReads[this.memberRole] || []).includes(collection);
+  },
+  
+  // Change a member's role (owner only, per the rules)
+  async setMemberRole(uid, role) {
+    await this.orgDoc('members', uid).update({ role });
+  },
+  
+  // The organization's members and pending invites
+  async loadMembers() {
+    const org = this.db.collection('orgs').doc(this.orgId);
+    const [orgDoc, members, invites] = await Promise.all([
+      org.get(), org.collection('members').get(), org.collection('invites').get()
+    ]);
+    
+    return {
+      owner: orgDoc.exists ? orgDoc.data().owner : null,
+      members: members.docs.map(doc => ({ uid: doc.id, ...doc.data() })),
+      invites: invites.docs.map(doc => doc.data())
+    };
+  },
+  
+  // Invite someone to the organization by email with the role they join as (owner only, per the rules)
+  async inviteMember(email, role) {
+    email = email.trim().toLowerCase();
+    await this.orgDoc('invites', email).set({
+      email,
+      role,
+      orgId: this.orgId,
+      invitedBy: this.user.uid,
+      created: firebase.firestore.FieldValue.serverTimestamp()
+    });
+  },
+  
+  // Withdraw an invite that has not been used yet
+  async revokeInvite(email) {
+    await this.orgDoc('invites', email).delete();
+  },
+  
   // Convert data to be Firestore-compatible (improved event handling)
   sanitizeDataForFirestore(data) {
     if (!data) return data;
@@ -79,6 +339,7 @@ const FirebaseStorage = {
                 fullDay: event.fullDay || false,
                 startTime: event.startTime || '00:00',
                 endTime: event.endTime || '23:59',
+                crewLeadId: event.crewLeadId || null,
                 // Simplify clientData to avoid complex nesting
                 clientData: event.clientData ? {
                   clientName: event.clientData.clientName || '',
@@ -87,6 +348,7 @@ const FirebaseStorage = {
                   depositPaid: event.clientData.depositPaid || false,
                   notes: event.clientData.notes || '',
                   quoteId: event.clientData.quoteId || '',
+                  bookingSetId: event.clientData.bookingSetId || '',
                   travelDays: event.clientData.travelDays || 0,
                   isTravel: event.clientData.isTravel || false,
                   travelLabel: event.clientData.travelLabel || '',
@@ -141,7 +403,7 @@ const FirebaseStorage = {
       const sanitizedData = this.sanitizeDataForFirestore(historyData);
       
       // Store sanitized data in Firestore
-      await this.db.collection('history').doc('user_data').set({ 
+      await this.orgDoc('history', 'user_data').set({ 
         data: sanitizedData,
         lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
       });
@@ -149,7 +411,7 @@ const FirebaseStorage = {
       // Separately store each item's HTML content for retrieval
       for (const item of historyData) {
         if (item.html && item.id) {
-          await this.db.collection('history_html').doc(item.id).set({
+          await this.orgDoc('history_html', item.id).set({
             html: item.html,
             itemId: item.id,
             type: item.type,
@@ -198,6 +460,7 @@ const FirebaseStorage = {
                   fullDay: typeof event.fullDay === 'boolean' ? event.fullDay : false,
                   startTime: event.startTime || '00:00',
                   endTime: event.endTime || '23:59',
+                  crewLeadId: event.crewLeadId || null,
                   clientData: event.clientData || null
                 };
               });
@@ -215,6 +478,7 @@ const FirebaseStorage = {
                     fullDay: typeof event.fullDay === 'boolean' ? event.fullDay : false,
                     startTime: event.startTime || '00:00',
                     endTime: event.endTime || '23:59',
+                    crewLeadId: event.crewLeadId || null,
                     clientData: event.clientData || null
                   })) : [];
               } catch (e) {
@@ -257,8 +521,8 @@ const FirebaseStorage = {
       if (!this.isInitialized) await this.init();
       
       // Get sanitized history data
-      const doc = await this.db.collection('history').doc('user_data').get();
-      let historyData = [];
+      const doc = await this.orgDoc('history', 'user_data').get();
+      let historyData = null;
       
       if (doc.exists) {
         const sanitizedData = doc.data().data || [];
@@ -267,7 +531,7 @@ const FirebaseStorage = {
         // Load HTML content for each item
         for (const item of historyData) {
           if (item.id) {
-            const htmlDoc = await this.db.collection('history_html').doc(item.id).get();
+            const htmlDoc = await this.orgDoc('history_html', item.id).get();
             if (htmlDoc.exists) {
               item.html = htmlDoc.data().html;
             }
@@ -282,7 +546,7 @@ const FirebaseStorage = {
       return historyData;
     } catch (error) {
       console.error('Error loading history data:', error);
-      return [];
+      throw error;
     }
   },
   
@@ -294,10 +558,15 @@ const FirebaseStorage = {
       // Convert availability data to be Firestore-compatible
       const sanitizedAvailability = this.sanitizeDataForFirestore(availability);
       
+      const financials = this.splitCalendarFinancials(sanitizedAvailability);
+      
       // Add logging to check what's being saved
       console.log('Saving calendar data to Firebase:', JSON.stringify(sanitizedAvailability).substring(0, 500) + '...');
       
-      await this.db.collection('calendar').doc('availability').set(sanitizedAvailability);
+      const batch = this.db.batch();
+      batch.set(this.orgDoc('calendar', 'availability'), sanitizedAvailability);
+      batch.set(this.orgDoc('calendar_financials', 'availability'), financials);
+      await batch.commit();
       console.log('Calendar data saved to Firebase');
       return true;
     } catch (error) {
@@ -306,12 +575,51 @@ const FirebaseStorage = {
     }
   },
   
+  // Move deposit status out of sanitized calendar data into a document of its
+  // own, which crew leads cannot read (see firestore.rules). Returns that
+  // document: { events: { date: { eventId: depositPaid } }, bookedDates: { date: depositPaid } }
+  splitCalendarFinancials(sanitized) {
+    const financials = { events: {}, bookedDates: {} };
+    
+    Object.entries(sanitized.events || {}).forEach(([dateStr, events]) => {
+      events.filter(event => event.clientData).forEach(event => {
+        financials.events[dateStr] = financials.events[dateStr] || {};
+        financials.events[dateStr][event.id] = !!event.clientData.depositPaid;
+        delete event.clientData.depositPaid;
+      });
+    });
+    
+    Object.entries(sanitized.bookedDates || {}).forEach(([dateStr, booking]) => {
+      if (booking && typeof booking === 'object' && 'depositPaid' in booking) {
+        financials.bookedDates[dateStr] = !!booking.depositPaid;
+        delete booking.depositPaid;
+      }
+    });
+    
+    return financials;
+  },
+  
+  // Put the deposit status from the financials document back on the loaded calendar
+  mergeCalendarFinancials(restored, financials) {
+    Object.entries(restored.events).forEach(([dateStr, events]) => {
+      const paid = (financials.events || {})[dateStr] || {};
+      (Array.isArray(events) ? events : []).forEach(event => {
+        if (event.clientData && event.id in paid) event.clientData.depositPaid = paid[event.id];
+      });
+    });
+    
+    Object.entries(financials.bookedDates || {}).forEach(([dateStr, depositPaid]) => {
+      const booking = restored.bookedDates[dateStr];
+      if (booking && typeof booking === 'object') booking.depositPaid = depositPaid;
+    });
+  },
+  
   // Load calendar availability data with improved event handling
   async loadCalendarData() {
     try {
       if (!this.isInitialized) await this.init();
       
-      const doc = await this.db.collection('calendar').doc('availability').get();
+      const doc = await this.orgDoc('calendar', 'availability').get();
       if (doc.exists) {
         const sanitizedData = doc.data();
         const restored = this.restoreDataFromFirestore(sanitizedData);
@@ -325,16 +633,21 @@ const FirebaseStorage = {
         if (!restored.blockedDates) restored.blockedDates = {};
         if (!restored.bookedDates) restored.bookedDates = {};
         
+        // Deposit status, for the roles that may see it
+        if (this.canRead('calendar_financials')) {
+          const financials = await this.orgDoc('calendar_financials', 'availability').get();
+          if (financials.exists) this.mergeCalendarFinancials(restored, financials.data());
+        }
+        
         return restored;
       } else {
         console.log('No calendar data found in Firebase');
-        // Include all required properties
-        return { bookedDates: {}, blockedDates: {}, events: {} };
+        return null;
       }
     } catch (error) {
+      // An empty calendar here would be saved over every booking, so let the caller know
       console.error('Error loading calendar data:', error);
-      // Include all required properties
-      return { bookedDates: {}, blockedDates: {}, events: {} };
+      throw error;
     }
   },
   
@@ -347,7 +660,7 @@ const FirebaseStorage = {
       const sanitizedData = this.sanitizeDataForFirestore(signatureData);
       
       // Add to signature collection
-      await this.db.collection('signatures').add({
+      await this.orgCollection('signatures').add({
         ...sanitizedData,
         timestamp: firebase.firestore.FieldValue.serverTimestamp()
       });
@@ -365,7 +678,7 @@ const FirebaseStorage = {
     try {
       if (!this.isInitialized) await this.init();
       
-      const snapshot = await this.db.collection('signatures')
+      const snapshot = await this.orgCollection('signatures')
         .orderBy('timestamp', 'desc')
         .limit(50)
         .get();
@@ -383,7 +696,282 @@ const FirebaseStorage = {
       return signatures;
     } catch (error) {
       console.error('Error loading signature history:', error);
-      return [];
+      throw error;
+    }
+  },
+  
+  // Save rate card versions
+  async saveRateCards(versions) {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      await this.orgDoc('rate_cards', 'versions').set({
+        data: this.sanitizeDataForFirestore(versions),
+        lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      
+      console.log('Rate cards saved to Firebase');
+      return true;
+    } catch (error) {
+      console.error('Error saving rate cards:', error);
+      return false;
+    }
+  },
+  
+  // Load rate card versions
+  async loadRateCards() {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      const doc = await this.orgDoc('rate_cards', 'versions').get();
+      if (doc.exists) {
+        console.log('Rate cards loaded from Firebase');
+        return this.restoreDataFromFirestore(doc.data().data || []);
+      } else {
+        console.log('No rate cards found in Firebase');
+        return null;
+      }
+    } catch (error) {
+      console.error('Error loading rate cards:', error);
+      throw error;
+    }
+  },
+  
+  // Save the invoice numbering state (sequence counters and voided numbers)
+  async saveInvoiceNumbering(state) {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      await this.orgDoc('invoice_numbers', 'sequence').set({
+        data: this.sanitizeDataForFirestore(state),
+        lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      
+      console.log('Invoice numbering saved to Firebase');
+      return true;
+    } catch (error) {
+      console.error('Error saving invoice numbering:', error);
+      return false;
+    }
+  },
+  
+  // Replace the invoice numbering state with change(stored state) in a transaction,
+  // so devices in the organization never issue the same number
+  async updateInvoiceNumbering(change) {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      const ref = this.orgDoc('invoice_numbers', 'sequence');
+      const state = await this.db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        const next = change(doc.exists ? this.restoreDataFromFirestore(doc.data().data || null) : null);
+        
+        transaction.set(ref, {
+          data: this.sanitizeDataForFirestore(next),
+          lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        return next;
+      });
+      
+      console.log('Invoice numbering updated in Firebase');
+      return state;
+    } catch (error) {
+      console.error('Error updating invoice numbering:', error);
+      throw error;
+    }
+  },
+  
+  // Load the invoice numbering state
+  async loadInvoiceNumbering() {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      const doc = await this.orgDoc('invoice_numbers', 'sequence').get();
+      if (doc.exists) {
+        console.log('Invoice numbering loaded from Firebase');
+        return this.restoreDataFromFirestore(doc.data().data || null);
+      } else {
+        console.log('No invoice numbering found in Firebase');
+        return null;
+      }
+    } catch (error) {
+      console.error('Error loading invoice numbering:', error);
+      throw error;
+    }
+  },
+  
+  // Save the client directory
+  async saveClients(clients) {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      await this.orgDoc('clients', 'directory').set({
+        data: this.sanitizeDataForFirestore({ clients }),
+        lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      
+      console.log('Client directory saved to Firebase');
+      return true;
+    } catch (error) {
+      console.error('Error saving client directory:', error);
+      return false;
+    }
+  },
+  
+  // Load the client directory
+  async loadClients() {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      const doc = await this.orgDoc('clients', 'directory').get();
+      if (doc.exists) {
+        console.log('Client directory loaded from Firebase');
+        const data = this.restoreDataFromFirestore(doc.data().data || {});
+        return data.clients || [];
+      } else {
+        console.log('No client directory found in Firebase');
+        return null;
+      }
+    } catch (error) {
+      console.error('Error loading client directory:', error);
+      throw error;
+    }
+  },
+  
+  // Save the venue library
+  async saveVenues(venues) {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      await this.orgDoc('venues', 'library').set({
+        data: this.sanitizeDataForFirestore({ venues }),
+        lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+      });
+      
+      console.log('Venue library saved to Firebase');
+      return true;
+    } catch (error) {
+      console.error('Error saving venue library:', error);
+      return false;
+    }
+  },
+  
+  // Load the venue library
+  async loadVenues() {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      const doc = await this.orgDoc('venues', 'library').get();
+      if (doc.exists) {
+        console.log('Venue library loaded from Firebase');
+        const data = this.restoreDataFromFirestore(doc.data().data || {});
+        return data.venues || [];
+      } else {
+        console.log('No venue library found in Firebase');
+        return null;
+      }
+    } catch (error) {
+      console.error('Error loading venue library:', error);
+      throw error;
+    }
+  },
+  
+  // Save the PIN users. Their names and roles go in auth/pin, which every member
+  // reads to sign in; each PIN hash goes in its own pins/{userId} document, which
+  // only the owner and the account that user signs in on can read (see
+  // firestore.rules), so other members cannot brute-force it offline. The owner
+  // saves everything; other members can only save the PINs of their own users.
+  async savePinRecord(record) {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      const users = record.users || [];
+      const publicUsers = users.map(({ id, name, role, uid }) => ({ id, name, role, uid: uid || null }));
+      const isOwner = await this.isOrgOwner();
+      const batch = this.db.batch();
+      
+      if (!isOwner) {
+        const stored = await this.orgDoc('auth', 'pin').get();
+        const storedUsers = stored.exists && stored.data().data ? stored.data().data.users : [];
+        const summary = list => JSON.stringify(list.map(({ id, name, role, uid }) => [id, name, role, uid || null]));
+        if (summary(storedUsers) !== summary(publicUsers)) {
+          throw new Error('Only the organization\'s owner can change the users');
+        }
+      } else {
+        batch.set(this.orgDoc('auth', 'pin'), {
+          data: { users: publicUsers },
+          lastUpdated: firebase.firestore.FieldValue.serverTimestamp()
+        });
+        
+        const stored = await this.orgCollection('pins').get();
+        stored.docs
+          .filter(doc => !users.some(user => user.id === doc.id))
+          .forEach(doc => batch.delete(doc.ref));
+      }
+      
+      users
+        .filter(user => user.hash && (isOwner || user.uid === this.user.uid))
+        .forEach(user => {
+          batch.set(this.orgDoc('pins', user.id), {
+            salt: user.salt,
+            hash: user.hash,
+            iterations: user.iterations,
+            uid: user.uid || null
+          });
+        });
+      
+      await batch.commit();
+      console.log('PIN record saved to Firebase');
+      return true;
+    } catch (error) {
+      console.error('Error saving PIN record:', error);
+      return false;
+    }
+  },
+  
+  // Load the PIN users with the hashes this account may read; the others are
+  // loaded without one and cannot sign in here
+  async loadPinRecord() {
+    try {
+      if (!this.isInitialized) await this.init();
+      
+      const doc = await this.orgDoc('auth', 'pin').get();
+      if (!doc.exists) {
+        console.log('No PIN record found in Firebase');
+        return null;
+      }
+      
+      const record = doc.data().data || { users: [] };
+      
+      // Records from before the hashes had their own documents keep them in
+      // auth/pin (a single PIN from before users is the owner's); the owner
+      // moves them out on loading
+      const inlineUsers = !Array.isArray(record.users) ?
+        (record.hash ? [{ id: 'owner', name: 'Owner', role: 'owner', ...record }] : []) :
+        record.users.some(user => user.hash) ? record.users : null;
+      
+      if (inlineUsers) {
+        if (await this.isOrgOwner() && await this.savePinRecord({ users: inlineUsers })) {
+          console.log('PIN hashes moved out of the shared PIN record');
+        }
+        return { users: inlineUsers };
+      }
+      
+      const users = await Promise.all(record.users.map(async user => {
+        try {
+          const pin = await this.orgDoc('pins', user.id).get();
+          return pin.exists ? { ...user, ...pin.data() } : user;
+        } catch (error) {
+          if (error.code === 'permission-denied') return user;
+          throw error;
+        }
+      }));
+      
+      console.log('PIN record loaded from Firebase');
+      return { users };
+    } catch (error) {
+      console.error('Error loading PIN record:', error);
+      throw error;
     }
   },
   
@@ -392,7 +980,7 @@ const FirebaseStorage = {
     try {
       if (!this.isInitialized) await this.init();
       
-      await this.db.collection('preferences').doc('user_prefs').set(preferences);
+      await this.orgDoc('preferences', 'user_prefs').set(preferences);
       console.log('Preferences saved to Firebase');
       return true;
     } catch (error) {
@@ -406,17 +994,17 @@ const FirebaseStorage = {
     try {
       if (!this.isInitialized) await this.init();
       
-      const doc = await this.db.collection('preferences').doc('user_prefs').get();
+      const doc = await this.orgDoc('preferences', 'user_prefs').get();
       if (doc.exists) {
         console.log('Preferences loaded from Firebase');
-        return doc.data() || { theme: 'dark' };
+        return doc.data();
       } else {
         console.log('No preferences found in Firebase');
-        return { theme: 'dark' };
+        return null;
       }
     } catch (error) {
       console.error('Error loading preferences:', error);
-      return { theme: 'dark' };
+      throw error;
     }
   }
 };
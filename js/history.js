@@ -5,6 +5,19 @@
 
 const History = {
   historyData: [],
+  // Quote lifecycle. Expired is evaluated from the quote's valid-until date,
+  // superseded marks revisions replaced by a later one (or a quote replaced by another).
+  quoteStatuses: {
+    draft: { label: 'Draft', badge: 'badge-primary' },
+    sent: { label: 'Sent', badge: 'badge-primary' },
+    viewed: { label: 'Viewed', badge: 'badge-primary' },
+    accepted: { label: 'Accepted', badge: 'badge-success' },
+    declined: { label: 'Declined', badge: 'badge-danger' },
+    expired: { label: 'Expired', badge: 'badge-warning' },
+    superseded: { label: 'Superseded', badge: 'badge-warning' }
+  },
+  // Statuses a quote can still be signed or expire from
+  openQuoteStatuses: ['draft', 'sent', 'viewed'],
   
   // Initialize history module
   async init() {
@@ -43,7 +56,17 @@ const History = {
     // Add content structure
     tabContent.innerHTML = `
       <div class="card">
-        <h2><i class="fas fa-history"></i> Quote & Invoice History</h2>
+        <div style="display: flex; justify-content: space-between; align-items: center;">
+          <h2><i class="fas fa-history"></i> Quote & Invoice History</h2>
+          <div style="display: flex; gap: 0.5rem;">
+            <button type="button" class="btn btn-sm btn-outline" id="arReportBtn">
+              <i class="fas fa-hourglass-half"></i> Aging Report
+            </button>
+            <button type="button" class="btn btn-sm btn-outline" id="invoiceNumbersBtn">
+              <i class="fas fa-hashtag"></i> Invoice Numbers
+            </button>
+          </div>
+        </div>
         
         <div class="search-filter" style="margin-bottom: 1.5rem;">
           <div class="row">
@@ -62,6 +85,11 @@ const History = {
                   <option value="invoices">Invoices Only</option>
                   <option value="accepted-quotes">Accepted Quotes Only</option>
                   <option value="unaccepted-quotes">Unaccepted Quotes Only</option>
+                  <optgroup label="Quotes by Status">
+                    ${Object.entries(this.quoteStatuses).map(([status, info]) => `
+                    <option value="status-${status}">${info.label}</option>
+                    `).join('')}
+                  </optgroup>
                 </select>
               </div>
             </div>
@@ -82,6 +110,12 @@ const History = {
     // Add search/filter functionality
     document.getElementById('historySearch').addEventListener('input', this.refreshHistoryDisplay.bind(this));
     document.getElementById('historyFilter').addEventListener('change', this.refreshHistoryDisplay.bind(this));
+    document.getElementById('invoiceNumbersBtn').addEventListener('click', () => {
+      PinAuth.verifyPin(() => InvoiceNumbers.showManager(), 'invoices.create');
+    });
+    document.getElementById('arReportBtn').addEventListener('click', () => {
+      PinAuth.verifyPin(() => ARReport.show(), 'reports.view');
+    });
   
     // IMPORTANT: Manually add the event listener for the history tab
     // This is necessary because the tab is added after UI.initTabs() is called
@@ -101,7 +135,7 @@ const History = {
           
           // Refresh history display
           this.refreshHistoryDisplay();
-        });
+        }, 'history.view');
       } else {
         console.error('PinAuth module not available');
         alert('PIN Authentication system is not available. Unable to access history.');
@@ -120,14 +154,7 @@ const History = {
       }, 700); // Wait for quote to be rendered
     });
     
-    // Save invoice when generated
-    document.getElementById('generateInvoice').addEventListener('click', () => {
-      setTimeout(() => {
-        if (AppState.invoiceData) {
-          this.saveInvoice();
-        }
-      }, 700); // Wait for invoice to be rendered
-    });
+    // Invoices are saved when the invoice editor finalizes them
     
     // Listen for signature events to update quote status
     this.setupSignatureEventListeners();
@@ -181,6 +208,8 @@ const History = {
       this.historyData[quoteIndex].accepted = true;
       this.historyData[quoteIndex].signatureData = signatureDataCopy;
       this.historyData[quoteIndex].acceptedDate = new Date().toISOString();
+      this.historyData[quoteIndex].acceptedRevision = this.quoteRevisions(this.historyData[quoteIndex]).length;
+      this.applyQuoteStatus(this.historyData[quoteIndex], 'accepted');
       
       console.log('Quote updated with signature data:', this.historyData[quoteIndex]);
       
@@ -222,74 +251,32 @@ const History = {
     }, 3000);
   },
   
-  // Load history from Firebase or localStorage
+  // Load history
   async loadHistory() {
     try {
-      // Check if Firebase integration is enabled
-      if (AppState.usingFirebase) {
-        // Load from Firebase
-        const firebaseHistory = await FirebaseStorage.loadHistory();
-        if (firebaseHistory && firebaseHistory.length > 0) {
-          this.historyData = firebaseHistory;
-          // Update AppState to match Calendar's pattern
-          AppState.historyData = this.historyData;
-          console.log('History loaded from Firebase:', this.historyData.length, 'items');
-          return;
-        }
-      }
-      
-      // Fallback to localStorage
-      const storedHistory = localStorage.getItem('history');
-      if (storedHistory) {
-        this.historyData = JSON.parse(storedHistory);
-        // Update AppState to match Calendar's pattern
-        AppState.historyData = this.historyData;
-        console.log('History loaded from localStorage:', this.historyData.length, 'items');
-        return;
-      }
-      
-      // Initialize with empty history if nothing found
-      this.historyData = [];
-      AppState.historyData = [];
-      console.log('No history data found, initialized with empty array');
-      
+      this.historyData = (await DataStore.load('history')) || [];
+      this.dropRevisionHtml();
+      console.log('History loaded:', this.historyData.length, 'items');
     } catch (error) {
       console.error('Error loading history data:', error);
       
       // Fallback to empty history
       this.historyData = [];
-      AppState.historyData = [];
     }
+    
+    // Update AppState to match Calendar's pattern
+    AppState.historyData = this.historyData;
   },
   
   // Save history
   async saveHistory() {
+    // Update AppState
+    AppState.historyData = this.historyData;
+    
     try {
-      // Save to Firebase if available
-      if (AppState.usingFirebase) {
-        await FirebaseStorage.saveHistory(this.historyData);
-        // Update AppState
-        AppState.historyData = this.historyData;
-        console.log('History saved to Firebase');
-      } else {
-        // Fallback to localStorage
-        localStorage.setItem('history', JSON.stringify(this.historyData));
-        // Update AppState
-        AppState.historyData = this.historyData;
-        console.log('History saved to localStorage');
-      }
+      await DataStore.save('history', this.historyData);
     } catch (error) {
       console.error('Error saving history:', error);
-      
-      // Fallback to localStorage
-      try {
-        localStorage.setItem('history', JSON.stringify(this.historyData));
-        // Update AppState
-        AppState.historyData = this.historyData;
-        console.log('History saved to localStorage (fallback)');
-      } catch (localError) {
-        console.error('Error saving to localStorage:', localError);
-      }
     }
   },
   
@@ -298,46 +285,170 @@ const History = {
     if (!newData || newData.length === 0) return;
     
     this.historyData = newData;
+    this.dropRevisionHtml();
     // Update AppState
     AppState.historyData = this.historyData;
     this.refreshHistoryDisplay();
     console.log('History data updated from external source');
   },
   
+  // Drop the rendered HTML revision snapshots used to keep; the next save
+  // writes the history without it
+  dropRevisionHtml() {
+    this.historyData.forEach(item => {
+      (item.revisions || []).forEach(revision => delete revision.html);
+    });
+  },
+  
   // Create a unique ID for history items
   generateId() {
     return 'doc_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   },
   
   // Save quote to history
+  // A quote being revised gets a new revision under its existing ID instead of a new history item
   async saveQuote() {
     // Get client and project info
     const clientName = document.getElementById('clientName').value.trim() || 'Unnamed Client';
     const projectName = document.getElementById('projectName').value.trim() || 'Unnamed Project';
     
-    // Create unique ID for this quote
-    const quoteId = this.generateId();
+    const revising = AppState.revisingQuoteId &&
+      this.historyData.find(item => item.type === 'quote' && item.id === AppState.revisingQuoteId && !item.accepted);
     
-    // Create history item
+    // Create unique ID for a new quote
+    const quoteId = revising ? revising.id : this.generateId();
+    const revision = revising ? this.quoteRevisions(revising).length + 1 : 1;
+    
+    // Keep the ID and revision on the open quote so signing it can find it
+    AppState.quoteData.id = quoteId;
+    AppState.quoteData.revision = revision;
+    
+    const revisionBadge = document.getElementById('quoteRevision');
+    revisionBadge.textContent = `v${revision}`;
+    revisionBadge.style.display = 'inline-block';
+    
+    // Snapshot of this revision, with its full line items in quoteData. Only
+    // the latest revision keeps its rendered HTML (on the item itself), so the
+    // history document stays small enough for Firestore.
+    const snapshot = {
+      revision,
+      date: new Date().toISOString(),
+      amount: AppState.quoteTotal,
+      taxAmount: AppState.quoteData.tax ? AppState.quoteData.tax.amount : 0,
+      currency: AppState.quoteData.currency,
+      quoteData: { ...AppState.quoteData }
+    };
+    
+    // The history item always shows its latest revision
     const quoteItem = {
+      ...(revising || { accepted: false }),
       id: quoteId,
       type: 'quote',
       client: clientName,
       project: projectName,
-      amount: AppState.quoteTotal,
-      date: new Date().toISOString(),
-      quoteData: { ...AppState.quoteData, id: quoteId }, // Store the ID in the quote data too
+      amount: snapshot.amount,
+      taxAmount: snapshot.taxAmount,
+      currency: snapshot.currency,
+      date: snapshot.date,
+      quoteData: snapshot.quoteData,
       html: document.getElementById('quoteSection').innerHTML,
-      accepted: false // New field to track acceptance status
+      revisions: [...(revising ? this.quoteRevisions(revising) : []), snapshot]
     };
     
-    // Add to history
+    // Each revision starts as a draft; the revisions before it are superseded
+    this.applyQuoteStatus(quoteItem, 'draft');
+    
+    // Add to history; a revised quote moves to the top
+    this.historyData = this.historyData.filter(item => item.id !== quoteId);
     this.historyData.unshift(quoteItem);
     
+    // Later calculations are new quotes again until another quote is revised
+    AppState.revisingQuoteId = null;
+    UI.refreshRevisionNotice();
+    
     // Save history
     await this.saveHistory();
     
-    console.log('Quote saved to history:', quoteItem);
+    console.log(`Quote saved to history as v${revision}:`, quoteItem);
+  },
+  
+  // Revisions of a quote in history, oldest first. Quotes saved before
+  // revisions existed are their own v1.
+  quoteRevisions(item) {
+    if (item.revisions && item.revisions.length > 0) return item.revisions;
+    
+    return [{
+      revision: 1,
+      date: item.date,
+      amount: item.amount,
+      taxAmount: item.taxAmount || 0,
+      currency: item.currency,
+      quoteData: item.quoteData
+    }];
+  },
+  
+  // Date a quote is valid until (YYYY-MM-DD). Quotes priced before the date was stored
+  // are valid for the current rate card's validity period from the day they were saved.
+  quoteValidUntil(item) {
+    if (item.quoteData && item.quoteData.validUntil) return item.quoteData.validUntil;
+    
+    const date = new Date(item.date);
+    date.setDate(date.getDate() + AppState.rates.terms.quoteValidity);
+    return InvoiceEditor.toDateInput(date);
+  },
+  
+  // Current status of a quote in history. Open quotes past their valid-until date are expired
+  // even before expireQuotes has recorded it.
+  quoteStatus(item) {
+    if (item.accepted) return 'accepted';
+    
+    const status = item.status || 'draft';
+    if (this.openQuoteStatuses.includes(status) && this.quoteValidUntil(item) < InvoiceEditor.toDateInput(new Date())) {
+      return 'expired';
+    }
+    
+    return status;
+  },
+  
+  // Change the recorded status of a quote, keeping a dated trail of the changes
+  applyQuoteStatus(item, status) {
+    item.status = status;
+    item.statusHistory = [...(item.statusHistory || []), { status, date: new Date().toISOString() }];
+  },
+  
+  // Set a quote's status by hand (sent, viewed, declined or superseded)
+  async setQuoteStatus(id, status) {
+    const item = this.historyData.find(i => i.type === 'quote' && i.id === id);
+    if (!item || item.accepted || !PinAuth.can('history.edit')) return;
+    
+    this.applyQuoteStatus(item, status);
+    await this.saveHistory();
+    this.refreshHistoryDisplay();
+  },
+  
+  // Record the expiry of open quotes past their valid-until date. Run when a
+  // user who may edit history unlocks; quoteStatus shows expiry to everyone else.
+  async expireQuotes() {
+    if (!PinAuth.can('history.edit')) return;
+    
+    const expired = this.historyData.filter(item =>
+      item.type === 'quote' && item.status !== 'expired' && this.quoteStatus(item) === 'expired');
+    
+    if (expired.length === 0) return;
+    
+    expired.forEach(item => this.applyQuoteStatus(item, 'expired'));
+    await this.saveHistory();
+    console.log(`${expired.length} quote(s) marked as expired`);
+  },
+  
+  // Whether quote data is the latest revision of its quote (quotes not in history count as latest)
+  isLatestRevision(quoteData) {
+    const item = quoteData && quoteData.id &&
+      this.historyData.find(i => i.type === 'quote' && i.id === quoteData.id);
+    
+    if (!item || !quoteData.revision) return true;
+    
+    return quoteData.revision === this.quoteRevisions(item).length;
   },
   
   // Save invoice to history
@@ -354,9 +465,12 @@ const History = {
       client: clientName,
       project: projectName,
       invoiceNumber: invoiceNumber,
-      amount: AppState.quoteTotal,
+      amount: AppState.invoiceData.total,
+      taxAmount: AppState.invoiceData.tax ? AppState.invoiceData.tax.amount : 0,
+      currency: AppState.invoiceData.currency,
       depositAmount: AppState.depositAmount,
       depositPaid: AppState.isPaid,
+      payments: [...AppState.invoiceData.payments],
       date: new Date().toISOString(),
       invoiceData: { ...AppState.invoiceData },
       html: document.getElementById('invoiceSection').innerHTML
@@ -371,6 +485,57 @@ const History = {
     console.log('Invoice saved to history:', invoiceItem);
   },
   
+  // Payment ledger of an invoice in history. Invoices saved before the ledger
+  // existed only recorded whether the deposit was paid.
+  invoicePayments(item) {
+    if (item.payments) return item.payments;
+    if (item.invoiceData && item.invoiceData.payments) return item.invoiceData.payments;
+    
+    return item.depositPaid && item.depositAmount > 0 ? [
+      Payment.createLedgerEntry({
+        date: item.date.split('T')[0],
+        method: 'other',
+        amount: item.depositAmount,
+        reference: 'Deposit'
+      })
+    ] : [];
+  },
+  
+  // Add a payment to an invoice's ledger and to the open invoice if it is the same one
+  async recordPayment(invoiceNumber, entry) {
+    const number = InvoiceNumbers.normalize(invoiceNumber);
+    const item = this.historyData.find(i => i.type === 'invoice' && InvoiceNumbers.normalize(i.invoiceNumber) === number);
+    
+    if (item) {
+      const payments = [...this.invoicePayments(item), entry];
+      item.payments = payments;
+      item.depositPaid = true;
+      
+      if (item.invoiceData) {
+        item.invoiceData = {
+          ...item.invoiceData,
+          payments,
+          balanceDue: Payment.balanceDue(item.amount, payments)
+        };
+      }
+    }
+    
+    if (AppState.invoiceData && InvoiceNumbers.normalize(AppState.invoiceData.invoiceNumber) === number) {
+      const payments = [...AppState.invoiceData.payments, entry];
+      AppState.invoiceData = {
+        ...AppState.invoiceData,
+        payments,
+        balanceDue: Payment.balanceDue(AppState.invoiceData.total, payments)
+      };
+      AppState.isPaid = true;
+    }
+    
+    if (item) {
+      await this.saveHistory();
+      this.refreshHistoryDisplay();
+    }
+  },
+  
   // Refresh history display
   refreshHistoryDisplay() {
     const historyList = document.getElementById('historyList');
@@ -389,6 +554,7 @@ const History = {
       if (filter === 'invoices' && item.type !== 'invoice') return false;
       if (filter === 'accepted-quotes' && (item.type !== 'quote' || !item.accepted)) return false;
       if (filter === 'unaccepted-quotes' && (item.type !== 'quote' || item.accepted)) return false;
+      if (filter.startsWith('status-') && (item.type !== 'quote' || this.quoteStatus(item) !== filter.slice(7))) return false;
       
       // Apply search
       if (searchTerm) {
@@ -445,6 +611,11 @@ const History = {
       this.renderHistorySection(historyList, [...groupedItems.acceptedQuotes, ...groupedItems.unacceptedQuotes], 'Quotes');
     }
     
+    if (filter.startsWith('status-')) {
+      this.renderHistorySection(historyList, [...groupedItems.acceptedQuotes, ...groupedItems.unacceptedQuotes],
+        `${this.quoteStatuses[filter.slice(7)].label} Quotes`);
+    }
+    
     if (filter === 'all' || filter === 'invoices') {
       this.renderHistorySection(historyList, groupedItems.invoices, 'Invoices');
     }
@@ -508,25 +679,59 @@ const History = {
     let badgeClass = 'badge-primary';
     let badgeText = 'Quote';
     
+    // Invoices also show how much of them has been paid
+    let paymentStatus = null;
+    let balance = 0;
+    
     if (item.type === 'invoice') {
       badgeClass = 'badge-success';
       badgeText = 'Invoice';
+      
+      const payments = this.invoicePayments(item);
+      paymentStatus = Payment.paymentStatuses[Payment.paymentStatus(item.amount, payments)];
+      balance = Payment.balanceDue(item.amount, payments);
     } else if (item.type === 'quote' && item.accepted) {
       badgeClass = 'badge-success';
       badgeText = 'Accepted Quote';
     }
     
+    const revisionCount = item.type === 'quote' ? this.quoteRevisions(item).length : 0;
+    
+    // Quotes show where they are in their lifecycle and how long they are valid
+    const quoteStatus = item.type === 'quote' ? this.quoteStatus(item) : null;
+    const validUntil = item.type === 'quote' ? this.quoteValidUntil(item) : null;
+    
+    // Read-only roles (e.g. an accountant) can view and duplicate but not change history
+    const canEdit = PinAuth.can('history.edit');
+    
     historyItem.innerHTML = `
       <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 0.75rem;">
         <div>
           <span class="badge ${badgeClass}" style="margin-right: 0.5rem;">
             ${badgeText}
           </span>
+          ${paymentStatus ? `
+          <span class="badge ${paymentStatus.badge}" style="margin-right: 0.5rem;">
+            ${paymentStatus.label}
+          </span>
+          ` : ''}
+          ${quoteStatus && quoteStatus !== 'accepted' ? `
+          <span class="badge ${this.quoteStatuses[quoteStatus].badge}" style="margin-right: 0.5rem;">
+            ${this.quoteStatuses[quoteStatus].label}
+          </span>
+          ` : ''}
+          ${revisionCount > 1 ? `
+          <span class="badge badge-primary" style="margin-right: 0.5rem;" title="${revisionCount} revisions">
+            v${revisionCount}
+          </span>
+          ` : ''}
           <span style="font-weight: 500;">${formattedDate}</span>
         </div>
         <div>
           ${item.type === 'invoice' ? `<span style="margin-right: 0.5rem; font-size: 0.875rem;">${item.invoiceNumber}</span>` : ''}
-          <span style="font-weight: 600;">${Calculator.formatCurrency(item.amount)}</span>
+          <span style="font-weight: 600;">${Calculator.formatCurrency(item.amount, item.currency || 'USD')}</span>
+          ${item.taxAmount > 0 ? `<div style="font-size: 0.75rem; color: var(--gray-600); text-align: right;">incl. ${Calculator.formatCurrency(item.taxAmount, item.currency || 'USD')} tax</div>` : ''}
+          ${paymentStatus && balance !== 0 && balance !== item.amount ? `<div style="font-size: 0.75rem; color: var(--gray-600); text-align: right;">${balance > 0 ? 'Balance' : 'Credit'} ${Calculator.formatCurrency(Math.abs(balance), item.currency || 'USD')}</div>` : ''}
         </div>
       </div>
       
@@ -539,18 +744,30 @@ const History = {
             <i class="fas fa-signature"></i> Signed on ${new Date(item.acceptedDate).toLocaleDateString()}
           </div>
           ` : ''}
+          ${this.openQuoteStatuses.includes(quoteStatus) || quoteStatus === 'expired' ? `
+          <div style="font-size: 0.75rem; color: ${quoteStatus === 'expired' ? 'var(--warning)' : 'var(--gray-600)'}; margin-top: 0.25rem;">
+            <i class="fas fa-clock"></i> ${quoteStatus === 'expired' ? 'Expired' : 'Valid until'} ${InvoiceEditor.formatDate(validUntil)}
+          </div>
+          ` : ''}
         </div>
         
         <div class="history-actions" style="display: flex; gap: 0.5rem;">
           <button class="btn btn-sm btn-outline history-view" data-id="${item.id}">
             <i class="fas fa-eye"></i> View
           </button>
+          ${canEdit && item.type === 'quote' && !item.accepted ? `
+          <button class="btn btn-sm btn-outline history-revise" data-id="${item.id}">
+            <i class="fas fa-code-branch"></i> Revise
+          </button>
+          ` : ''}
           <button class="btn btn-sm btn-outline history-duplicate" data-id="${item.id}">
             <i class="fas fa-copy"></i> Duplicate
           </button>
+          ${canEdit ? `
           <button class="btn btn-sm btn-outline history-delete" data-id="${item.id}">
             <i class="fas fa-trash"></i>
           </button>
+          ` : ''}
         </div>
       </div>
     `;
@@ -560,7 +777,12 @@ const History = {
     // Add event listeners
     historyItem.querySelector('.history-view').addEventListener('click', () => this.viewHistoryItem(item.id));
     historyItem.querySelector('.history-duplicate').addEventListener('click', () => this.duplicateHistoryItem(item.id));
-    historyItem.querySelector('.history-delete').addEventListener('click', () => this.deleteHistoryItem(item.id));
+    if (canEdit && item.type === 'quote' && !item.accepted) {
+      historyItem.querySelector('.history-revise').addEventListener('click', () => this.reviseHistoryItem(item.id));
+    }
+    if (canEdit) {
+      historyItem.querySelector('.history-delete').addEventListener('click', () => this.deleteHistoryItem(item.id));
+    }
   },
   
   // View history item
@@ -637,6 +859,13 @@ const History = {
       month: 'long',
       day: 'numeric'
     });
+    const revisionCount = item.type === 'quote' ? this.quoteRevisions(item).length : 0;
+    const quoteStatus = item.type === 'quote' ? this.quoteStatus(item) : null;
+    
+    // Only offer the actions the signed-in user's role allows
+    const canEdit = PinAuth.can('history.edit');
+    const canInvoice = PinAuth.can('invoices.create');
+    const canRecordPayment = PinAuth.can('payments.record');
     
     // Add badge based on item type and status
     let badgeClass = 'badge-primary';
@@ -650,6 +879,9 @@ const History = {
       badgeText = 'Accepted Quote';
     }
     
+    // Statuses that are set by hand; accepted comes from signing and expired from the valid-until date
+    const manualStatuses = ['draft', 'sent', 'viewed', 'declined', 'superseded'];
+    
     header.innerHTML = `
       <div>
         <h3 style="margin-bottom: 0.25rem;">${item.type === 'quote' ? 'Quote' : 'Invoice'} - ${item.client}</h3>
@@ -657,19 +889,33 @@ const History = {
           <span class="badge ${badgeClass}" style="margin-right: 0.5rem;">
             ${badgeText}
           </span>
+          ${revisionCount > 1 ? `<span class="badge badge-primary" style="margin-right: 0.5rem;">v${revisionCount}</span>` : ''}
           <span style="font-size: 0.875rem; color: var(--gray-600);">${formattedDate}</span>
         </div>
+        ${quoteStatus && quoteStatus !== 'accepted' ? `
+        <div style="font-size: 0.875rem; color: ${quoteStatus === 'expired' ? 'var(--warning)' : 'var(--gray-600)'}; margin-top: 0.25rem;">
+          ${quoteStatus === 'expired' ? 'Expired' : 'Valid until'} ${InvoiceEditor.formatDate(this.quoteValidUntil(item))}
+        </div>
+        ` : ''}
       </div>
       <div style="text-align: right;">
-        <div style="font-weight: 600;">${Calculator.formatCurrency(item.amount)}</div>
+        <div style="font-weight: 600;">${Calculator.formatCurrency(item.amount, item.currency || 'USD')}</div>
         ${item.type === 'invoice' ? `<div style="font-size: 0.875rem; color: var(--gray-600);">${item.invoiceNumber}</div>` : ''}
+        ${canEdit && quoteStatus && quoteStatus !== 'accepted' ? `
+        <select class="quote-status-select" style="margin-top: 0.5rem; width: auto;" title="Quote status">
+          ${quoteStatus === 'expired' ? '<option value="expired" selected disabled>Expired</option>' : ''}
+          ${manualStatuses.map(status => `
+          <option value="${status}"${status === quoteStatus ? ' selected' : ''}>${this.quoteStatuses[status].label}</option>
+          `).join('')}
+        </select>
+        ` : ''}
       </div>
     `;
     
     // Add document content
     const documentContent = document.createElement('div');
     documentContent.className = 'history-document-content';
-    documentContent.innerHTML = item.html;
+    documentContent.innerHTML = this.documentHtml(item);
     
     // Remove buttons from document content
     documentContent.querySelectorAll('.btn-group').forEach(btnGroup => {
@@ -714,6 +960,11 @@ const History = {
       documentContent.appendChild(signatureDisplay);
     }
     
+    // Add the revision history of revised quotes
+    if (item.type === 'quote' && this.quoteRevisions(item).length > 1) {
+      documentContent.appendChild(this.createRevisionsSection(item));
+    }
+    
     // Add actions
     const actions = document.createElement('div');
     actions.className = 'history-view-actions';
@@ -731,16 +982,31 @@ const History = {
       <button class="btn btn-outline pdf-btn">
         <i class="fas fa-file-pdf"></i> Save as PDF
       </button>
-      ${item.type === 'quote' && !item.accepted ? `
+      ${canEdit && this.openQuoteStatuses.includes(quoteStatus) ? `
       <button class="btn btn-primary sign-quote-btn">
         <i class="fas fa-signature"></i> Sign Quote
       </button>
       ` : ''}
-      ${item.type === 'quote' ? `
+      ${canEdit && quoteStatus === 'expired' ? `
+      <button class="btn btn-primary renew-quote-btn">
+        <i class="fas fa-redo"></i> Renew Quote
+      </button>
+      ` : ''}
+      ${canEdit && item.type === 'quote' && !item.accepted ? `
+      <button class="btn btn-outline revise-btn">
+        <i class="fas fa-code-branch"></i> Revise
+      </button>
+      ` : ''}
+      ${canInvoice && item.type === 'quote' ? `
       <button class="btn ${item.type === 'quote' && !item.accepted ? 'btn-outline' : 'btn-primary'} convert-to-invoice-btn">
         <i class="fas fa-file-invoice-dollar"></i> Convert to Invoice
       </button>
       ` : ''}
+      ${canRecordPayment && item.type === 'invoice' ? `
+      <button class="btn btn-outline record-payment-btn">
+        <i class="fas fa-receipt"></i> Record Payment
+      </button>
+      ` : ''}
       <button class="btn ${item.type === 'quote' ? 'btn-outline' : 'btn-primary'} duplicate-btn">
         <i class="fas fa-copy"></i> Duplicate
       </button>
@@ -770,14 +1036,53 @@ const History = {
       modal.remove();
     });
     
-    if (item.type === 'quote') {
+    if (canRecordPayment && item.type === 'invoice') {
+      modal.querySelector('.record-payment-btn').addEventListener('click', () => {
+        PinAuth.verifyPin(() => {
+          Payment.showRecordPaymentModal(
+            item.invoiceNumber,
+            Payment.balanceDue(item.amount, this.invoicePayments(item)),
+            async entry => {
+              await this.recordPayment(item.invoiceNumber, entry);
+              modal.remove();
+              this.viewHistoryItem(item.id);
+            }
+          );
+        }, 'payments.record');
+      });
+    }
+    
+    if (canInvoice && item.type === 'quote') {
       modal.querySelector('.convert-to-invoice-btn').addEventListener('click', () => {
         this.convertToInvoice(item.id);
         modal.remove();
       });
-      
-      // Add sign quote button if not accepted
+    }
+    
+    if (canEdit && item.type === 'quote') {
+      // Add status, revise and renew controls if not accepted
       if (!item.accepted) {
+        modal.querySelector('.quote-status-select').addEventListener('change', async (e) => {
+          await this.setQuoteStatus(item.id, e.target.value);
+          modal.remove();
+          this.viewHistoryItem(item.id);
+        });
+        
+        modal.querySelector('.revise-btn').addEventListener('click', () => {
+          modal.remove();
+          this.reviseHistoryItem(item.id);
+        });
+      }
+      
+      if (quoteStatus === 'expired') {
+        modal.querySelector('.renew-quote-btn').addEventListener('click', () => {
+          modal.remove();
+          this.renewQuote(item.id);
+        });
+      }
+      
+      // Add sign quote button while the quote is open
+      if (this.openQuoteStatuses.includes(quoteStatus)) {
         modal.querySelector('.sign-quote-btn').addEventListener('click', () => {
           modal.remove();
           // Use the existing signature functionality
@@ -802,43 +1107,331 @@ const History = {
       return;
     }
 
+    if (!quoteItem.quoteData) {
+      alert('Quote data is missing or corrupted.');
+      return;
+    }
+
     // Verify PIN before proceeding
     PinAuth.verifyPin(() => {
-      // Restore quote data to AppState
-      if (quoteItem.quoteData) {
-        AppState.quoteData = { ...quoteItem.quoteData };
-        AppState.quoteTotal = quoteItem.amount;
-        
-        // Calculate deposit amount based on client type
-        const clientType = quoteItem.quoteData.clientType || 'regular';
-        AppState.depositPercentage = AppState.rates.depositRates[clientType] || 0.25;
-        AppState.depositAmount = Math.round(AppState.quoteTotal * AppState.depositPercentage);
-      } else {
-        alert('Quote data is missing or corrupted.');
-        return;
-      }
-
-      // Switch to calculator tab
-      document.querySelector('.tab[data-tab="calculator"]').click();
-      
-      // Show loading while transitioning
-      const loadingIndicator = document.getElementById('loadingIndicator');
-      if (loadingIndicator) loadingIndicator.style.display = 'flex';
+      // Quotes from an older rate card can keep their pricing or be re-priced at current rates
+      this.choosePricing(quoteItem.quoteData, (choice, repriced) => {
+        this.restoreQuoteForInvoice(quoteItem, choice === 'current' ? repriced : null);
+      });
+    }, 'invoices.create');
+  },
+  
+  // Restore a history quote to AppState (or a re-priced copy of it) and generate its invoice
+  restoreQuoteForInvoice(quoteItem, repriced) {
+    if (repriced) {
+      AppState.quoteData = repriced;
+      AppState.quoteTotal = repriced.total;
+      AppState.depositPercentage = repriced.depositPercentage;
+      AppState.depositAmount = repriced.depositAmount;
+    } else {
+      AppState.quoteData = { ...quoteItem.quoteData };
+      AppState.quoteTotal = quoteItem.amount;
       
-      // Hide all result sections
-      document.getElementById('quoteSection').style.display = 'none';
-      document.getElementById('invoiceSection').style.display = 'none';
+      // Use the deposit priced with the quote, falling back to the client type rate for older quotes
+      const clientType = (quoteItem.quoteData.input || quoteItem.quoteData).clientType || 'regular';
+      // (a 0% deposit is a rate, not a missing one)
+      AppState.depositPercentage = typeof quoteItem.quoteData.depositPercentage === 'number' ?
+        quoteItem.quoteData.depositPercentage : AppState.rates.depositRates[clientType] || 0.25;
+      AppState.depositAmount = Math.round(AppState.quoteTotal * AppState.depositPercentage);
+    }
+
+    // Switch to calculator tab
+    document.querySelector('.tab[data-tab="calculator"]').click();
+    
+    // Show loading while transitioning
+    const loadingIndicator = document.getElementById('loadingIndicator');
+    if (loadingIndicator) loadingIndicator.style.display = 'flex';
+    
+    // Hide all result sections
+    document.getElementById('quoteSection').style.display = 'none';
+    document.getElementById('invoiceSection').style.display = 'none';
+    
+    // Use setTimeout to ensure UI updates before continuing
+    setTimeout(() => {
+      // Now invoke the UI.handleGenerateInvoice method to generate the invoice
+      // This will handle prompting for invoice number and other details
+      UI.handleGenerateInvoice();
       
-      // Use setTimeout to ensure UI updates before continuing
-      setTimeout(() => {
-        // Now invoke the UI.handleGenerateInvoice method to generate the invoice
-        // This will handle prompting for invoice number and other details
-        UI.handleGenerateInvoice();
-        
-        // Hide loading indicator
-        if (loadingIndicator) loadingIndicator.style.display = 'none';
-      }, 500);
+      // Hide loading indicator
+      if (loadingIndicator) loadingIndicator.style.display = 'none';
+    }, 500);
+  },
+  
+  // Ask whether a quote priced with an older rate card keeps its original pricing or is re-priced.
+  // Calls onChoice('original' | 'current', repricedQuote), or onChoice(null) when the rate card
+  // is unchanged or re-pricing would not change anything.
+  choosePricing(quoteData, onChoice) {
+    const original = quoteData.rateCardVersion;
+    const current = AppState.rates.version;
+    
+    if (!quoteData.input || !original || !current || original.id === current.id) {
+      onChoice(null, null);
+      return;
+    }
+    
+    const repriced = Pricing.priceQuote(quoteData.input, AppState.rates);
+    if (!repriced.valid) {
+      onChoice(null, null);
+      return;
+    }
+    
+    const changes = this.pricingChanges(quoteData, repriced);
+    if (changes.length === 0 && repriced.total === quoteData.total) {
+      onChoice(null, null);
+      return;
+    }
+    
+    this.showPricingChoiceModal(quoteData, repriced, changes, onChoice);
+  },
+  
+  // Amount of each line of a quote, keyed by its description and detail
+  lineAmounts(quote) {
+    const map = new Map();
+    Pricing.quoteLineItems(quote).forEach(line => {
+      map.set(line.detail ? `${line.description} – ${line.detail}` : line.description, line.amount);
     });
+    return map;
+  },
+  
+  // Line items whose amount differs between two pricings of the same quote
+  pricingChanges(before, after) {
+    const beforeAmounts = this.lineAmounts(before);
+    const afterAmounts = this.lineAmounts(after);
+    const labels = [...new Set([...beforeAmounts.keys(), ...afterAmounts.keys()])];
+    
+    return labels
+      .filter(label => beforeAmounts.get(label) !== afterAmounts.get(label))
+      .map(label => ({ label, before: beforeAmounts.get(label), after: afterAmounts.get(label) }));
+  },
+  
+  // Every line of two revisions of a quote side by side, with the subtotal, tax and total.
+  // A line missing from one revision has an undefined amount there.
+  revisionDiff(before, after) {
+    const beforeAmounts = this.lineAmounts(before);
+    const afterAmounts = this.lineAmounts(after);
+    const labels = [...new Set([...beforeAmounts.keys(), ...afterAmounts.keys()])];
+    const beforeTotals = Pricing.summarizeLines(Pricing.quoteLineItems(before));
+    const afterTotals = Pricing.summarizeLines(Pricing.quoteLineItems(after));
+    
+    return {
+      lines: labels.map(label => ({ label, before: beforeAmounts.get(label), after: afterAmounts.get(label) })),
+      totals: ['subtotal', 'tax', 'total'].map(key => ({ key, before: beforeTotals[key], after: afterTotals[key] }))
+    };
+  },
+  
+  // Revision list and side-by-side comparison for the view modal, comparing the latest two by default
+  createRevisionsSection(item) {
+    const revisions = this.quoteRevisions(item);
+    const section = document.createElement('div');
+    section.className = 'quote-revisions';
+    section.style.cssText = `
+      margin-top: 2rem;
+      padding-top: 1.5rem;
+      border-top: 1px solid var(--gray-300);
+    `;
+    
+    const options = selected => revisions.map(r => `
+      <option value="${r.revision}"${r.revision === selected ? ' selected' : ''}>v${r.revision}</option>
+    `).join('');
+    
+    section.innerHTML = `
+      <h4 style="margin-bottom: 1rem;">Revisions</h4>
+      <table style="margin-bottom: 1.5rem;">
+        <thead><tr><th>Revision</th><th>Saved</th><th style="text-align: right;">Total</th></tr></thead>
+        <tbody>
+          ${revisions.slice().reverse().map(r => `
+          <tr>
+            <td>
+              v${r.revision}
+              ${r.revision === revisions.length ? '<span class="badge badge-primary" style="margin-left: 0.5rem;">Latest</span>' : '<span class="badge badge-warning" style="margin-left: 0.5rem;">Superseded</span>'}
+              ${item.accepted && r.revision === (item.acceptedRevision || revisions.length) ? '<span class="badge badge-success" style="margin-left: 0.5rem;">Signed</span>' : ''}
+            </td>
+            <td>${new Date(r.date).toLocaleDateString('en-US')}</td>
+            <td style="text-align: right;">${Calculator.formatCurrency(r.amount, r.currency || 'USD')}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div style="display: flex; gap: 1rem; align-items: flex-end; margin-bottom: 1rem;">
+        <div class="form-group" style="margin-bottom: 0;">
+          <label>Compare</label>
+          <select class="revision-before">${options(revisions.length - 1)}</select>
+        </div>
+        <div class="form-group" style="margin-bottom: 0;">
+          <label>With</label>
+          <select class="revision-after">${options(revisions.length)}</select>
+        </div>
+      </div>
+      <div class="revision-diff"></div>
+    `;
+    
+    const render = () => {
+      const before = revisions[parseInt(section.querySelector('.revision-before').value, 10) - 1];
+      const after = revisions[parseInt(section.querySelector('.revision-after').value, 10) - 1];
+      section.querySelector('.revision-diff').innerHTML = this.revisionDiffHtml(before, after);
+    };
+    
+    section.querySelectorAll('select').forEach(select => select.addEventListener('change', render));
+    render();
+    
+    return section;
+  },
+  
+  // Side-by-side table of two revisions; changed lines are highlighted
+  revisionDiffHtml(before, after) {
+    const beforeCurrency = before.currency || 'USD';
+    const afterCurrency = after.currency || 'USD';
+    const money = (amount, currency) => amount === undefined ? '—' : Calculator.formatCurrency(amount, currency);
+    const change = (from, to) => {
+      if (beforeCurrency !== afterCurrency) return '';
+      const delta = (to || 0) - (from || 0);
+      if (delta === 0) return '';
+      return `${delta > 0 ? '+' : '−'}${Calculator.formatCurrency(Math.abs(delta), afterCurrency)}`;
+    };
+    const diff = this.revisionDiff(before.quoteData, after.quoteData);
+    const totalLabels = { subtotal: 'Subtotal', tax: 'Tax', total: 'TOTAL' };
+    
+    const lineRows = diff.lines.map(line => {
+      const changed = line.before !== line.after;
+      return `
+      <tr style="${changed ? 'background-color: rgba(255, 193, 7, 0.1); font-weight: 500;' : 'color: var(--gray-600);'}">
+        <td>${Clients.escape(line.label)}${line.before === undefined ? ' <span class="badge badge-success">Added</span>' : ''}${line.after === undefined ? ' <span class="badge badge-danger">Removed</span>' : ''}</td>
+        <td style="text-align: right;">${money(line.before, beforeCurrency)}</td>
+        <td style="text-align: right;">${money(line.after, afterCurrency)}</td>
+        <td style="text-align: right;">${change(line.before, line.after)}</td>
+      </tr>
+      `;
+    }).join('');
+    
+    const totalRows = diff.totals
+      .filter(total => total.key !== 'tax' || total.before || total.after)
+      .map(total => `
+      <tr${total.key === 'total' ? ' class="total-row"' : ''}>
+        <td>${totalLabels[total.key]}</td>
+        <td style="text-align: right;">${money(total.before, beforeCurrency)}</td>
+        <td style="text-align: right;">${money(total.after, afterCurrency)}</td>
+        <td style="text-align: right;">${change(total.before, total.after)}</td>
+      </tr>
+      `).join('');
+    
+    return `
+      <table>
+        <thead>
+          <tr>
+            <th>Line</th>
+            <th style="text-align: right;">v${Clients.escape(String(before.revision))}</th>
+            <th style="text-align: right;">v${Clients.escape(String(after.revision))}</th>
+            <th style="text-align: right;">Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${lineRows}
+          ${totalRows}
+        </tbody>
+      </table>
+    `;
+  },
+  
+  // Show the original vs current pricing choice with the lines that would change
+  showPricingChoiceModal(quoteData, repriced, changes, onChoice) {
+    const money = (amount, currency) => amount === undefined ? '—' : Calculator.formatCurrency(amount, currency);
+    
+    const modal = document.createElement('div');
+    modal.className = 'pricing-choice-modal';
+    modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      padding: 1rem;
+    `;
+    
+    const changeRows = changes.map(change => `
+      <tr>
+        <td>${Clients.escape(change.label)}</td>
+        <td>${money(change.before, quoteData.currency)}</td>
+        <td>${money(change.after, repriced.currency)}</td>
+      </tr>
+    `).join('');
+    
+    modal.innerHTML = `
+      <div style="background-color: var(--card-bg); border-radius: var(--border-radius); box-shadow: var(--shadow-lg); width: 100%; max-width: 640px; max-height: 90vh; overflow-y: auto; padding: 2rem; position: relative;">
+        <div class="pricing-choice-close" style="position: absolute; top: 1rem; right: 1rem; cursor: pointer; font-size: 1.25rem; color: var(--gray-500);">
+          <i class="fas fa-times"></i>
+        </div>
+        <h3 style="margin-bottom: 0.5rem;">Rates Have Changed</h3>
+        <p style="margin-bottom: 1.5rem; font-size: 0.875rem; color: var(--gray-600);">
+          This quote was priced with rate card ${RateCard.versionLabel(quoteData.rateCardVersion)}.
+          The current rate card is ${RateCard.versionLabel(repriced.rateCardVersion)}.
+        </p>
+        <table>
+          <thead>
+            <tr><th>Line</th><th>Original</th><th>Current</th></tr>
+          </thead>
+          <tbody>
+            ${changeRows}
+            <tr class="total-row">
+              <td>TOTAL</td>
+              <td>${money(quoteData.total, quoteData.currency)}</td>
+              <td>${money(repriced.total, repriced.currency)}</td>
+            </tr>
+          </tbody>
+        </table>
+        <div style="display: flex; justify-content: center; gap: 1rem; margin-top: 1.5rem;">
+          <button class="btn btn-outline pricing-keep-btn">
+            <i class="fas fa-lock"></i> Keep original pricing
+          </button>
+          <button class="btn btn-primary pricing-reprice-btn">
+            <i class="fas fa-sync-alt"></i> Re-price at current rates
+          </button>
+        </div>
+      </div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    modal.querySelector('.pricing-choice-close').addEventListener('click', () => modal.remove());
+    modal.querySelector('.pricing-keep-btn').addEventListener('click', () => {
+      modal.remove();
+      onChoice('original', repriced);
+    });
+    modal.querySelector('.pricing-reprice-btn').addEventListener('click', () => {
+      modal.remove();
+      onChoice('current', repriced);
+    });
+  },
+  
+  // Saved document HTML with its line item table re-rendered from the stored quote or invoice data
+  documentHtml(item) {
+    const data = item.type === 'quote' ? item.quoteData : item.invoiceData;
+    if (!data) return item.html;
+    
+    const container = document.createElement('div');
+    container.innerHTML = item.html;
+    
+    const tbody = container.querySelector(item.type === 'quote' ? '#quoteBody' : '#invoiceBody');
+    if (tbody) {
+      UI.renderLineItems(tbody, data, { includeDates: item.type === 'quote' });
+    }
+    
+    // Invoices show their payments as of now, not as of when they were saved
+    if (item.type === 'invoice') {
+      container.querySelectorAll('.paid-stamp, .alert').forEach(el => el.remove());
+      UI.renderInvoicePayments(container, { ...data, total: item.amount }, this.invoicePayments(item));
+    }
+    
+    return container.innerHTML;
   },
   
   // Print history item
@@ -934,7 +1527,7 @@ const History = {
       <body>
         <div class="container">
           <div class="result-section" style="display: block;">
-            ${item.html}
+            ${this.documentHtml(item)}
             ${signatureHTML}
           </div>
         </div>
@@ -968,39 +1561,121 @@ const History = {
   },
   
   // Duplicate history item
-  duplicateHistoryItem(id) {
+  // When revising, the recalculated quote is saved as the quote's next revision instead of a new quote
+  duplicateHistoryItem(id, revise = false) {
     const item = this.historyData.find(i => i.id === id);
-    if (!item) return;
+    if (!item || item.type !== 'quote' || !item.quoteData) return;
     
-    // Populate the form with the item's data
-    if (item.type === 'quote' && item.quoteData) {
-      // Set form values
-      document.getElementById('serviceType').value = item.quoteData.serviceType || 'single';
-      document.getElementById('durationType').value = item.quoteData.durationType || 'full';
-      document.getElementById('additionalHours').value = item.quoteData.additionalHours || 0;
-      document.getElementById('clientType').value = item.quoteData.clientType || 'regular';
-      document.getElementById('clientName').value = item.client;
-      document.getElementById('projectName').value = item.project;
+    // Quotes from an older rate card can be re-calculated with that rate card or the current one
+    this.choosePricing(item.quoteData, choice => {
+      AppState.pinnedRates = null;
+      AppState.revisingQuoteId = revise ? item.id : null;
+      UI.refreshRevisionNotice();
       
-      // Set specialty services if available
-      if (item.quoteData.specialtyServices) {
-        AppState.specialtyServices = [...item.quoteData.specialtyServices];
-        UI.refreshSpecialtyList();
+      if (choice === 'original') {
+        AppState.pinnedRates = RateCard.ratesForVersion(item.quoteData.rateCardVersion.id);
+        if (!AppState.pinnedRates) {
+          UI.showAlert('The original rate card is no longer available, so the quote was re-priced at current rates.');
+        }
       }
       
-      // Switch to calculator tab
-      document.querySelector('.tab[data-tab="calculator"]').click();
-      
-      // Calculate quote
-      document.getElementById('calculateBtn').click();
+      this.populateQuoteForm(item);
+    });
+  },
+  
+  // Revise a quote: load its latest revision into the calculator to edit and save as the next one
+  // Signed quotes are final, so changing one starts a new quote with Duplicate
+  reviseHistoryItem(id) {
+    const item = this.historyData.find(i => i.id === id);
+    if (!item || item.type !== 'quote' || !PinAuth.can('history.edit')) return;
+    
+    if (item.accepted) {
+      UI.showAlert('This quote has been signed and can no longer be revised. Duplicate it to start a new quote.');
+      return;
     }
+    
+    this.duplicateHistoryItem(id, true);
+  },
+  
+  // Renew an expired quote: it is re-calculated as a new revision dated today, so it is valid
+  // for a fresh period (at its original or the current rates if the rate card has changed)
+  renewQuote(id) {
+    this.reviseHistoryItem(id);
+  },
+  
+  // Populate the calculator form from a history quote and recalculate it
+  populateQuoteForm(item) {
+    // Quotes priced by the Pricing engine keep their input; older quotes stored fields at the top level
+    const input = item.quoteData.input || item.quoteData;
+    const positions = input.positions || [input];
+    const position = positions[0];
+    
+    // Set form values from the first crew position
+    document.getElementById('serviceType').value = position.serviceType || 'single';
+    document.getElementById('crewQuantity').value = position.quantity || 1;
+    document.getElementById('durationType').value = position.durationType || 'full';
+    document.getElementById('customDays').value = position.customDays || 1;
+    document.getElementById('customDaysRow').style.display = position.durationType === 'custom' ? 'flex' : 'none';
+    document.getElementById('additionalHours').value = position.additionalHours || 0;
+    document.getElementById('clientType').value = input.clientType || 'regular';
+    document.getElementById('clientName').value = item.client;
+    document.getElementById('projectName').value = item.project;
+    document.getElementById('projectLocation').value = input.projectLocation || '';
+    document.getElementById('taxJurisdiction').value = input.taxJurisdiction || '';
+    document.getElementById('quoteCurrency').value = item.quoteData.currency || Pricing.baseCurrency(AppState.rates);
+    document.getElementById('includeTravel').checked = !!position.includeTravel;
+    document.getElementById('travelDaysRow').style.display = position.includeTravel ? 'block' : 'none';
+    document.getElementById('travelDays').value = position.travelDays || 0;
+    
+    // Restore project dates and the day-by-day schedule
+    document.getElementById('projectStartDate').value = input.projectStartDate || '';
+    document.getElementById('projectEndDate').value = input.projectEndDate || '';
+    AppState.schedule = (input.schedule || []).map(day => ({ ...day }));
+    UI.refreshSchedule();
+    
+    // Multi-crew quotes are restored as a crew list
+    AppState.crewPositions = positions.length > 1 ?
+      positions.map((p, i) => ({ ...p, id: Date.now() + i })) : [];
+    UI.refreshCrewList();
+    
+    // Set specialty services if available
+    if (input.specialtyServices) {
+      AppState.specialtyServices = [...input.specialtyServices];
+      UI.refreshSpecialtyList();
+    }
+    
+    // Restore expense lines and the deposit setting
+    AppState.expenses = (input.expenses || []).map((e, i) => ({ ...e, id: e.id || Date.now() + i }));
+    UI.refreshExpenseList();
+    if (typeof item.quoteData.expensesInDeposit === 'boolean') {
+      document.getElementById('expensesInDeposit').checked = item.quoteData.expensesInDeposit;
+    }
+    
+    // Switch to calculator tab
+    document.querySelector('.tab[data-tab="calculator"]').click();
+    
+    // Calculate quote
+    document.getElementById('calculateBtn').click();
   },
   
   // Delete history item
+  // A deleted invoice's number is voided so it is never issued again
   async deleteHistoryItem(id) {
-    if (confirm('Are you sure you want to delete this item? This cannot be undone.')) {
-      this.historyData = this.historyData.filter(item => item.id !== id);
+    if (!PinAuth.can('history.edit')) return;
+    
+    const item = this.historyData.find(i => i.id === id);
+    const message = item && item.type === 'invoice' && item.invoiceNumber ?
+      `Are you sure you want to delete invoice ${item.invoiceNumber}? Its number will be voided and not reused. This cannot be undone.` :
+      'Are you sure you want to delete this item? This cannot be undone.';
+    
+    if (confirm(message)) {
+      this.historyData = this.historyData.filter(i => i.id !== id);
       await this.saveHistory();
+      
+      if (item && item.type === 'invoice' && item.invoiceNumber) {
+        await InvoiceNumbers.voidNumber(item.invoiceNumber, 'Invoice deleted from history');
+      }
+      
       this.refreshHistoryDisplay();
     }
   }
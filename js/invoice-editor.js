@@ -0,0 +1,442 @@
+/**
+ * Invoice Editor Module
+ * Modal form for finalizing an invoice from a quote: number, dates, payment
+ * terms, PO number, bill-to address, deposit received, notes and line items.
+ * Tax is recalculated whenever lines are added or removed.
+ */
+
+const InvoiceEditor = {
+  modal: null,
+  quoteData: null,
+  lineItems: [],
+  tax: null,
+  onFinalize: null,
+
+  // Payment terms from the rate card ({ key: { label, days } })
+  getTermsOptions() {
+    return (AppState.rates.invoiceTerms && AppState.rates.invoiceTerms.options) ||
+      { receipt: { label: 'Due upon receipt', days: 0 } };
+  },
+
+  // Default payment terms key
+  getDefaultTerms() {
+    const options = this.getTermsOptions();
+    const configured = AppState.rates.invoiceTerms && AppState.rates.invoiceTerms.default;
+    return options[configured] ? configured : Object.keys(options)[0];
+  },
+
+  // Format a Date as YYYY-MM-DD in local time
+  toDateInput(date) {
+    return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}`;
+  },
+
+  // Parse a YYYY-MM-DD date as local midnight
+  fromDateInput(value) {
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  },
+
+  // Format a YYYY-MM-DD date for display (e.g. "October 18, 2026")
+  formatDate(value) {
+    if (!value) return '';
+    return this.fromDateInput(value).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+  },
+
+  // Due date for an issue date and payment terms key
+  dueDateFor(issueDate, terms) {
+    const option = this.getTermsOptions()[terms];
+    const due = this.fromDateInput(issueDate);
+    due.setDate(due.getDate() + (option ? option.days : 0));
+    return this.toDateInput(due);
+  },
+
+  // Open the editor for a quote
+  // options: { client, depositPaid } prefill the bill-to name and mark the deposit as received
+  // onFinalize receives the invoice details once the form is submitted
+  open(quoteData, options, onFinalize) {
+    this.quoteData = quoteData;
+    this.lineItems = Pricing.quoteLineItems(quoteData).map(line => ({ ...line }));
+    this.tax = quoteData.tax || null;
+    this.onFinalize = onFinalize;
+
+    if (!this.modal) {
+      this.createModal();
+    }
+
+    const form = this.modal.querySelector('form');
+    const today = this.toDateInput(new Date());
+    const terms = this.getDefaultTerms();
+
+    form.reset();
+    form.querySelector('#invoiceEditorNumber').value = InvoiceNumbers.nextNumber();
+    form.querySelector('#invoiceEditorIssueDate').value = today;
+    form.querySelector('#invoiceEditorTerms').innerHTML = Object.entries(this.getTermsOptions())
+      .map(([key, option]) => `<option value="${key}"${key === terms ? ' selected' : ''}>${option.label}</option>`)
+      .join('');
+    form.querySelector('#invoiceEditorDueDate').value = this.dueDateFor(today, terms);
+    form.querySelector('#invoiceEditorBillToName').value = options.client || quoteData.client || '';
+    const client = Clients.find(options.client || quoteData.client);
+    form.querySelector('#invoiceEditorBillToAddress').value = client ? client.billingAddress : '';
+    form.querySelector('#invoiceEditorDepositAmount').value = options.depositPaid ? AppState.depositAmount : 0;
+    form.querySelector('#invoiceEditorDepositDate').value = options.depositPaid ? today : '';
+    form.querySelector('#invoiceEditorDepositHint').textContent =
+      `Deposit requested: ${Calculator.formatCurrency(AppState.depositAmount, quoteData.currency)} (${Math.round(AppState.depositPercentage * 100)}%)`;
+    this.modal.querySelector('#invoiceEditorError').style.display = 'none';
+
+    this.renderLines();
+    this.modal.style.display = 'flex';
+  },
+
+  // Close the editor without creating an invoice
+  close() {
+    this.modal.style.display = 'none';
+  },
+
+  // Create the editor modal
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'invoice-editor-modal';
+    this.modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: none;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      padding: 1rem;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background-color: var(--card-bg);
+      border-radius: var(--border-radius);
+      box-shadow: var(--shadow-lg);
+      width: 100%;
+      max-width: 820px;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 2rem;
+      position: relative;
+    `;
+
+    const closeBtn = document.createElement('div');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    closeBtn.style.cssText = `
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      cursor: pointer;
+      font-size: 1.25rem;
+      color: var(--gray-500);
+    `;
+    closeBtn.addEventListener('click', () => this.close());
+
+    const form = document.createElement('form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSubmit();
+    });
+
+    form.innerHTML = `
+      <h3 style="margin-bottom: 1.5rem; text-align: center;">Create Invoice</h3>
+
+      <div class="row">
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorNumber">Invoice Number</label>
+            <input type="text" id="invoiceEditorNumber" required>
+          </div>
+        </div>
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorPoNumber">PO Number (optional)</label>
+            <input type="text" id="invoiceEditorPoNumber">
+          </div>
+        </div>
+      </div>
+
+      <div class="row">
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorIssueDate">Issue Date</label>
+            <input type="date" id="invoiceEditorIssueDate" required>
+          </div>
+        </div>
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorTerms">Payment Terms</label>
+            <select id="invoiceEditorTerms"></select>
+          </div>
+        </div>
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorDueDate">Due Date</label>
+            <input type="date" id="invoiceEditorDueDate" required>
+          </div>
+        </div>
+      </div>
+
+      <div class="row">
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorBillToName">Bill To</label>
+            <input type="text" id="invoiceEditorBillToName" required>
+          </div>
+        </div>
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorBillToAddress">Billing Address (optional)</label>
+            <textarea id="invoiceEditorBillToAddress" rows="3"></textarea>
+          </div>
+        </div>
+      </div>
+
+      <div class="row">
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorDepositAmount">Deposit Received</label>
+            <input type="number" id="invoiceEditorDepositAmount" min="0" step="0.01" value="0">
+            <small id="invoiceEditorDepositHint" style="color: var(--gray-600);"></small>
+          </div>
+        </div>
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorDepositDate">Deposit Date</label>
+            <input type="date" id="invoiceEditorDepositDate">
+          </div>
+        </div>
+      </div>
+
+      <h4 style="margin: 1rem 0 0.5rem;">Line Items</h4>
+      <table>
+        <thead>
+          <tr><th>Service</th><th>Details</th><th>Qty</th><th>Rate</th><th>Amount</th><th></th></tr>
+        </thead>
+        <tbody id="invoiceEditorLines"></tbody>
+      </table>
+
+      <div class="row" style="margin-top: 1rem; align-items: flex-end;">
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorLineDescription">Add Line</label>
+            <input type="text" id="invoiceEditorLineDescription" placeholder="Description">
+          </div>
+        </div>
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorLineQty">Qty</label>
+            <input type="number" id="invoiceEditorLineQty" min="0" step="any" value="1">
+          </div>
+        </div>
+        <div class="col">
+          <div class="form-group">
+            <label for="invoiceEditorLinePrice">Unit Price</label>
+            <input type="number" id="invoiceEditorLinePrice" step="0.01">
+          </div>
+        </div>
+        <div class="col">
+          <div class="form-group">
+            <div class="switch-container">
+              <label class="switch">
+                <input type="checkbox" id="invoiceEditorLineTaxable">
+                <span class="slider"></span>
+              </label>
+              <span class="switch-label">Taxable</span>
+            </div>
+          </div>
+        </div>
+        <div class="col" style="flex: 0 0 auto;">
+          <div class="form-group">
+            <button type="button" class="btn btn-outline" id="invoiceEditorAddLine">
+              <i class="fas fa-plus"></i> Add
+            </button>
+          </div>
+        </div>
+      </div>
+
+      <div id="invoiceEditorTotals" style="text-align: right; margin-bottom: 1rem;"></div>
+
+      <div class="form-group">
+        <label for="invoiceEditorNotes">Notes (optional)</label>
+        <textarea id="invoiceEditorNotes" rows="3"></textarea>
+      </div>
+
+      <div id="invoiceEditorError" class="alert alert-danger" style="display: none;"></div>
+
+      <div class="btn-group" style="justify-content: flex-end; margin-top: 1.5rem;">
+        <button type="button" class="btn btn-outline" id="invoiceEditorCancel">Cancel</button>
+        <button type="submit" class="btn btn-primary">
+          <i class="fas fa-file-invoice-dollar"></i> Create Invoice
+        </button>
+      </div>
+    `;
+
+    content.appendChild(closeBtn);
+    content.appendChild(form);
+    this.modal.appendChild(content);
+    document.body.appendChild(this.modal);
+
+    // Keep the due date in step with the issue date and terms
+    const updateDueDate = () => {
+      const issueDate = form.querySelector('#invoiceEditorIssueDate').value;
+      if (issueDate) {
+        form.querySelector('#invoiceEditorDueDate').value =
+          this.dueDateFor(issueDate, form.querySelector('#invoiceEditorTerms').value);
+      }
+    };
+    form.querySelector('#invoiceEditorIssueDate').addEventListener('change', updateDueDate);
+    form.querySelector('#invoiceEditorTerms').addEventListener('change', updateDueDate);
+
+    // Remove buttons are re-rendered with the lines, so listen on the table body
+    form.querySelector('#invoiceEditorLines').addEventListener('click', (e) => {
+      const button = e.target.closest('[data-remove-line]');
+      if (button) this.removeLine(button.dataset.removeLine);
+    });
+
+    form.querySelector('#invoiceEditorAddLine').addEventListener('click', () => this.handleAddLine());
+    form.querySelector('#invoiceEditorCancel').addEventListener('click', () => this.close());
+  },
+
+  // Render the line items table and running totals
+  renderLines() {
+    const currency = this.quoteData.currency;
+    const body = this.modal.querySelector('#invoiceEditorLines');
+
+    body.innerHTML = this.lineItems.map(line => `
+      <tr>
+        <td>${Clients.escape(line.description)}</td>
+        <td>${Clients.escape(line.detail)}</td>
+        <td>${line.kind === 'tax' ? '' : `${line.qty}${line.unit ? ` ${Clients.escape(line.unit)}` : ''}`}</td>
+        <td>${Clients.escape(line.rateLabel)}</td>
+        <td>${Calculator.formatCurrency(line.amount, currency)}</td>
+        <td style="text-align: right;">
+          ${line.kind === 'tax' ? '' : `
+          <button type="button" class="btn btn-sm btn-outline" data-remove-line="${Clients.escape(line.id)}" title="Remove line">
+            <i class="fas fa-trash"></i>
+          </button>
+          `}
+        </td>
+      </tr>
+    `).join('');
+
+    const totals = Pricing.summarizeLines(this.lineItems);
+    this.modal.querySelector('#invoiceEditorTotals').innerHTML = `
+      <div>Subtotal: ${Calculator.formatCurrency(totals.subtotal, currency)}</div>
+      ${totals.tax > 0 ? `<div>Tax: ${Calculator.formatCurrency(totals.tax, currency)}</div>` : ''}
+      <div style="font-weight: 600;">Total: ${Calculator.formatCurrency(totals.total, currency)}</div>
+    `;
+  },
+
+  // Recalculate tax for the current lines and re-render
+  updateLines(lineItems) {
+    const result = Pricing.applyTax(lineItems, this.tax, this.quoteData.currency);
+    this.lineItems = result.lineItems;
+    this.tax = result.tax;
+    this.renderLines();
+  },
+
+  // Remove a line item
+  removeLine(id) {
+    this.updateLines(this.lineItems.filter(line => line.id !== id));
+  },
+
+  // Add a custom line item from the add-line fields
+  handleAddLine() {
+    const form = this.modal.querySelector('form');
+    const description = form.querySelector('#invoiceEditorLineDescription').value.trim();
+    const qty = Pricing.toNumber(form.querySelector('#invoiceEditorLineQty').value, 1);
+    const unitPrice = Pricing.toNumber(form.querySelector('#invoiceEditorLinePrice').value, NaN);
+
+    if (!description || isNaN(unitPrice)) {
+      UI.showAlert('Enter a description and unit price for the new line.');
+      return;
+    }
+
+    const nextId = Math.max(0, ...this.lineItems.map(line => parseInt(String(line.id).replace(/\D/g, ''), 10) || 0)) + 1;
+
+    this.updateLines([...this.lineItems, Pricing.lineItem({
+      id: `L${nextId}`,
+      kind: 'custom',
+      description,
+      qty,
+      unitPrice,
+      rateLabel: Pricing.formatUnitPrice(unitPrice, this.quoteData.currency),
+      amount: Math.round(qty * unitPrice * 100) / 100,
+      taxable: form.querySelector('#invoiceEditorLineTaxable').checked
+    })]);
+
+    form.querySelector('#invoiceEditorLineDescription').value = '';
+    form.querySelector('#invoiceEditorLineQty').value = 1;
+    form.querySelector('#invoiceEditorLinePrice').value = '';
+    form.querySelector('#invoiceEditorLineTaxable').checked = false;
+  },
+
+  // Show a validation error inside the editor
+  showError(message) {
+    const error = this.modal.querySelector('#invoiceEditorError');
+    error.textContent = message;
+    error.style.display = 'block';
+  },
+
+  // Validate the form and hand the invoice details to the caller
+  handleSubmit() {
+    const form = this.modal.querySelector('form');
+    const invoiceNumber = form.querySelector('#invoiceEditorNumber').value.trim();
+    const issueDate = form.querySelector('#invoiceEditorIssueDate').value;
+    const dueDate = form.querySelector('#invoiceEditorDueDate').value;
+    const terms = form.querySelector('#invoiceEditorTerms').value;
+    const depositAmount = Pricing.toNumber(form.querySelector('#invoiceEditorDepositAmount').value);
+    const depositDate = form.querySelector('#invoiceEditorDepositDate').value;
+
+    if (InvoiceNumbers.isTaken(invoiceNumber)) {
+      this.showError(InvoiceNumbers.findVoid(invoiceNumber) ?
+        `Invoice number ${invoiceNumber} has been voided. Choose a different number.` :
+        `Invoice number ${invoiceNumber} is already used by another invoice.`);
+      return;
+    }
+
+    if (dueDate < issueDate) {
+      this.showError('The due date cannot be before the issue date.');
+      return;
+    }
+
+    if (this.lineItems.filter(line => line.kind !== 'tax').length === 0) {
+      this.showError('Add at least one line item.');
+      return;
+    }
+
+    if (depositAmount < 0) {
+      this.showError('The deposit received cannot be negative.');
+      return;
+    }
+
+    const now = new Date();
+    const date = this.formatDate(issueDate);
+
+    this.close();
+
+    this.onFinalize({
+      invoiceNumber,
+      issueDate,
+      dueDate,
+      terms,
+      termsLabel: this.getTermsOptions()[terms].label,
+      poNumber: form.querySelector('#invoiceEditorPoNumber').value.trim(),
+      client: form.querySelector('#invoiceEditorBillToName').value.trim(),
+      billToAddress: form.querySelector('#invoiceEditorBillToAddress').value.trim(),
+      depositReceived: {
+        amount: depositAmount,
+        date: depositAmount > 0 ? (depositDate || issueDate) : ''
+      },
+      notes: form.querySelector('#invoiceEditorNotes').value.trim(),
+      lineItems: this.lineItems,
+      tax: this.tax,
+      date,
+      dateTime: `Created on ${now.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })} at ${now.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}`
+    });
+  }
+};
@@ -0,0 +1,321 @@
+/**
+ * Invoice Numbers Module
+ * Allocates invoice numbers from a configurable pattern (prefix, year and a
+ * zero-padded counter) and persists the sequence through the DataStore,
+ * claiming numbers against the stored sequence so devices sharing an
+ * organization never issue the same one.
+ * Numbers already on an invoice in History or voided are never
+ * offered again, and skipped numbers can be voided so the books have no
+ * unexplained gaps.
+ */
+
+const InvoiceNumbers = {
+  defaults: {
+    prefix: 'INV',
+    includeYear: true,
+    separator: '-',
+    padding: 4
+  },
+  config: null,
+  // counters: last counter claimed per sequence (a year, or 'all' without years)
+  // voided: [{ number, reason, date }]
+  state: { counters: {}, voided: [] },
+  modal: null,
+
+  // Initialize with the rate card's numbering pattern and load the saved sequence
+  async init(rates) {
+    this.config = { ...this.defaults, ...(rates.invoiceNumbering || {}) };
+
+    const saved = await this.loadState();
+    if (saved) {
+      this.state = {
+        counters: saved.counters || {},
+        voided: saved.voided || []
+      };
+    }
+  },
+
+  // Load the sequence, or null if it has not been saved or did not load
+  async loadState() {
+    try {
+      return await DataStore.load('invoiceNumbers');
+    } catch (error) {
+      console.error('Error loading invoice numbering:', error);
+      return null;
+    }
+  },
+
+  // Apply a change to the stored sequence and keep the result. The store reads
+  // and writes it in one step, so numbers claimed and voided on other devices
+  // are kept; if it cannot be reached the change is applied here only.
+  async update(change) {
+    const apply = saved => {
+      const state = {
+        counters: { ...((saved && saved.counters) || {}) },
+        voided: [...((saved && saved.voided) || [])]
+      };
+      change(state);
+      return state;
+    };
+
+    try {
+      this.state = await DataStore.update('invoiceNumbers', apply);
+    } catch (error) {
+      console.error('Error saving invoice numbering:', error);
+      this.state = apply(this.state);
+    }
+  },
+
+  // Sequence a year's invoices are numbered in (one per year, or a single running sequence)
+  sequenceKey(year) {
+    return this.config.includeYear ? String(year) : 'all';
+  },
+
+  // Format an invoice number (e.g. INV-2026-0042)
+  format(counter, year) {
+    const { prefix, includeYear, separator, padding } = this.config;
+    const parts = [prefix];
+    if (includeYear) parts.push(year);
+    parts.push(String(counter).padStart(padding, '0'));
+    return parts.filter(part => part !== '').join(separator);
+  },
+
+  // Split a number in the configured pattern into { year, counter }, or null for other formats
+  parse(number) {
+    const { prefix, includeYear, separator } = this.config;
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const parts = [prefix ? escape(prefix) : null, includeYear ? '(\\d{4})' : null, '(\\d+)'].filter(Boolean);
+    const match = new RegExp(`^${parts.join(escape(separator))}$`, 'i').exec(number.trim());
+
+    if (!match) return null;
+
+    return includeYear ?
+      { year: parseInt(match[1], 10), counter: parseInt(match[2], 10) } :
+      { year: null, counter: parseInt(match[1], 10) };
+  },
+
+  // Normalize a number for comparisons
+  normalize(number) {
+    return String(number || '').trim().toUpperCase();
+  },
+
+  // Invoice numbers already on invoices in History
+  usedNumbers() {
+    return new Set(History.historyData
+      .filter(item => item.type === 'invoice' && item.invoiceNumber)
+      .map(item => this.normalize(item.invoiceNumber)));
+  },
+
+  // Voided record for a number in a sequence state, if any
+  findVoid(number, state = this.state) {
+    return state.voided.find(entry => this.normalize(entry.number) === this.normalize(number)) || null;
+  },
+
+  // Whether a number is on an existing invoice or has been voided
+  isTaken(number, state = this.state) {
+    return this.usedNumbers().has(this.normalize(number)) || !!this.findVoid(number, state);
+  },
+
+  // Next free number in a year's sequence after its last claimed counter
+  nextInSequence(year, state = this.state) {
+    let counter = (state.counters[this.sequenceKey(year)] || 0) + 1;
+
+    while (this.isTaken(this.format(counter, year), state)) {
+      counter++;
+    }
+
+    return this.format(counter, year);
+  },
+
+  // Next free number in the sequence for the given date (does not claim it)
+  nextNumber(date = new Date()) {
+    return this.nextInSequence(date.getFullYear());
+  },
+
+  // Advance a number's sequence in a state to at least its counter
+  advance(state, number) {
+    const parsed = this.parse(number);
+
+    if (parsed) {
+      const key = this.sequenceKey(parsed.year);
+      state.counters[key] = Math.max(state.counters[key] || 0, parsed.counter);
+    }
+  },
+
+  // Record that a number has been issued, resolving to the number actually issued.
+  // A new number in the pattern that the stored sequence has already reached was
+  // issued on another device since this one loaded, so the next free one is used.
+  async claim(number) {
+    let issued = number;
+
+    await this.update(state => {
+      const parsed = this.parse(number);
+      const key = parsed && this.sequenceKey(parsed.year);
+
+      const issuedElsewhere = parsed && parsed.counter > (this.state.counters[key] || 0) &&
+        parsed.counter <= (state.counters[key] || 0);
+
+      issued = issuedElsewhere ? this.nextInSequence(parsed.year, state) : number;
+      this.advance(state, issued);
+    });
+
+    return issued;
+  },
+
+  // Void a number so it is never reused (e.g. a deleted invoice or a skipped number)
+  voidNumber(number, reason) {
+    if (this.findVoid(number)) return Promise.resolve();
+
+    const entry = {
+      number: number.trim(),
+      reason: reason || '',
+      date: new Date().toISOString()
+    };
+
+    return this.update(state => {
+      if (!this.findVoid(number, state)) state.voided.push(entry);
+      this.advance(state, number);
+    });
+  },
+
+  // Numbers in a sequence up to its last claimed counter that are neither invoiced nor voided
+  gaps(year = new Date().getFullYear()) {
+    const last = this.state.counters[this.sequenceKey(year)] || 0;
+    const gaps = [];
+
+    for (let counter = 1; counter <= last; counter++) {
+      const number = this.format(counter, year);
+      if (!this.isTaken(number)) gaps.push(number);
+    }
+
+    return gaps;
+  },
+
+  // Show the sequence manager (next number, gaps to void and voided numbers)
+  showManager() {
+    if (!this.modal) {
+      this.createManagerModal();
+    }
+
+    this.renderManager();
+    this.modal.style.display = 'flex';
+  },
+
+  // Create the sequence manager modal
+  createManagerModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'invoice-numbers-modal';
+    this.modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: none;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      padding: 1rem;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background-color: var(--card-bg);
+      border-radius: var(--border-radius);
+      box-shadow: var(--shadow-lg);
+      width: 100%;
+      max-width: 560px;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 2rem;
+      position: relative;
+    `;
+
+    const closeBtn = document.createElement('div');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    closeBtn.style.cssText = `
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      cursor: pointer;
+      font-size: 1.25rem;
+      color: var(--gray-500);
+    `;
+    closeBtn.addEventListener('click', () => {
+      this.modal.style.display = 'none';
+    });
+
+    const body = document.createElement('div');
+    body.className = 'invoice-numbers-body';
+
+    // Void buttons are re-rendered with the list, so listen on the container
+    body.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-void-number]');
+      if (!button) return;
+
+      const reason = prompt(`Reason for voiding ${button.dataset.voidNumber}:`, 'Number skipped');
+      if (reason === null) return;
+
+      await this.voidNumber(button.dataset.voidNumber, reason);
+      this.renderManager();
+    });
+
+    content.appendChild(closeBtn);
+    content.appendChild(body);
+    this.modal.appendChild(content);
+    document.body.appendChild(this.modal);
+  },
+
+  // Render the sequence manager contents
+  renderManager() {
+    const body = this.modal.querySelector('.invoice-numbers-body');
+    const gaps = this.gaps();
+
+    const gapRows = gaps.map(number => `
+      <tr>
+        <td>${Clients.escape(number)}</td>
+        <td style="text-align: right;">
+          <button type="button" class="btn btn-sm btn-outline" data-void-number="${Clients.escape(number)}">
+            <i class="fas fa-ban"></i> Void
+          </button>
+        </td>
+      </tr>
+    `).join('');
+
+    const voidedRows = this.state.voided.slice().reverse().map(entry => `
+      <tr>
+        <td>${Clients.escape(entry.number)}</td>
+        <td>${Clients.escape(entry.reason) || '—'}</td>
+        <td>${new Date(entry.date).toLocaleDateString('en-US')}</td>
+      </tr>
+    `).join('');
+
+    body.innerHTML = `
+      <h3 style="margin-bottom: 0.5rem;">Invoice Numbers</h3>
+      <p style="margin-bottom: 1.5rem; font-size: 0.875rem; color: var(--gray-600);">
+        Next invoice number: <strong>${Clients.escape(this.nextNumber())}</strong>
+      </p>
+
+      <h4 style="margin-bottom: 0.5rem;">Unused numbers this year</h4>
+      ${gaps.length > 0 ? `
+      <p style="margin-bottom: 0.75rem; font-size: 0.875rem; color: var(--gray-600);">
+        These numbers were skipped. Void them to record why they have no invoice.
+      </p>
+      <table><tbody>${gapRows}</tbody></table>
+      ` : `
+      <p style="margin-bottom: 1rem; font-size: 0.875rem; color: var(--gray-600);">No gaps in this year's sequence.</p>
+      `}
+
+      <h4 style="margin: 1.5rem 0 0.5rem;">Voided numbers</h4>
+      ${voidedRows ? `
+      <table>
+        <thead><tr><th>Number</th><th>Reason</th><th>Voided</th></tr></thead>
+        <tbody>${voidedRows}</tbody>
+      </table>
+      ` : `
+      <p style="font-size: 0.875rem; color: var(--gray-600);">No voided numbers.</p>
+      `}
+    `;
+  }
+};
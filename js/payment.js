@@ -1,6 +1,7 @@
 /**
  * Payment Module
- * Handles payment processing with Stripe, PayPal, and other methods
+ * Handles payment processing with Stripe, PayPal, and other methods, and keeps
+ * the payment ledger (payments received) that invoice balances are computed from
  */
 
 const Payment = {
@@ -8,6 +9,15 @@ const Payment = {
   stripeLoaded: false,
   stripe: null,
   modal: null,
+  recordModal: null,
+  
+  // Invoice payment states, by how much of the invoice total the ledger covers
+  paymentStatuses: {
+    unpaid: { label: 'Unpaid', badge: 'badge-primary' },
+    partial: { label: 'Partially Paid', badge: 'badge-warning' },
+    paid: { label: 'Paid', badge: 'badge-success' },
+    overpaid: { label: 'Overpaid', badge: 'badge-danger' }
+  },
   
   // Initialize payment module
   init(paymentMethods) {
@@ -33,17 +43,55 @@ const Payment = {
     document.head.appendChild(script);
   },
   
+  // Build a payment ledger entry (date as YYYY-MM-DD, amounts in the invoice currency)
+  createLedgerEntry({ date, method, amount, reference, feeAbsorbed }) {
+    return {
+      id: 'pay_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      date: date || InvoiceEditor.toDateInput(new Date()),
+      method: method || 'other',
+      amount: Math.round(Pricing.toNumber(amount) * 100) / 100,
+      reference: reference || '',
+      feeAbsorbed: Math.round(Pricing.toNumber(feeAbsorbed) * 100) / 100
+    };
+  },
+  
+  // Total received in a payment ledger
+  totalPaid(payments = []) {
+    return payments.reduce((sum, payment) => sum + payment.amount, 0);
+  },
+  
+  // Balance left on an invoice total after its payments (negative when overpaid)
+  balanceDue(total, payments = []) {
+    return Math.round((total - this.totalPaid(payments)) * 100) / 100;
+  },
+  
+  // Payment status key for an invoice total and its payments
+  paymentStatus(total, payments = []) {
+    const paid = this.totalPaid(payments);
+    const balance = this.balanceDue(total, payments);
+    
+    if (paid <= 0) return 'unpaid';
+    if (balance > 0) return 'partial';
+    if (balance < 0) return 'overpaid';
+    return 'paid';
+  },
+  
+  // Display name for a payment method id
+  methodName(id) {
+    const method = this.paymentMethods.find(m => m.id === id);
+    return method ? method.name : 'Other';
+  },
+  
   // Handle payment button click
   handlePayment(type) {
+    const balance = Payment.balanceDue(AppState.invoiceData.total, AppState.invoiceData.payments);
     const amount = type === 'deposit' ? 
-      AppState.depositAmount : 
-      (AppState.invoiceData.depositPaid ? 
-        AppState.quoteTotal - AppState.depositAmount : 
-        AppState.quoteTotal);
+      Math.min(AppState.depositAmount, balance) : 
+      balance;
         
     const description = type === 'deposit' ? 
       'Deposit Payment' : 
-      (AppState.invoiceData.depositPaid ? 'Balance Payment' : 'Full Payment');
+      (AppState.invoiceData.payments.length > 0 ? 'Balance Payment' : 'Full Payment');
       
     // Show payment method selection modal
     this.showPaymentModal(amount, description, type);
@@ -56,15 +104,19 @@ const Payment = {
       this.createPaymentModal();
     }
     
+    // Payments are taken in the quote's currency
+    const currency = AppState.quoteData?.currency || Pricing.baseCurrency(AppState.rates);
+    
     // Update modal content
     const amountEl = this.modal.querySelector('#paymentAmount');
-    amountEl.textContent = Calculator.formatCurrency(amount);
+    amountEl.textContent = `${Calculator.formatCurrency(amount, currency)} ${currency}`;
     
     const descriptionEl = this.modal.querySelector('#paymentDescription');
     descriptionEl.textContent = description;
     
     // Store payment info in modal dataset
     this.modal.dataset.amount = amount;
+    this.modal.dataset.currency = currency;
     this.modal.dataset.description = description;
     this.modal.dataset.paymentType = paymentType;
     
@@ -215,6 +267,7 @@ const Payment = {
   // Handle payment method selection
   selectPaymentMethod(method) {
     const container = this.modal.querySelector('#paymentFormContainer');
+    this.modal.dataset.method = method;
     const amount = parseFloat(this.modal.dataset.amount);
     const description = this.modal.dataset.description;
     
@@ -299,7 +352,7 @@ const Payment = {
     submitButton.type = 'submit';
     submitButton.className = 'btn btn-primary';
     submitButton.style.width = '100%';
-    submitButton.innerHTML = `<i class="fas fa-lock"></i> Pay ${Calculator.formatCurrency(amount)}`;
+    submitButton.innerHTML = `<i class="fas fa-lock"></i> Pay ${Calculator.formatCurrency(amount, this.modal.dataset.currency)}`;
     
     // Assemble the form
     form.appendChild(cardElementContainer);
@@ -383,7 +436,7 @@ const Payment = {
         <p style="margin-bottom: 0.5rem;"><strong>Zelle Payment Instructions:</strong></p>
         <p style="margin-bottom: 0.5rem;">1. Open your banking app and select Zelle</p>
         <p style="margin-bottom: 0.5rem;">2. Send payment to: <strong>${AppState.rates.businessInfo.email}</strong></p>
-        <p style="margin-bottom: 0.5rem;">3. Enter amount: <strong>${Calculator.formatCurrency(amount)}</strong></p>
+        <p style="margin-bottom: 0.5rem;">3. Enter amount: <strong>${Calculator.formatCurrency(amount, this.modal.dataset.currency)}</strong></p>
         <p style="margin-bottom: 0.5rem;">4. Add memo: <strong>Invoice #${AppState.invoiceData.invoiceNumber}</strong></p>
       </div>
       <button id="confirm-zelle" class="btn btn-primary" style="width: 100%;">
@@ -404,7 +457,7 @@ const Payment = {
         <p style="margin-bottom: 0.5rem;"><strong>Venmo Payment Instructions:</strong></p>
         <p style="margin-bottom: 0.5rem;">1. Open the Venmo app</p>
         <p style="margin-bottom: 0.5rem;">2. Search for: <strong>@emmett-production</strong></p>
-        <p style="margin-bottom: 0.5rem;">3. Enter amount: <strong>${Calculator.formatCurrency(amount)}</strong></p>
+        <p style="margin-bottom: 0.5rem;">3. Enter amount: <strong>${Calculator.formatCurrency(amount, this.modal.dataset.currency)}</strong></p>
         <p style="margin-bottom: 0.5rem;">4. Add note: <strong>Invoice #${AppState.invoiceData.invoiceNumber}</strong></p>
         <p style="margin-bottom: 0;">5. Set payment to private</p>
       </div>
@@ -425,7 +478,7 @@ const Payment = {
       <div style="padding: 1rem; border: 1px solid var(--gray-300); border-radius: 8px; background-color: var(--gray-100); margin-bottom: 1.5rem;">
         <p style="margin-bottom: 0.5rem;"><strong>Check Payment Instructions:</strong></p>
         <p style="margin-bottom: 0.5rem;">1. Make check payable to: <strong>${AppState.rates.businessInfo.name}</strong></p>
-        <p style="margin-bottom: 0.5rem;">2. Amount: <strong>${Calculator.formatCurrency(amount)}</strong></p>
+        <p style="margin-bottom: 0.5rem;">2. Amount: <strong>${Calculator.formatCurrency(amount, this.modal.dataset.currency)}</strong></p>
         <p style="margin-bottom: 0.5rem;">3. Memo: <strong>Invoice #${AppState.invoiceData.invoiceNumber}</strong></p>
         <p style="margin-bottom: 0;">4. Mail to: <strong>Contact for mailing address</strong></p>
       </div>
@@ -440,11 +493,21 @@ const Payment = {
     });
   },
   
-  // Handle successful payment
-  handlePaymentSuccess(paymentType) {
+  // Handle successful payment: record it in the invoice's ledger
+  async handlePaymentSuccess(paymentType) {
     // Close payment modal
     this.modal.style.display = 'none';
     
+    const amount = parseFloat(this.modal.dataset.amount);
+    const method = this.paymentMethods.find(m => m.id === this.modal.dataset.method);
+    
+    await History.recordPayment(AppState.invoiceData.invoiceNumber, this.createLedgerEntry({
+      method: this.modal.dataset.method,
+      amount,
+      reference: this.modal.dataset.description,
+      feeAbsorbed: this.calculateFee(amount, method)
+    }));
+    
     // Update app state
     if (paymentType === 'deposit') {
       AppState.isPaid = true;
@@ -513,10 +576,10 @@ const Payment = {
     }
     
     // Update invoice display
-    this.updateInvoiceAfterPayment(paymentType);
+    this.updateInvoiceAfterPayment();
     
     // Add payment confirmation
-    this.showPaymentConfirmation(paymentType);
+    this.showPaymentConfirmation(paymentType, amount);
     
     // In a production environment, you would:
     // 1. Update the payment status on the server
@@ -524,33 +587,20 @@ const Payment = {
     // 3. Update payment history
   },
   
-  // Update invoice display after payment
-  updateInvoiceAfterPayment(paymentType) {
-    if (paymentType === 'deposit') {
-      // Show deposit as paid
-      document.getElementById('depositRow').style.display = 'flex';
-      document.getElementById('invoiceDeposit').textContent = `- ${Calculator.formatCurrency(AppState.depositAmount)}`;
-      document.getElementById('invoiceTotal').textContent = 
-        Calculator.formatCurrency(AppState.quoteTotal - AppState.depositAmount);
-        
-      // Update payment buttons
-      const paymentBtnGroup = document.getElementById('paymentBtnGroup');
-      if (paymentBtnGroup) {
-        const depositBtn = paymentBtnGroup.querySelector('button:first-child');
-        if (depositBtn) depositBtn.remove();
-        
-        const balanceBtn = paymentBtnGroup.querySelector('button');
-        if (balanceBtn) balanceBtn.innerHTML = '<i class="fas fa-money-bill-wave"></i> Pay Balance';
-      }
-    } else {
-      // Mark invoice as fully paid
-      const invoiceCard = document.querySelector('#invoiceSection .card');
-      
-      // Remove payment button group
-      const paymentBtnGroup = document.getElementById('paymentBtnGroup');
-      if (paymentBtnGroup) paymentBtnGroup.remove();
-      
-      // Add paid stamp
+  // Update invoice display after payment (balance, payments table, buttons and paid stamp)
+  updateInvoiceAfterPayment() {
+    const invoiceData = AppState.invoiceData;
+    const status = this.paymentStatus(invoiceData.total, invoiceData.payments);
+    const invoiceCard = document.querySelector('#invoiceSection .card');
+    
+    UI.renderInvoicePayments(UI.elements.invoiceSection, invoiceData, invoiceData.payments);
+    UI.addPaymentButtons(invoiceData);
+    
+    // Add paid stamp once the balance is settled
+    const existingStamp = invoiceCard.querySelector('.paid-stamp');
+    if (existingStamp) existingStamp.remove();
+    
+    if (status === 'paid' || status === 'overpaid') {
       const paidStamp = document.createElement('div');
       paidStamp.className = 'paid-stamp';
       paidStamp.style.cssText = `
@@ -575,17 +625,19 @@ const Payment = {
   },
   
   // Show payment confirmation
-  showPaymentConfirmation(paymentType) {
+  showPaymentConfirmation(paymentType, amount) {
     const confirmation = document.createElement('div');
     confirmation.className = 'alert alert-success';
+    const balance = this.balanceDue(AppState.invoiceData.total, AppState.invoiceData.payments);
+    const currency = AppState.invoiceData.currency;
     
-    if (paymentType === 'deposit') {
+    if (balance > 0) {
       confirmation.innerHTML = `
         <i class="fas fa-check-circle"></i>
         <div>
-          <strong>Deposit Payment Processed!</strong>
-          <p>Your deposit of ${Calculator.formatCurrency(AppState.depositAmount)} has been received.</p>
-          <p>Remaining balance: ${Calculator.formatCurrency(AppState.quoteTotal - AppState.depositAmount)}</p>
+          <strong>${paymentType === 'deposit' ? 'Deposit Payment' : 'Payment'} Processed!</strong>
+          <p>Your payment of ${Calculator.formatCurrency(amount, currency)} has been received.</p>
+          <p>Remaining balance: ${Calculator.formatCurrency(balance, currency)}</p>
         </div>
       `;
     } else {
@@ -593,7 +645,7 @@ const Payment = {
         <i class="fas fa-check-circle"></i>
         <div>
           <strong>Payment Complete!</strong>
-          <p>Your payment of ${Calculator.formatCurrency(AppState.quoteTotal)} has been processed successfully.</p>
+          <p>Your payment of ${Calculator.formatCurrency(amount, currency)} has been processed successfully.</p>
           <p>Thank you for your business!</p>
         </div>
       `;
@@ -609,5 +661,159 @@ const Payment = {
       confirmation.style.transition = 'opacity 0.5s';
       setTimeout(() => confirmation.remove(), 500);
     }, 5000);
+  },
+  
+  // Show the form for recording a payment received outside the app (check, bank transfer, etc.)
+  showRecordPaymentModal(invoiceNumber, balance, onRecord) {
+    if (!this.recordModal) {
+      this.createRecordPaymentModal();
+    }
+    
+    this.recordModal.querySelector('#recordPaymentTitle').textContent = `Record Payment — Invoice #${invoiceNumber}`;
+    this.recordModal.querySelector('#recordPaymentDate').value = InvoiceEditor.toDateInput(new Date());
+    this.recordModal.querySelector('#recordPaymentMethod').value = 'check';
+    this.recordModal.querySelector('#recordPaymentAmount').value = balance > 0 ? balance.toFixed(2) : '';
+    this.recordModal.querySelector('#recordPaymentReference').value = '';
+    this.recordModal.querySelector('#recordPaymentFee').value = '0';
+    this.recordModal.querySelector('#recordPaymentError').style.display = 'none';
+    
+    this.onRecord = onRecord;
+    this.recordModal.style.display = 'flex';
+  },
+  
+  // Create the record payment modal
+  createRecordPaymentModal() {
+    this.recordModal = document.createElement('div');
+    this.recordModal.className = 'record-payment-modal';
+    this.recordModal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: none;
+      align-items: center;
+      justify-content: center;
+      z-index: 1100;
+      padding: 1rem;
+    `;
+    
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background-color: var(--card-bg);
+      border-radius: var(--border-radius);
+      box-shadow: var(--shadow-lg);
+      width: 100%;
+      max-width: 460px;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 2rem;
+      position: relative;
+    `;
+    
+    const closeBtn = document.createElement('div');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    closeBtn.style.cssText = `
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      cursor: pointer;
+      font-size: 1.25rem;
+      color: var(--gray-500);
+    `;
+    closeBtn.addEventListener('click', () => {
+      this.recordModal.style.display = 'none';
+    });
+    
+    const methodOptions = this.paymentMethods
+      .map(method => `<option value="${method.id}">${method.name}</option>`)
+      .join('');
+    
+    content.innerHTML = `
+      <h3 id="recordPaymentTitle" style="margin-bottom: 1.5rem;">Record Payment</h3>
+      <form id="recordPaymentForm">
+        <div class="row">
+          <div class="col">
+            <div class="form-group">
+              <label for="recordPaymentDate">Date Received</label>
+              <input type="date" id="recordPaymentDate" required>
+            </div>
+          </div>
+          <div class="col">
+            <div class="form-group">
+              <label for="recordPaymentMethod">Method</label>
+              <select id="recordPaymentMethod">
+                ${methodOptions}
+                <option value="other">Other</option>
+              </select>
+            </div>
+          </div>
+        </div>
+        <div class="row">
+          <div class="col">
+            <div class="form-group">
+              <label for="recordPaymentAmount">Amount</label>
+              <input type="number" id="recordPaymentAmount" min="0" step="0.01" required>
+            </div>
+          </div>
+          <div class="col">
+            <div class="form-group">
+              <label for="recordPaymentFee">Fee Absorbed</label>
+              <input type="number" id="recordPaymentFee" min="0" step="0.01" value="0">
+            </div>
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="recordPaymentReference">Reference</label>
+          <input type="text" id="recordPaymentReference" placeholder="Check number, transaction ID...">
+        </div>
+        <p id="recordPaymentError" style="display: none; color: var(--danger); font-size: 0.875rem; margin-bottom: 1rem;"></p>
+        <button type="submit" class="btn btn-primary" style="width: 100%;">
+          <i class="fas fa-check"></i> Record Payment
+        </button>
+      </form>
+    `;
+    
+    content.querySelector('#recordPaymentForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleRecordPayment();
+    });
+    
+    content.appendChild(closeBtn);
+    this.recordModal.appendChild(content);
+    document.body.appendChild(this.recordModal);
+  },
+  
+  // Validate the record payment form and hand the ledger entry to the caller
+  async handleRecordPayment() {
+    const amount = parseFloat(this.recordModal.querySelector('#recordPaymentAmount').value);
+    const feeAbsorbed = parseFloat(this.recordModal.querySelector('#recordPaymentFee').value) || 0;
+    const date = this.recordModal.querySelector('#recordPaymentDate').value;
+    const errorEl = this.recordModal.querySelector('#recordPaymentError');
+    
+    if (!date || isNaN(amount) || amount <= 0) {
+      errorEl.textContent = 'Enter the date received and an amount greater than zero.';
+      errorEl.style.display = 'block';
+      return;
+    }
+    
+    if (feeAbsorbed < 0 || feeAbsorbed > amount) {
+      errorEl.textContent = 'The fee absorbed must be between zero and the amount received.';
+      errorEl.style.display = 'block';
+      return;
+    }
+    
+    this.recordModal.style.display = 'none';
+    
+    if (this.onRecord) {
+      await this.onRecord(this.createLedgerEntry({
+        date,
+        method: this.recordModal.querySelector('#recordPaymentMethod').value,
+        amount,
+        reference: this.recordModal.querySelector('#recordPaymentReference').value.trim(),
+        feeAbsorbed
+      }));
+    }
   }
 };
@@ -1,41 +1,509 @@
 /**
  * PIN Authentication Module
- * Handles PIN verification for protected features
+ * Handles PIN verification for protected features. The PIN is only ever
+ * stored as a salted PBKDF2 hash, and repeated failures lock it out for
+ * exponentially longer. With an auth service configured the PIN is verified
+ * by the service instead, so not even the hash reaches the browser.
+ * Unlocking starts a session that stays authorized until it has been idle for
+ * the chosen window, the tab is hidden or it is locked by hand.
+ * Each user has their own PIN and a role (owner, crew lead or viewer), and
+ * protected actions name the permission they need from the user's role.
+ * With cloud storage each user signs in on one member's account, and only
+ * that account and the owner's can read their PIN hash.
  */
 
 const PinAuth = {
-  correctPin: '160781',
+  lockoutKey: 'pinLockout',
+  // Local auth service (server/auth-service.js), e.g. 'http://localhost:8787'.
+  // Leave null to verify the PIN in the browser.
+  serviceUrl: null,
+  iterations: 310000,
+  // Failures allowed before the first lockout; each failure after that locks twice as long
+  maxAttempts: 5,
+  lockoutSeconds: 30,
+  maxLockoutSeconds: 3600,
+  // Users who can unlock: { id, name, role, uid, salt, hash, iterations } with
+  // the salt and hash in base64 and uid the account they sign in on (cloud
+  // storage only). Empty until the first PIN has been set. With an auth service
+  // these are fetched without the salt and hash, and with cloud storage users
+  // whose hash this account cannot read are loaded without it.
+  users: [],
+  // The organization's members ({ uid, email }), for choosing a user's account
+  members: [],
+  lastUserKey: 'pinLastUser',
+  // The user who unlocked the session
+  currentUser: null,
+  // Roles and their permissions; '*' grants everything
+  roles: {
+    owner: { label: 'Owner', permissions: ['*'] },
+    crewLead: { label: 'Crew Lead', permissions: ['calendar.view'] },
+    viewer: { label: 'Viewer / Accountant', permissions: ['history.view', 'reports.view', 'calendar.view', 'calendar.bookings', 'calendar.financials'] }
+  },
+  // Permissions checked by protected actions, worded to finish "not allowed to ..."
+  permissionLabels: {
+    'history.view': 'view the history',
+    'history.edit': 'change quotes and invoices in the history',
+    'invoices.create': 'create invoices',
+    'payments.record': 'record payments',
+    'rates.edit': 'edit rates',
+    'calendar.view': 'view the calendar',
+    'calendar.edit': 'change the calendar',
+    'calendar.bookings': 'see bookings they do not lead',
+    'calendar.financials': 'see client financial details',
+    'reports.view': 'view reports',
+    'directory.edit': 'manage clients and venues',
+    'users.manage': 'manage users'
+  },
+  // Failed attempts in this browser (the auth service keeps its own)
+  lockout: { failures: 0, lockedUntil: 0 },
+  // Session: minutes of inactivity before it locks (chosen when unlocking) and
+  // whether hiding the tab locks it straight away
+  sessionKey: 'pinSessionMinutes',
+  sessionOptions: [5, 15, 30, 60],
+  sessionMinutes: 15,
+  lockOnHide: true,
+  lastActivity: 0,
+  unlocked: false,
+  // Tabs and modals of protected features, closed when the session locks.
+  // Modals in removeOnLock are created each time they open.
+  protectedTabs: ['history', 'calendar', 'dashboard'],
+  hideOnLock: ['.ar-report-modal', '.client-directory-modal', '.venue-library-modal', '.invoice-numbers-modal',
+    '.invoice-editor-modal', '.record-payment-modal', '.block-date-modal'],
+  removeOnLock: ['.history-view-modal', '.pricing-choice-modal', '.event-modal', '.booking-details-modal',
+    '.invoice-from-event-modal', '.all-events-modal'],
   modal: null,
+  mode: 'verify', // 'verify', 'setup' (no PIN yet), 'change', 'users' or 'unavailable' (no users who can sign in here)
+  // Whether the first owner may be set up here: the users loaded and there are
+  // none, and (with cloud storage) this is the organization's owner
+  canSetUp: false,
   onSuccess: null,
   
   // Initialize PIN authentication module
-  init() {
+  async init() {
     this.createPinModal();
+    
+    try {
+      const stored = localStorage.getItem(this.lockoutKey);
+      if (stored) this.lockout = JSON.parse(stored);
+      
+      const minutes = parseInt(localStorage.getItem(this.sessionKey), 10);
+      if (this.sessionOptions.includes(minutes)) this.sessionMinutes = minutes;
+    } catch (error) {
+      console.error('Error loading PIN lockout:', error);
+    }
+    
+    try {
+      this.users = this.serviceUrl ? await this.fetchUsers() : this.usersFromRecord(await this.loadPinRecord());
+      this.canSetUp = !this.serviceUrl && !this.users.length &&
+        (!AppState.usingFirebase || await FirebaseStorage.isOrgOwner());
+    } catch (error) {
+      // Without the users nobody can sign in, and nobody may set up a new owner
+      console.error('Error loading PIN users:', error);
+      this.users = [];
+      this.canSetUp = false;
+    }
+    
+    this.initSession();
   },
   
-  // Show PIN modal and verify PIN
-  verifyPin(successCallback) {
-    // Store the callback for success
-    this.onSuccess = successCallback;
+  // Track activity, lock when idle or hidden, and wire up the lock button
+  initSession() {
+    ['click', 'keydown', 'mousemove', 'touchstart', 'scroll'].forEach(type => {
+      document.addEventListener(type, () => {
+        if (this.unlocked) this.lastActivity = Date.now();
+      }, { passive: true });
+    });
+    
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden && this.lockOnHide) this.lock();
+    });
+    
+    // isAuthorized locks an idle session when asked; this locks it even if nothing asks
+    setInterval(() => this.isAuthorized(), 10000);
+    
+    document.getElementById('sessionLockBtn').addEventListener('click', () => this.lock());
+    document.getElementById('manageUsersBtn').addEventListener('click', () => this.showUsers());
+  },
+  
+  // The single gate for protected actions: whether the session is unlocked and not idle too long
+  isAuthorized() {
+    if (this.unlocked && Date.now() - this.lastActivity > this.sessionMinutes * 60000) {
+      this.lock();
+    }
+    
+    return this.unlocked;
+  },
+  
+  // Whether the signed-in user's role grants a permission. Without a permission
+  // this is the same as isAuthorized.
+  can(permission) {
+    if (!this.isAuthorized() || !this.currentUser) return false;
+    if (!permission) return true;
+    
+    const role = this.roles[this.currentUser.role];
+    return !!role && (role.permissions.includes('*') || role.permissions.includes(permission));
+  },
+  
+  // Tell the signed-in user their role does not allow an action
+  deny(permission) {
+    const role = this.roles[this.currentUser.role] || { label: this.currentUser.role };
+    alert(`${this.currentUser.name} (${role.label}) is not allowed to ${this.permissionLabels[permission] || permission}. ` +
+      'Lock the session to sign in as someone else.');
+  },
+  
+  // Start a session for a user after their PIN has been verified
+  unlock(user) {
+    this.unlocked = true;
+    this.currentUser = user;
+    this.lastActivity = Date.now();
+    
+    const role = this.roles[user.role] || { label: user.role };
+    document.getElementById('sessionUser').textContent = `${user.name} · ${role.label}`;
+    document.getElementById('manageUsersBtn').style.display = this.can('users.manage') ? 'inline-flex' : 'none';
+    document.getElementById('sessionBar').style.display = 'flex';
+    
+    // Record quotes that expired since history was last saved
+    History.expireQuotes();
+  },
+  
+  // End the session and close anything protected that is open
+  lock() {
+    if (!this.unlocked) return;
+    
+    this.unlocked = false;
+    this.currentUser = null;
+    document.getElementById('sessionBar').style.display = 'none';
+    if (this.mode === 'users') this.modal.style.display = 'none';
+    
+    const activeTab = document.querySelector('.tab.active');
+    if (activeTab && this.protectedTabs.includes(activeTab.dataset.tab)) {
+      document.querySelector('.tab[data-tab="calculator"]').click();
+    }
+    
+    document.querySelectorAll(this.hideOnLock.join(', ')).forEach(modal => {
+      modal.style.display = 'none';
+    });
+    document.querySelectorAll(this.removeOnLock.join(', ')).forEach(modal => modal.remove());
+  },
+  
+  // Load the stored users record
+  loadPinRecord() {
+    return DataStore.load('pinUsers');
+  },
+  
+  // Save the users with their PIN hashes. Resolves to whether they were saved;
+  // in cloud storage only the organization's owner can save them.
+  async savePinRecord() {
+    try {
+      await DataStore.save('pinUsers', { users: this.users });
+      return true;
+    } catch (error) {
+      console.error('Error saving PIN record:', error);
+      return false;
+    }
+  },
+  
+  // Apply a change to the users and save it, undoing the change if the save fails
+  async updateUsers(change) {
+    const previous = JSON.parse(JSON.stringify(this.users));
+    change();
+    
+    if (await this.savePinRecord()) return null;
+    
+    this.users = previous;
+    return 'The users could not be saved. With cloud storage, only the organization\'s owner can change users, and only the owner or a user\'s own account can change their PIN.';
+  },
+  
+  // The users in a stored record. A single PIN from before users and roles
+  // becomes the owner.
+  usersFromRecord(record) {
+    if (!record) return [];
+    if (Array.isArray(record.users)) return record.users;
+    
+    return [{ id: 'owner', name: 'Owner', role: 'owner', ...record }];
+  },
+  
+  // A user without their PIN hash, as kept for the session
+  publicUser(user) {
+    return { id: user.id, name: user.name, role: user.role };
+  },
+  
+  // Users who can sign in here: with an auth service all of them, otherwise
+  // those whose PIN hash was loaded
+  signInUsers() {
+    return this.serviceUrl ? this.users : this.users.filter(user => user.hash);
+  },
+  
+  // Find a user by id
+  findUser(id) {
+    return this.users.find(user => user.id === id) || null;
+  },
+  
+  // Number of owners, who must never drop to zero
+  ownerCount() {
+    return this.users.filter(user => user.role === 'owner').length;
+  },
+  
+  // PBKDF2-SHA-256 hash of a PIN with a base64 salt, as base64
+  async hashPin(pin, salt, iterations) {
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromBase64(salt), iterations },
+      key,
+      256
+    );
+    
+    return this.toBase64(new Uint8Array(bits));
+  },
+  
+  // Encode bytes as base64
+  toBase64(bytes) {
+    return btoa(String.fromCharCode(...bytes));
+  },
+  
+  // Decode base64 to bytes
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+  },
+  
+  // Hash a new PIN with a fresh random salt
+  async createPinRecord(pin) {
+    const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
     
-    // Reset form if it exists
-    if (this.modal) {
-      const form = this.modal.querySelector('form');
-      if (form) form.reset();
+    return {
+      salt,
+      hash: await this.hashPin(pin, salt, this.iterations),
+      iterations: this.iterations
+    };
+  },
+  
+  // Compare two hashes without stopping at the first difference
+  hashesMatch(a, b) {
+    if (a.length !== b.length) return false;
+    
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return difference === 0;
+  },
+  
+  // Whether a new PIN has an acceptable format (4 to 8 digits)
+  isValidPin(pin) {
+    return /^\d{4,8}$/.test(pin);
+  },
+  
+  // Seconds left of the current lockout in this browser
+  lockoutRemaining() {
+    return Math.max(0, Math.ceil((this.lockout.lockedUntil - Date.now()) / 1000));
+  },
+  
+  // Count a verification attempt. A success clears the failures; from the
+  // maxAttempts-th failure on, each failure locks the PIN for twice as long.
+  recordAttempt(ok) {
+    if (ok) {
+      this.lockout = { failures: 0, lockedUntil: 0 };
+    } else {
+      const failures = this.lockout.failures + 1;
+      const doublings = failures - this.maxAttempts;
+      const seconds = doublings >= 0 ?
+        Math.min(this.lockoutSeconds * Math.pow(2, doublings), this.maxLockoutSeconds) : 0;
       
-      // Clear error message if any
-      const errorMsg = this.modal.querySelector('#pinErrorMsg');
-      if (errorMsg) errorMsg.style.display = 'none';
+      this.lockout = { failures, lockedUntil: seconds > 0 ? Date.now() + seconds * 1000 : 0 };
+    }
+    
+    localStorage.setItem(this.lockoutKey, JSON.stringify(this.lockout));
+  },
+  
+  // Check a user's PIN. Resolves to { ok, user, retryAfter, attemptsLeft, error },
+  // where retryAfter is the seconds left of a lockout.
+  async checkPin(userId, pin) {
+    if (this.serviceUrl) {
+      return this.request('/pin/verify', { userId, pin });
+    }
+    
+    if (this.lockoutRemaining() > 0) {
+      return { ok: false, retryAfter: this.lockoutRemaining(), attemptsLeft: 0 };
     }
     
+    const user = this.findUser(userId);
+    if (!user) {
+      return { ok: false, retryAfter: 0, error: 'Choose who is signing in.' };
+    }
+    if (!user.hash) {
+      return { ok: false, retryAfter: 0, error: `${user.name} signs in on another account.` };
+    }
+    
+    const ok = this.hashesMatch(await this.hashPin(pin, user.salt, user.iterations), user.hash);
+    this.recordAttempt(ok);
+    
+    return {
+      ok,
+      user: ok ? this.publicUser(user) : null,
+      retryAfter: this.lockoutRemaining(),
+      attemptsLeft: Math.max(0, this.maxAttempts - this.lockout.failures)
+    };
+  },
+  
+  // Replace a user's PIN after checking their current one
+  async changePin(userId, currentPin, newPin) {
+    if (this.serviceUrl) {
+      return this.request('/pin/change', { userId, currentPin, newPin });
+    }
+    
+    const result = await this.checkPin(userId, currentPin);
+    if (!result.ok) return result;
+    
+    const pinRecord = await this.createPinRecord(newPin);
+    const error = await this.updateUsers(() => Object.assign(this.findUser(userId), pinRecord));
+    
+    return error ? { ok: false, retryAfter: 0, error } : result;
+  },
+  
+  // Create the first user, an owner, when no PIN has been set yet and setup is allowed
+  async setupPin(name, pin) {
+    if (!this.canSetUp) {
+      return 'A PIN cannot be set up here.';
+    }
+    
+    const uid = AppState.usingFirebase ? FirebaseStorage.user.uid : null;
+    const user = { id: 'owner', name, role: 'owner', uid, ...await this.createPinRecord(pin) };
+    const error = await this.updateUsers(() => { this.users = [user]; });
+    if (error) return error;
+    
+    this.canSetUp = false;
+    this.recordAttempt(true);
+    return null;
+  },
+  
+  // Add a user with their own PIN (owners only), signing in on the account uid with cloud storage
+  async addUser(name, role, pin, uid = null) {
+    if (this.users.some(user => user.name.toLowerCase() === name.toLowerCase())) {
+      return 'A user with that name already exists.';
+    }
+    
+    const user = { id: `user_${Date.now()}`, name, role, uid, ...await this.createPinRecord(pin) };
+    return this.updateUsers(() => this.users.push(user));
+  },
+  
+  // Change a user's role, keeping at least one owner
+  async setUserRole(id, role) {
+    const user = this.findUser(id);
+    if (user.role === 'owner' && role !== 'owner' && this.ownerCount() === 1) {
+      return 'There must be at least one owner.';
+    }
+    
+    return this.updateUsers(() => { user.role = role; });
+  },
+  
+  // Change the account a user signs in on (cloud storage)
+  async setUserAccount(id, uid) {
+    const user = this.findUser(id);
+    return this.updateUsers(() => { user.uid = uid || null; });
+  },
+  
+  // Remove a user other than the one signed in
+  async removeUser(id) {
+    if (id === this.currentUser.id) {
+      return 'You cannot remove yourself.';
+    }
+    
+    return this.updateUsers(() => { this.users = this.users.filter(user => user.id !== id); });
+  },
+  
+  // Fetch the users (names and roles only) from the auth service
+  async fetchUsers() {
+    try {
+      const response = await fetch(this.serviceUrl + '/users');
+      const result = await response.json();
+      return result.users || [];
+    } catch (error) {
+      console.error('Error loading users from the auth service:', error);
+      return [];
+    }
+  },
+  
+  // Call the auth service
+  async request(path, body) {
+    try {
+      const response = await fetch(this.serviceUrl + path, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      
+      return {
+        ok: response.ok && !!result.ok,
+        user: result.user || null,
+        retryAfter: result.retryAfter || 0,
+        attemptsLeft: result.attemptsLeft,
+        error: result.error
+      };
+    } catch (error) {
+      console.error('Error reaching the auth service:', error);
+      return { ok: false, retryAfter: 0, error: 'The authorization service is not reachable.' };
+    }
+  },
+  
+  // Describe a wait in seconds (e.g. "30 seconds", "4 minutes")
+  formatWait(seconds) {
+    if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  },
+  
+  // Explain a failed check
+  failureMessage(result, label = 'PIN') {
+    if (result.error) return result.error;
+    if (result.retryAfter > 0) return `Too many failed attempts. Try again in ${this.formatWait(result.retryAfter)}.`;
+    
+    return typeof result.attemptsLeft === 'number' && result.attemptsLeft <= 2 ?
+      `Incorrect ${label}. ${result.attemptsLeft} attempt${result.attemptsLeft === 1 ? '' : 's'} left before the PIN is locked.` :
+      `Incorrect ${label}. Please try again.`;
+  },
+  
+  // Run a protected action, asking for a PIN first unless the session is unlocked.
+  // With a permission, the action only runs if the signed-in user's role has it.
+  // Without a PIN yet, the modal asks to set one first where that is allowed
+  verifyPin(successCallback, permission) {
+    const proceed = () => {
+      if (this.can(permission)) {
+        successCallback();
+      } else {
+        this.deny(permission);
+      }
+    };
+    
+    if (this.isAuthorized()) {
+      proceed();
+      return;
+    }
+    
+    // Store the callback for success
+    this.onSuccess = proceed;
+    
+    this.showForm(this.signInUsers().length ? 'verify' : this.canSetUp ? 'setup' : 'unavailable');
+    
     // Show modal
     this.modal.style.display = 'flex';
-    
-    // Focus on PIN input
-    setTimeout(() => {
-      const pinInput = document.getElementById('pinInput');
-      if (pinInput) pinInput.focus();
-    }, 100);
+  },
+  
+  // Open user management for an owner
+  showUsers() {
+    this.verifyPin(async () => {
+      if (AppState.usingFirebase) {
+        try {
+          this.members = (await FirebaseStorage.loadMembers()).members;
+        } catch (error) {
+          console.error('Error loading organization members:', error);
+        }
+      }
+      
+      this.showForm('users');
+      this.modal.style.display = 'flex';
+    }, 'users.manage');
   },
   
   // Create PIN verification modal
@@ -94,57 +562,308 @@ const PinAuth = {
       this.handlePinSubmit();
     });
     
-    // Form content
-    form.innerHTML = `
-      <h3 style="margin-bottom: 1.5rem; text-align: center;">Authorization Required</h3>
+    // The form is re-rendered per mode, so listen on it for the mode links
+    // and the user list's remove links
+    form.addEventListener('click', async (e) => {
+      const link = e.target.closest('[data-pin-mode]');
+      const removeLink = e.target.closest('[data-remove-user]');
       
+      if (link) {
+        e.preventDefault();
+        this.showForm(link.dataset.pinMode);
+      } else if (removeLink) {
+        e.preventDefault();
+        const user = this.findUser(removeLink.dataset.removeUser);
+        if (!confirm(`Remove ${user.name}? They will no longer be able to unlock the app.`)) return;
+        
+        const error = await this.removeUser(user.id);
+        this.showForm('users');
+        if (error) this.showError(error);
+      }
+    });
+    
+    form.addEventListener('change', async (e) => {
+      const { userRole, userAccount } = e.target.dataset;
+      if (!userRole && !userAccount) return;
+      
+      const error = userRole ?
+        await this.setUserRole(userRole, e.target.value) :
+        await this.setUserAccount(userAccount, e.target.value);
+      this.showForm('users');
+      if (error) this.showError(error);
+    });
+    
+    // Add everything to the DOM
+    content.appendChild(closeBtn);
+    content.appendChild(form);
+    this.modal.appendChild(content);
+    document.body.appendChild(this.modal);
+  },
+  
+  // Render the form for a mode and focus its first input
+  showForm(mode) {
+    this.mode = mode;
+    
+    const inputStyle = 'width: 100%; padding: 0.75rem 1rem; border: 1px solid var(--gray-300); border-radius: 8px; font-size: 1rem; background-color: var(--gray-100); color: var(--gray-800); letter-spacing: 0.25em;';
+    const pinField = (id, label) => `
       <div style="margin-bottom: 1.5rem;">
-        <label for="pinInput" style="display: block; margin-bottom: 0.5rem; font-weight: 500;">Enter PIN</label>
-        <input type="password" id="pinInput" required style="width: 100%; padding: 0.75rem 1rem; border: 1px solid var(--gray-300); border-radius: 8px; font-size: 1rem; background-color: var(--gray-100); color: var(--gray-800); letter-spacing: 0.25em;" maxlength="6" inputmode="numeric" pattern="[0-9]*">
-        <div id="pinErrorMsg" style="color: var(--danger); margin-top: 0.5rem; font-size: 0.875rem; display: none;">
-          Incorrect PIN. Please try again.
-        </div>
+        <label for="${id}" style="display: block; margin-bottom: 0.5rem; font-weight: 500;">${label}</label>
+        <input type="password" id="${id}" required style="${inputStyle}" maxlength="8" inputmode="numeric" pattern="[0-9]*" autocomplete="off">
       </div>
+    `;
+    
+    const fieldStyle = 'width: 100%; padding: 0.75rem 1rem; border: 1px solid var(--gray-300); border-radius: 8px; font-size: 1rem; background-color: var(--gray-100); color: var(--gray-800);';
+    const roleOptions = selected => Object.keys(this.roles).map(role => `
+          <option value="${role}"${role === selected ? ' selected' : ''}>${this.roles[role].label}</option>
+          `).join('');
+    const accountField = AppState.usingFirebase ? `
+          <div style="margin-bottom: 1.5rem;">
+            <label for="pinUserAccount" style="display: block; margin-bottom: 0.5rem; font-weight: 500;">Signs in on the account of</label>
+            <select id="pinUserAccount">${this.accountOptions(FirebaseStorage.user.uid)}</select>
+          </div>
+    ` : '';
+    
+    // Who is signing in, preselecting whoever signed in last
+    const lastUser = localStorage.getItem(this.lastUserKey);
+    const userField = `
+      <div style="margin-bottom: 1.5rem;">
+        <label for="pinUser" style="display: block; margin-bottom: 0.5rem; font-weight: 500;">User</label>
+        <select id="pinUser">
+          ${this.signInUsers().map(user => `
+          <option value="${Clients.escape(user.id)}"${user.id === lastUser ? ' selected' : ''}>${Clients.escape(user.name)}</option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+    
+    const nameField = (id, label) => `
+      <div style="margin-bottom: 1.5rem;">
+        <label for="${id}" style="display: block; margin-bottom: 0.5rem; font-weight: 500;">${label}</label>
+        <input type="text" id="${id}" required style="${fieldStyle}" maxlength="40" autocomplete="off">
+      </div>
+    `;
+    
+    const sessionField = `
+      <div style="margin-bottom: 1.5rem;">
+        <label for="pinSessionMinutes" style="display: block; margin-bottom: 0.5rem; font-weight: 500;">Stay unlocked while active for</label>
+        <select id="pinSessionMinutes">
+          ${this.sessionOptions.map(minutes => `
+          <option value="${minutes}"${minutes === this.sessionMinutes ? ' selected' : ''}>${minutes} minutes</option>
+          `).join('')}
+        </select>
+      </div>
+    `;
+    
+    const forms = {
+      verify: {
+        title: 'Authorization Required',
+        fields: userField + pinField('pinInput', 'Enter PIN') + sessionField,
+        button: '<i class="fas fa-lock"></i> Verify',
+        link: '<a href="#" data-pin-mode="change">Change PIN</a>'
+      },
+      setup: {
+        title: 'Set a PIN',
+        intro: 'Choose a 4 to 8 digit PIN to protect history, invoices and reports. Only a salted hash of it is stored. You will be the owner and can add users with their own PINs and roles.',
+        fields: nameField('pinUserName', 'Your Name') + pinField('pinNew', 'New PIN') + pinField('pinConfirm', 'Confirm PIN') + sessionField,
+        button: '<i class="fas fa-key"></i> Set PIN',
+        link: ''
+      },
+      unavailable: {
+        title: 'Authorization Unavailable',
+        intro: 'There are no users who can sign in here, so protected features stay locked. Reload to try again. ' +
+          'With cloud storage, the organization\'s owner sets the first PIN and chooses the account each user signs in on; ' +
+          'with the authorization service, users are added on the service.',
+        fields: '',
+        button: '',
+        link: ''
+      },
+      change: {
+        title: 'Change PIN',
+        fields: userField + pinField('pinCurrent', 'Current PIN') + pinField('pinNew', 'New PIN') + pinField('pinConfirm', 'Confirm New PIN'),
+        button: '<i class="fas fa-key"></i> Change PIN',
+        link: '<a href="#" data-pin-mode="verify">Back</a>'
+      },
+      users: this.serviceUrl ? {
+        title: 'Users',
+        intro: 'Users are managed on the authorization service: node server/auth-service.js add-user &lt;name&gt; &lt;role&gt; &lt;PIN&gt;',
+        fields: this.renderUserList(false),
+        button: '',
+        link: ''
+      } : {
+        title: 'Users',
+        fields: this.renderUserList(true) + `
+          <h4 style="margin-bottom: 1rem;">Add User</h4>
+          ${nameField('pinUserName', 'Name')}
+          <div style="margin-bottom: 1.5rem;">
+            <label for="pinUserRole" style="display: block; margin-bottom: 0.5rem; font-weight: 500;">Role</label>
+            <select id="pinUserRole">${roleOptions('crewLead')}</select>
+          </div>
+          ${accountField}
+          ${pinField('pinNew', 'PIN') + pinField('pinConfirm', 'Confirm PIN')}
+        `,
+        button: '<i class="fas fa-user-plus"></i> Add User',
+        link: ''
+      }
+    };
+    const view = forms[mode];
+    const form = this.modal.querySelector('form');
+    
+    form.innerHTML = `
+      <h3 style="margin-bottom: 1.5rem; text-align: center;">${view.title}</h3>
+      ${view.intro ? `<p style="margin-bottom: 1.5rem; font-size: 0.875rem; color: var(--gray-600);">${view.intro}</p>` : ''}
+      
+      ${view.fields}
+      <div id="pinErrorMsg" style="color: var(--danger); margin: -1rem 0 1.5rem; font-size: 0.875rem; display: none;"></div>
       
+      ${view.button ? `
       <div style="display: flex; justify-content: center;">
         <button type="submit" class="btn btn-primary" style="min-width: 180px;">
-          <i class="fas fa-lock"></i> Verify
+          ${view.button}
         </button>
       </div>
+      ` : ''}
+      ${view.link ? `<div style="text-align: center; margin-top: 1rem; font-size: 0.875rem;">${view.link}</div>` : ''}
     `;
     
-    // Add everything to the DOM
-    content.appendChild(closeBtn);
-    content.appendChild(form);
-    this.modal.appendChild(content);
-    document.body.appendChild(this.modal);
+    // Tell a locked-out user how long to wait before trying
+    if ((mode === 'verify' || mode === 'change') && this.lockoutRemaining() > 0) {
+      this.showError(this.failureMessage({ retryAfter: this.lockoutRemaining() }));
+    }
+    
+    // Focus on the first input
+    setTimeout(() => {
+      const pinInput = form.querySelector('input');
+      if (pinInput) pinInput.focus();
+    }, 100);
+  },
+  
+  // List the users with a role select and a remove link each (when editable)
+  renderUserList(editable) {
+    return `
+      <div style="margin-bottom: 1.5rem;">
+        ${this.users.map(user => `
+        <div style="display: flex; align-items: center; gap: 0.75rem; padding: 0.5rem 0; border-bottom: 1px solid var(--gray-200);">
+          <div style="flex: 1; font-weight: 500;">${Clients.escape(user.name)}${this.currentUser && user.id === this.currentUser.id ? ' (you)' : ''}</div>
+          ${editable ? `
+          <select data-user-role="${Clients.escape(user.id)}" style="max-width: 170px;">
+            ${Object.keys(this.roles).map(role => `
+            <option value="${role}"${role === user.role ? ' selected' : ''}>${this.roles[role].label}</option>
+            `).join('')}
+          </select>
+          ${AppState.usingFirebase ? `
+          <select data-user-account="${Clients.escape(user.id)}" style="max-width: 170px;">${this.accountOptions(user.uid)}</select>
+          ` : ''}
+          <a href="#" data-remove-user="${Clients.escape(user.id)}" title="Remove user" style="color: var(--danger);"><i class="fas fa-trash"></i></a>
+          ` : `
+          <span class="badge badge-primary">${Clients.escape((this.roles[user.role] || { label: user.role }).label)}</span>
+          `}
+        </div>
+        `).join('')}
+      </div>
+    `;
   },
   
-  // Handle PIN submission
-  handlePinSubmit() {
-    const pinInput = document.getElementById('pinInput');
-    const enteredPin = pinInput.value;
+  // Options for choosing a member's account; users without one sign in on the owner's only
+  accountOptions(selected) {
+    return `
+      <option value="">Owner's account only</option>
+      ${this.members.map(member => `
+      <option value="${Clients.escape(member.uid)}"${member.uid === selected ? ' selected' : ''}>${Clients.escape(member.email)}</option>
+      `).join('')}
+    `;
+  },
+  
+  // Show an error under the PIN inputs
+  showError(message) {
     const errorMsg = document.getElementById('pinErrorMsg');
+    errorMsg.textContent = message;
+    errorMsg.style.display = message ? 'block' : 'none';
+  },
+  
+  // Start the user's session, close the modal and continue with the protected action
+  succeed(user) {
+    this.sessionMinutes = parseInt(document.getElementById('pinSessionMinutes').value, 10);
+    localStorage.setItem(this.sessionKey, String(this.sessionMinutes));
+    localStorage.setItem(this.lastUserKey, user.id);
+    this.unlock(user);
     
-    // Validate PIN
-    if (enteredPin === this.correctPin) {
-      // Hide error message
-      errorMsg.style.display = 'none';
-      
-      // Close modal
-      this.modal.style.display = 'none';
-      
-      // Call success callback if provided
-      if (typeof this.onSuccess === 'function') {
-        this.onSuccess();
+    this.modal.style.display = 'none';
+    
+    // Call success callback if provided
+    if (typeof this.onSuccess === 'function') {
+      this.onSuccess();
+    }
+  },
+  
+  // Handle PIN submission for the current mode
+  async handlePinSubmit() {
+    const value = id => (document.getElementById(id) || {}).value || '';
+    const submitBtn = this.modal.querySelector('button[type="submit"]');
+    
+    // New users need a name, and new PINs must be valid and typed the same twice
+    if ((this.mode === 'setup' || this.mode === 'users') && !value('pinUserName').trim()) {
+      this.showError('Please enter a name.');
+      return;
+    }
+    if (this.mode !== 'verify') {
+      if (!this.isValidPin(value('pinNew'))) {
+        this.showError('The new PIN must be 4 to 8 digits.');
+        return;
       }
-    } else {
-      // Show error message
-      errorMsg.style.display = 'block';
-      
-      // Clear input
-      pinInput.value = '';
-      pinInput.focus();
+      if (value('pinNew') !== value('pinConfirm')) {
+        this.showError('The new PINs do not match.');
+        return;
+      }
+    }
+    
+    // Hashing takes a moment, so prevent double submits
+    submitBtn.disabled = true;
+    this.showError('');
+    
+    try {
+      if (this.mode === 'setup') {
+        const error = await this.setupPin(value('pinUserName').trim(), value('pinNew'));
+        
+        if (error) {
+          this.showError(error);
+        } else {
+          this.succeed(this.publicUser(this.users[0]));
+        }
+      } else if (this.mode === 'users') {
+        const error = await this.addUser(value('pinUserName').trim(), value('pinUserRole'), value('pinNew'),
+          value('pinUserAccount') || null);
+        
+        if (error) {
+          this.showError(error);
+        } else {
+          this.showForm('users');
+          History.showSuccessNotification('User added');
+        }
+      } else if (this.mode === 'change') {
+        const result = await this.changePin(value('pinUser'), value('pinCurrent'), value('pinNew'));
+        
+        if (result.ok) {
+          this.showForm('verify');
+          History.showSuccessNotification('PIN changed');
+        } else {
+          this.showError(this.failureMessage(result, 'current PIN'));
+        }
+      } else {
+        const pinInput = document.getElementById('pinInput');
+        const result = await this.checkPin(value('pinUser'), pinInput.value);
+        
+        if (result.ok) {
+          this.succeed(result.user);
+        } else {
+          this.showError(this.failureMessage(result));
+          
+          // Clear input
+          pinInput.value = '';
+          pinInput.focus();
+        }
+      }
+    } finally {
+      submitBtn.disabled = false;
     }
   }
 };
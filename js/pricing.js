@@ -0,0 +1,986 @@
+/**
+ * Pricing Module
+ * Pure quote pricing engine - takes a plain input object and a rate card and
+ * returns line items, notes, totals and deposit. No DOM or AppState access, so it can
+ * be loaded in the browser or required from Node.
+ */
+
+const Pricing = {
+  // Durations priced as a fixed number of full days from the packages table
+  packageDurations: ['2day', '3day', '5day'],
+
+  // How multi-day discounts combine with client discounts (rates.multiDayDiscounts.stacking)
+  // stack: client discount applies on top; exclusive: client discount replaces it; best: larger saving wins
+  discountStackingModes: ['stack', 'exclusive', 'best'],
+
+  // All supported duration types ('schedule' prices each date from the day-by-day schedule)
+  durationTypes: ['full', 'half', '2day', '3day', '5day', 'custom', 'schedule'],
+
+  // Day types available in the day-by-day schedule
+  scheduleDayTypes: {
+    full: 'Full Day (10h)',
+    half: 'Half Day (5h)',
+    travel: 'Travel Day',
+    off: 'Off'
+  },
+
+  // Tax categories a rate card line can belong to (services and specialty items set taxCategory)
+  taxCategories: {
+    labor: 'labor',
+    rental: 'equipment rentals',
+    expense: 'expenses'
+  },
+
+  // Kinds of quote line items ('custom' lines are added by hand on invoices)
+  lineKinds: ['service', 'travel', 'overtime', 'specialty', 'discount', 'expense', 'custom', 'tax'],
+
+  // Build a quote line item
+  // detail and rateLabel are the display text shown beside the description and unit price
+  // serviceType and crewDays tie crew lines back to the rate card service and the days they bill
+  lineItem(fields) {
+    return {
+      id: fields.id || null,
+      kind: fields.kind,
+      description: fields.description,
+      detail: fields.detail || '',
+      qty: fields.qty,
+      unit: fields.unit || '',
+      unitPrice: fields.unitPrice,
+      rateLabel: fields.rateLabel || '',
+      amount: fields.amount,
+      taxCategory: fields.taxCategory || null,
+      discountable: !!fields.discountable,
+      taxable: !!fields.taxable,
+      serviceType: fields.serviceType || null,
+      crewDays: fields.crewDays || 0
+    };
+  },
+
+  // Subtotal (every line but tax), tax and total of a list of line items
+  summarizeLines(lineItems) {
+    const tax = lineItems
+      .filter(line => line.kind === 'tax')
+      .reduce((sum, line) => sum + line.amount, 0);
+    const subtotal = lineItems
+      .filter(line => line.kind !== 'tax')
+      .reduce((sum, line) => sum + line.amount, 0);
+
+    return { subtotal, tax, total: subtotal + tax };
+  },
+
+  // Recalculate the tax line after lines are added or removed, matching priceQuote:
+  // discounts reduce the taxable amount of discountable lines in proportion
+  // Returns { lineItems, tax } with the tax line replaced (or dropped when it comes to zero)
+  applyTax(lineItems, tax, currency = 'USD') {
+    const lines = lineItems.filter(line => line.kind !== 'tax');
+
+    if (!tax || !tax.rate) return { lineItems: lines, tax };
+
+    const discountable = lines
+      .filter(line => line.discountable)
+      .reduce((sum, line) => sum + line.amount, 0);
+    const discounts = lines
+      .filter(line => line.kind === 'discount')
+      .reduce((sum, line) => sum + line.amount, 0);
+    const discountFactor = discountable > 0 ? (discountable + discounts) / discountable : 1;
+
+    const taxableAmount = Math.round(lines
+      .filter(line => line.taxable)
+      .reduce((sum, line) => sum + line.amount * (line.discountable ? discountFactor : 1), 0));
+    const updated = { ...tax, taxableAmount, amount: Math.round(taxableAmount * tax.rate) };
+
+    if (updated.amount > 0) {
+      lines.push(this.lineItem({
+        id: (lineItems.find(line => line.kind === 'tax') || {}).id || `L${lines.length + 1}`,
+        kind: 'tax',
+        description: 'Tax',
+        detail: `${tax.name} ${tax.label} on ${this.formatCurrency(taxableAmount, currency)}`,
+        qty: 1,
+        unitPrice: updated.amount,
+        rateLabel: `${this.formatTaxRate(tax.rate)}%`,
+        amount: updated.amount
+      }));
+    }
+
+    return { lineItems: lines, tax: updated };
+  },
+
+  // Line items of a quote or invoice, converting the positional rows stored by older versions
+  // ([label, detail, rateText, amount] with 'Quote Date', 'Expenses' and 'TOTAL' marker rows)
+  quoteLineItems(quote) {
+    if (quote.lineItems) return quote.lineItems;
+
+    const lineItems = [];
+    let inExpenses = false;
+
+    (quote.rows || []).forEach(([label, detail, rateText, amount]) => {
+      if (label === 'Expenses' && amount === '') inExpenses = true;
+      if (typeof amount !== 'number' || label === 'TOTAL') return;
+
+      let kind = inExpenses ? 'expense' : 'service';
+      if (label === 'Tax') kind = 'tax';
+      else if (label === 'Client Discount') kind = 'discount';
+
+      lineItems.push(this.lineItem({
+        id: `L${lineItems.length + 1}`,
+        kind,
+        description: label,
+        detail,
+        qty: 1,
+        unitPrice: amount,
+        rateLabel: rateText,
+        amount
+      }));
+    });
+
+    return lineItems;
+  },
+
+  // Parse an integer field, falling back when it is empty or invalid
+  toInt(value, fallback = 0) {
+    const parsed = parseInt(value, 10);
+    return isNaN(parsed) ? fallback : parsed;
+  },
+
+  // Parse a count that defaults when left empty; anything else that is not a number
+  // becomes NaN so validation reports it instead of quietly using the default
+  toCount(value, fallback) {
+    return value === undefined || value === null || value === '' ? fallback : this.toInt(value, NaN);
+  },
+
+  // Parse a decimal field (miles, unit costs), falling back when it is empty or invalid
+  toNumber(value, fallback = 0) {
+    const parsed = parseFloat(value);
+    return isNaN(parsed) ? fallback : parsed;
+  },
+
+  // Build a normalized expense line; unitCost overrides the rate card default when set
+  normalizeExpense(expense = {}) {
+    const hasUnitCost = expense.unitCost !== undefined && expense.unitCost !== null && expense.unitCost !== '';
+
+    return {
+      id: expense.id || null,
+      type: expense.type || '',
+      quantity: this.toNumber(expense.quantity, 1),
+      unitCost: hasUnitCost ? this.toNumber(expense.unitCost) : null,
+      description: (expense.description || '').trim()
+    };
+  },
+
+  // Build a normalized crew position (role, quantity, duration, overtime and travel)
+  // Scheduled positions take overtime and travel from the schedule's dates instead
+  normalizePosition(position = {}) {
+    const durationType = position.durationType || 'full';
+    const isScheduled = durationType === 'schedule';
+    const includeTravel = !isScheduled && !!position.includeTravel;
+
+    return {
+      id: position.id || null,
+      serviceType: position.serviceType || 'single',
+      quantity: this.toCount(position.quantity, 1),
+      durationType,
+      customDays: durationType === 'custom' ? this.toCount(position.customDays, 1) : 0,
+      additionalHours: isScheduled ? 0 : this.toInt(position.additionalHours),
+      includeTravel,
+      travelDays: includeTravel ? this.toInt(position.travelDays) : 0
+    };
+  },
+
+  // Build a normalized, date-ordered day-by-day schedule
+  normalizeSchedule(schedule) {
+    if (!Array.isArray(schedule)) return [];
+
+    return schedule
+      .map(day => ({
+        date: day.date || '',
+        dayType: day.dayType || 'full',
+        overtime: this.toInt(day.overtime)
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  // Build a normalized input object with defaults applied
+  // Quotes without a positions list are treated as a single position built from the top-level fields
+  normalizeInput(input = {}) {
+    const positions = Array.isArray(input.positions) && input.positions.length > 0 ?
+      input.positions : [input];
+
+    return {
+      positions: positions.map(position => this.normalizePosition(position)),
+      schedule: this.normalizeSchedule(input.schedule),
+      clientType: input.clientType || 'regular',
+      specialtyServices: Array.isArray(input.specialtyServices) ?
+        input.specialtyServices.map(s => ({ ...s, amount: this.toInt(s.amount) })) : [],
+      expenses: Array.isArray(input.expenses) ? input.expenses.map(e => this.normalizeExpense(e)) : [],
+      expensesInDeposit: typeof input.expensesInDeposit === 'boolean' ? input.expensesInDeposit : null,
+      depositRate: typeof input.depositRate === 'number' ? input.depositRate : null,
+      clientName: (input.clientName || '').trim(),
+      projectName: (input.projectName || '').trim(),
+      projectLocation: (input.projectLocation || '').trim(),
+      projectStartDate: input.projectStartDate || '',
+      projectEndDate: input.projectEndDate || '',
+      taxJurisdiction: input.taxJurisdiction || '',
+      currency: input.currency || '',
+      quoteDate: input.quoteDate || null
+    };
+  },
+
+  // Validate normalized input against the rate card
+  // Returns an array of { field, message } objects (empty when valid)
+  validateInput(input, rates) {
+    const errors = [];
+
+    if (!rates || !rates.services) {
+      errors.push({ field: 'rates', message: 'Rate card is not loaded.' });
+      return errors;
+    }
+
+    if (input.clientName === '') {
+      errors.push({ field: 'clientName', message: 'Client Name is required.' });
+    }
+
+    if (input.quoteDate !== null && !this.isDate(input.quoteDate)) {
+      errors.push({ field: 'quoteDate', message: `Invalid quote date "${input.quoteDate}"; use YYYY-MM-DD.` });
+    }
+
+    if (input.projectName === '') {
+      errors.push({ field: 'projectName', message: 'Project Name is required.' });
+    }
+
+    input.positions.forEach((position, i) => {
+      const field = name => `positions[${i}].${name}`;
+
+      if (!rates.services[position.serviceType]) {
+        errors.push({ field: field('serviceType'), message: `Unknown service type "${position.serviceType}".` });
+      }
+
+      if (!(position.quantity > 0)) {
+        errors.push({ field: field('quantity'), message: 'Crew quantity must be a number of at least 1.' });
+      }
+
+      if (!this.durationTypes.includes(position.durationType)) {
+        errors.push({ field: field('durationType'), message: `Unknown duration "${position.durationType}".` });
+      } else if (this.packageDurations.includes(position.durationType) &&
+          !(rates.packages && rates.packages[position.durationType])) {
+        errors.push({ field: field('durationType'), message: `The rate card has no ${position.durationType} package.` });
+      } else if (position.durationType === 'custom' && !(position.customDays > 0)) {
+        errors.push({ field: field('customDays'), message: 'Please enter a valid number of days.' });
+      }
+
+      if (position.additionalHours < 0) {
+        errors.push({ field: field('additionalHours'), message: 'Overtime hours cannot be negative.' });
+      }
+
+      if (position.travelDays < 0) {
+        errors.push({ field: field('travelDays'), message: 'Travel days cannot be negative.' });
+      }
+    });
+
+    if (input.positions.some(position => position.durationType === 'schedule') &&
+        !input.schedule.some(day => day.dayType !== 'off')) {
+      errors.push({ field: 'schedule', message: 'Select project dates and at least one working day to use the day-by-day schedule.' });
+    }
+
+    input.schedule.forEach(day => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day.date)) {
+        errors.push({ field: 'schedule', message: `Invalid schedule date "${day.date}".` });
+      }
+
+      if (!this.scheduleDayTypes[day.dayType]) {
+        errors.push({ field: 'schedule', message: `Unknown day type "${day.dayType}" on ${day.date}.` });
+      }
+
+      if (day.overtime < 0) {
+        errors.push({ field: 'schedule', message: `Overtime on ${day.date} cannot be negative.` });
+      }
+    });
+
+    if (input.clientType !== 'regular' && !(rates.discounts && rates.discounts[input.clientType])) {
+      errors.push({ field: 'clientType', message: `Unknown client type "${input.clientType}".` });
+    }
+
+    if (rates.multiDayDiscounts && !this.discountStackingModes.includes(this.discountStacking(rates))) {
+      errors.push({ field: 'rates', message: `Unknown discount stacking "${rates.multiDayDiscounts.stacking}".` });
+    }
+
+    if (input.taxJurisdiction && !(rates.tax && rates.tax.jurisdictions[input.taxJurisdiction])) {
+      errors.push({ field: 'taxJurisdiction', message: `Unknown tax jurisdiction "${input.taxJurisdiction}".` });
+    }
+
+    if (input.currency && input.currency !== this.baseCurrency(rates) &&
+        !(rates.currencies && rates.currencies.rates && rates.currencies.rates[input.currency])) {
+      errors.push({ field: 'currency', message: `No exchange rate for currency "${input.currency}".` });
+    }
+
+    if (input.projectStartDate && input.projectEndDate && input.projectEndDate < input.projectStartDate) {
+      errors.push({ field: 'projectEndDate', message: 'End date cannot be before start date.' });
+    }
+
+    input.specialtyServices.forEach(service => {
+      if (!rates.specialty || !rates.specialty[service.type]) {
+        errors.push({ field: 'specialtyServices', message: `Unknown specialty service "${service.type}".` });
+      } else if (service.amount <= 0) {
+        errors.push({ field: 'specialtyServices', message: `${rates.specialty[service.type].name} needs a valid amount.` });
+      }
+    });
+
+    input.expenses.forEach(expense => {
+      if (!rates.expenses || !rates.expenses[expense.type]) {
+        errors.push({ field: 'expenses', message: `Unknown expense "${expense.type}".` });
+      } else if (expense.quantity <= 0) {
+        errors.push({ field: 'expenses', message: `${rates.expenses[expense.type].name} needs a valid quantity.` });
+      } else if (expense.unitCost !== null && expense.unitCost < 0) {
+        errors.push({ field: 'expenses', message: `${rates.expenses[expense.type].name} cost cannot be negative.` });
+      }
+    });
+
+    if (input.depositRate !== null && (input.depositRate < 0 || input.depositRate > 1)) {
+      errors.push({ field: 'depositRate', message: 'Deposit rate must be between 0% and 100%.' });
+    }
+
+    return errors;
+  },
+
+  // Price a quote from plain input
+  // Returns { valid: false, errors } when the input is invalid, otherwise the full quote
+  priceQuote(rawInput, rates) {
+    const input = this.normalizeInput(rawInput);
+    const errors = this.validateInput(input, rates);
+
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
+
+    // Price against the rate card converted into the quote currency
+    const baseCurrency = this.baseCurrency(rates);
+    const currency = input.currency || baseCurrency;
+    const exchangeRate = this.exchangeRate(currency, rates);
+    rates = this.ratesInCurrency(rates, currency);
+
+    const cli = input.clientType;
+    const usesSchedule = input.positions.some(position => position.durationType === 'schedule');
+    const hasTravel = input.positions.some(position => position.travelDays > 0) ||
+      (usesSchedule && input.schedule.some(day => day.dayType === 'travel'));
+
+    // Format date
+    const now = input.quoteDate ? this.parseDate(input.quoteDate) : new Date();
+    const dateOptions = { year: 'numeric', month: 'long', day: 'numeric' };
+    const formattedDate = now.toLocaleDateString('en-US', dateOptions);
+
+    // Calculate valid until date
+    const validUntil = new Date(now);
+    validUntil.setDate(validUntil.getDate() + rates.terms.quoteValidity);
+    const validUntilFormatted = validUntil.toLocaleDateString('en-US', dateOptions);
+    const validUntilDate = [validUntil.getFullYear(), validUntil.getMonth() + 1, validUntil.getDate()]
+      .map(part => String(part).padStart(2, '0'))
+      .join('-');
+
+    // Initialize calculation variables
+    let total = 0;
+    const lineItems = [];
+    const notes = [];
+
+    // Decide whether multi-day and client discounts both apply
+    const clientDiscount = cli !== 'regular' ? rates.discounts[cli] : null;
+    const stacking = this.discountStacking(rates);
+    let applyMultiDay = !(clientDiscount && stacking === 'exclusive');
+    let applyClientDiscount = !!clientDiscount;
+
+    if (clientDiscount && stacking === 'best') {
+      const specialtyTotal = input.specialtyServices
+        .reduce((sum, item) => sum + rates.specialty[item.type].rate * item.amount, 0);
+      const withMultiDay = this.pricePositions(input, rates, true).subtotal + specialtyTotal;
+      const withoutMultiDay = this.pricePositions(input, rates, false).subtotal + specialtyTotal;
+      const withClientDiscount = withoutMultiDay - Math.round(withoutMultiDay * clientDiscount.rate);
+
+      applyMultiDay = withMultiDay < withClientDiscount;
+      applyClientDiscount = !applyMultiDay;
+    }
+
+    // Add a line group for each crew position
+    const positions = this.pricePositions(input, rates, applyMultiDay);
+    const categoryTotals = { ...positions.categoryTotals };
+    lineItems.push(...positions.lines);
+    total += positions.subtotal;
+
+    // Add specialty services
+    input.specialtyServices.forEach(item => {
+      const specialty = rates.specialty[item.type];
+      const isHourly = specialty.unit !== 'day';
+      const amt = specialty.rate * item.amount;
+      const category = this.taxCategory(specialty);
+
+      lineItems.push(this.lineItem({
+        kind: 'specialty',
+        description: specialty.name,
+        detail: `${item.amount} ${isHourly ? 'Hour' : 'Day'}${item.amount > 1 ? 's' : ''}`,
+        qty: item.amount,
+        unit: isHourly ? 'hour' : 'day',
+        unitPrice: specialty.rate,
+        rateLabel: `${this.formatCurrency(specialty.rate, currency)}/${isHourly ? 'h' : 'day'}`,
+        amount: amt,
+        taxCategory: category,
+        discountable: true
+      }));
+      total += amt;
+
+      categoryTotals[category] = (categoryTotals[category] || 0) + amt;
+    });
+
+    const grossTotal = total;
+
+    // Apply client discount
+    if (applyClientDiscount) {
+      const amt = Math.round(total * clientDiscount.rate);
+      lineItems.push(this.lineItem({
+        kind: 'discount',
+        description: 'Client Discount',
+        detail: clientDiscount.name,
+        qty: 1,
+        unitPrice: -amt,
+        rateLabel: `-${clientDiscount.rate * 100}%`,
+        amount: -amt
+      }));
+      total -= amt;
+    }
+
+    // Scale each tax category by the share left after the client discount
+    const discountFactor = grossTotal > 0 ? total / grossTotal : 0;
+    const netCategoryTotals = {};
+    Object.entries(categoryTotals).forEach(([category, amount]) => {
+      netCategoryTotals[category] = amount * discountFactor;
+    });
+
+    // Expenses are passed through at cost, after the client discount, in their own section
+    const expenses = this.priceExpenses(input.expenses, rates);
+
+    if (expenses.lines.length > 0) {
+      lineItems.push(...expenses.lines);
+      total += expenses.subtotal;
+      netCategoryTotals.expense = expenses.subtotal;
+    }
+
+    // Add tax on the taxable lines
+    const subtotal = total;
+    const tax = this.calculateTax(input, rates, netCategoryTotals);
+
+    // Mark the lines in the taxed categories before adding the tax line itself
+    lineItems.forEach(line => {
+      line.taxable = !!tax && tax.rate > 0 && tax.taxable.includes(line.taxCategory);
+    });
+
+    if (tax && tax.amount > 0) {
+      lineItems.push(this.lineItem({
+        kind: 'tax',
+        description: 'Tax',
+        detail: `${tax.name} ${tax.label} on ${this.formatCurrency(tax.taxableAmount, currency)}`,
+        qty: 1,
+        unitPrice: tax.amount,
+        rateLabel: `${this.formatTaxRate(tax.rate)}%`,
+        amount: tax.amount
+      }));
+      total += tax.amount;
+    }
+
+    lineItems.forEach((line, i) => {
+      line.id = `L${i + 1}`;
+    });
+
+    // Calculate deposit (expenses are left to the balance unless configured otherwise)
+    const expensesInDeposit = input.expensesInDeposit !== null ?
+      input.expensesInDeposit : !!rates.terms.depositIncludesExpenses;
+    // A client's own deposit rate (from the client directory) replaces the client type's rate
+    const depositPercentage = input.depositRate !== null ? input.depositRate : rates.depositRates[cli];
+    const depositBase = expensesInDeposit ? total : total - expenses.subtotal;
+    const depositAmount = Math.round(depositBase * depositPercentage);
+
+    // Add notes
+    notes.push(`Deposit: ${depositPercentage * 100}% (${this.formatCurrency(depositAmount, currency)}) due on booking.`);
+    notes.push('Includes up to 10 hours per day.');
+
+    if (clientDiscount && stacking !== 'stack' && positions.multiDay) {
+      notes.push(`Multi-day and client discounts do not combine; the ${applyMultiDay ? 'multi-day' : 'client'} discount has been applied.`);
+    }
+
+    if (tax && tax.rate > 0) {
+      const taxedCategories = tax.taxable.map(category => this.taxCategories[category] || category);
+      notes.push(taxedCategories.length > 0 ?
+        `${tax.name} ${tax.label} (${this.formatTaxRate(tax.rate)}%) applies to ${taxedCategories.join(' and ')}.` :
+        `No ${tax.label.toLowerCase()} applies in ${tax.name}.`);
+    }
+
+    if (cli === 'partner5' || cli === 'partner8') {
+      notes.push('Partner status requires meeting monthly booking thresholds and resets at the beginning of each month.');
+    }
+
+    if (hasTravel) {
+      notes.push('Travel days are billed at the full day rate.');
+    } else if (expenses.lines.length === 0) {
+      notes.push('Travel and per diem may apply for events requiring overnight stays.');
+    }
+
+    if (expenses.lines.length > 0) {
+      notes.push(`Expenses are billed at cost, are not subject to client discounts${expensesInDeposit ? '' : ' and are due with the balance rather than the deposit'}.`);
+    }
+
+    if (currency !== baseCurrency) {
+      const updated = rates.currencies.rates[currency].updated;
+      notes.push(`Prices converted from the ${baseCurrency} rate card at 1 ${baseCurrency} = ${exchangeRate} ${currency}${updated ? ` (exchange rate as of ${updated})` : ''}.`);
+    }
+
+    notes.push(`Cancellation: ${rates.terms.cancellationPolicy.within7Days * 100}% fee if within 7 days, ${rates.terms.cancellationPolicy.within14Days * 100}% fee if within 14 days.`);
+    notes.push('All rates are for labor only. Equipment available through partner vendors.');
+
+    return {
+      valid: true,
+      errors: [],
+      input,
+      lineItems,
+      notes,
+      client: input.clientName,
+      project: {
+        name: input.projectName,
+        location: input.projectLocation,
+        startDate: input.projectStartDate,
+        endDate: input.projectEndDate
+      },
+      formattedDate,
+      validUntil: validUntilDate,
+      validUntilFormatted,
+      depositPercentage,
+      depositAmount,
+      subtotal,
+      expensesTotal: expenses.subtotal,
+      expensesInDeposit,
+      tax,
+      total,
+      currency,
+      baseCurrency,
+      exchangeRate,
+      rateCardVersion: rates.version || null
+    };
+  },
+
+  // Price expense lines; unit costs entered on the quote are in the quote currency
+  priceExpenses(expenseItems, rates) {
+    const lines = [];
+    let subtotal = 0;
+
+    expenseItems.forEach(item => {
+      const expense = rates.expenses[item.type];
+      const unitCost = item.unitCost !== null ? item.unitCost : expense.rate;
+      const amt = Math.round(unitCost * item.quantity);
+      const unitLabel = `${item.quantity} ${expense.unit}${item.quantity !== 1 ? 's' : ''}`;
+
+      lines.push(this.lineItem({
+        kind: 'expense',
+        description: expense.name,
+        detail: item.description ? `${unitLabel} · ${item.description}` : unitLabel,
+        qty: item.quantity,
+        unit: expense.unit,
+        unitPrice: unitCost,
+        rateLabel: `${this.formatUnitPrice(unitCost, rates.currency)}/${expense.unit}`,
+        amount: amt,
+        taxCategory: this.taxCategory(expense)
+      }));
+      subtotal += amt;
+    });
+
+    return { lines, subtotal };
+  },
+
+  // Currency the rate card is priced in
+  baseCurrency(rates) {
+    return (rates.currencies && rates.currencies.base) || 'USD';
+  },
+
+  // Units of the given currency per one unit of the base currency
+  exchangeRate(currency, rates) {
+    if (currency === this.baseCurrency(rates)) return 1;
+    return rates.currencies.rates[currency].rate;
+  },
+
+  // Copy of the rate card with service and specialty rates converted (rounded to whole units)
+  // The copy records its currency so row rate labels can be formatted to match
+  ratesInCurrency(rates, currency) {
+    const exchangeRate = this.exchangeRate(currency, rates);
+    const convert = amount => Math.round(amount * exchangeRate);
+
+    const services = {};
+    Object.entries(rates.services).forEach(([key, service]) => {
+      const serviceRates = {};
+      Object.entries(service.rates).forEach(([rateKey, amount]) => {
+        serviceRates[rateKey] = convert(amount);
+      });
+      services[key] = { ...service, rates: serviceRates };
+    });
+
+    const specialty = {};
+    Object.entries(rates.specialty || {}).forEach(([key, item]) => {
+      specialty[key] = { ...item, rate: convert(item.rate) };
+    });
+
+    // Expense rates keep cents (mileage is priced per mile)
+    const expenses = {};
+    Object.entries(rates.expenses || {}).forEach(([key, item]) => {
+      expenses[key] = { ...item, rate: Math.round(item.rate * exchangeRate * 100) / 100 };
+    });
+
+    return { ...rates, services, specialty, expenses, currency };
+  },
+
+  // Tax category of a service or specialty item (labor unless the rate card says otherwise)
+  taxCategory(item) {
+    return (item && item.taxCategory) || 'labor';
+  },
+
+  // Pick the tax jurisdiction: the explicit selection, else the first whose match terms
+  // appear in the project location, else the rate card default
+  // All-caps terms (state codes) match case-sensitively so "CA" doesn't match "ca" inside words
+  resolveTaxJurisdiction(input, rates) {
+    if (!rates.tax || !rates.tax.jurisdictions) return null;
+
+    const jurisdictions = rates.tax.jurisdictions;
+
+    if (input.taxJurisdiction && jurisdictions[input.taxJurisdiction]) {
+      return input.taxJurisdiction;
+    }
+
+    const location = input.projectLocation || '';
+    const escape = term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const matched = Object.keys(jurisdictions).find(key =>
+      (jurisdictions[key].match || []).some(term => {
+        const flags = term === term.toUpperCase() ? '' : 'i';
+        return new RegExp(`\\b${escape(term)}\\b`, flags).test(location);
+      })
+    );
+
+    return matched || rates.tax.defaultJurisdiction || null;
+  },
+
+  // Calculate tax for the quote from per-category subtotals (net of client discounts)
+  // Returns null when the rate card has no tax configuration
+  calculateTax(input, rates, categoryTotals) {
+    const key = this.resolveTaxJurisdiction(input, rates);
+    const jurisdiction = key ? rates.tax.jurisdictions[key] : null;
+
+    if (!jurisdiction) return null;
+
+    const taxable = jurisdiction.taxable || [];
+    const taxableTotal = taxable.reduce((sum, category) => sum + (categoryTotals[category] || 0), 0);
+    const taxableAmount = Math.round(taxableTotal);
+
+    return {
+      jurisdiction: key,
+      name: jurisdiction.name,
+      label: jurisdiction.label || 'Tax',
+      rate: jurisdiction.rate,
+      taxable,
+      taxableAmount,
+      amount: Math.round(taxableAmount * jurisdiction.rate)
+    };
+  },
+
+  // Format a tax rate as a percentage without float noise (0.0725 -> "7.25")
+  formatTaxRate(rate) {
+    return String(parseFloat((rate * 100).toFixed(4)));
+  },
+
+  // Price every crew position, returning all line groups, their subtotal, subtotals per tax
+  // category and whether any position qualifies for a multi-day discount
+  pricePositions(input, rates, applyMultiDay = true) {
+    const lines = [];
+    const categoryTotals = {};
+    let subtotal = 0;
+    let multiDay = false;
+
+    input.positions.forEach(position => {
+      const group = position.durationType === 'schedule' ?
+        this.priceScheduledPosition(position, input.schedule, rates, applyMultiDay) :
+        this.pricePosition(position, rates, input.positions.length > 1, applyMultiDay);
+      const category = this.taxCategory(rates.services[position.serviceType]);
+      lines.push(...group.lines);
+      subtotal += group.subtotal;
+      categoryTotals[category] = (categoryTotals[category] || 0) + group.subtotal;
+      multiDay = multiDay || this.positionQualifiesForMultiDay(position, rates, input.schedule);
+    });
+
+    return { lines, subtotal, categoryTotals, multiDay };
+  },
+
+  // Stacking mode for multi-day discounts (defaults to stacking with client discounts)
+  discountStacking(rates) {
+    return (rates.multiDayDiscounts && rates.multiDayDiscounts.stacking) || 'stack';
+  },
+
+  // Number of dates worked (full or half days) in a day-by-day schedule
+  scheduledDays(schedule = []) {
+    return schedule.filter(day => day.dayType === 'full' || day.dayType === 'half').length;
+  },
+
+  // Number of billable full days a package or custom duration covers
+  durationDays(position, rates) {
+    if (this.packageDurations.includes(position.durationType)) {
+      return rates.packages[position.durationType].days;
+    }
+    return position.durationType === 'custom' ? position.customDays : 0;
+  },
+
+  // Find the multi-day discount for a service, duration type and day count
+  // The first rule covering the service and duration wins; within it the highest tier reached applies
+  // Returns { name, rate } or null when no tier is reached
+  multiDayDiscount(serviceType, durationType, days, rates) {
+    const rules = (rates.multiDayDiscounts && rates.multiDayDiscounts.rules) || [];
+    const rule = rules.find(r =>
+      (!r.services || r.services.includes(serviceType)) &&
+      (!r.durations || r.durations.includes(durationType))
+    );
+
+    if (!rule) return null;
+
+    const tier = (rule.tiers || [])
+      .filter(t => days >= t.minDays)
+      .sort((a, b) => b.minDays - a.minDays)[0];
+
+    return tier ? { name: rule.name, rate: tier.rate } : null;
+  },
+
+  // Partner tier earned by a number of booked days in one month
+  // Returns { type, name, rate, minMonthlyDays } for the highest threshold reached, or null
+  partnerTier(monthlyDays, rates) {
+    const tiers = Object.entries(rates.discounts || {})
+      .filter(([, discount]) => discount.minMonthlyDays && monthlyDays >= discount.minMonthlyDays)
+      .sort((a, b) => b[1].minMonthlyDays - a[1].minMonthlyDays);
+
+    return tiers.length > 0 ? { type: tiers[0][0], ...tiers[0][1] } : null;
+  },
+
+  // Whether a position would receive a multi-day discount
+  positionQualifiesForMultiDay(position, rates, schedule = []) {
+    const days = position.durationType === 'schedule' ?
+      this.scheduledDays(schedule) : this.durationDays(position, rates);
+    return days > 0 && !!this.multiDayDiscount(position.serviceType, position.durationType, days, rates);
+  },
+
+  // Price one crew position as a group of line items (base rate, travel, overtime)
+  // Labels name the role when several positions share the quote so each group stays readable
+  // Package and custom durations share the rate card's multi-day discount rules
+  pricePosition(position, rates, labelGroups = false, applyMultiDay = true) {
+    const svc = position.serviceType;
+    const dur = position.durationType;
+    const days = this.durationDays(position, rates);
+    const qty = position.quantity;
+    const service = rates.services[svc];
+    const crew = qty > 1 ? ` × ${qty}` : '';
+    const suffix = labelGroups ? ` (${service.name})` : '';
+    const line = fields => this.lineItem({
+      taxCategory: this.taxCategory(service),
+      discountable: true,
+      serviceType: svc,
+      ...fields
+    });
+    const lines = [];
+    let subtotal = 0;
+
+    // Calculate base rate
+    if (dur === 'full' || dur === 'half') {
+      const r = service.rates[dur];
+      lines.push(line({
+        kind: 'service',
+        description: `${service.name}${crew}`,
+        detail: dur === 'full' ? 'Full Day (10h)' : 'Half Day (5h)',
+        qty,
+        unit: dur === 'full' ? 'day' : 'half day',
+        unitPrice: r,
+        rateLabel: this.formatCurrency(r, rates.currency),
+        amount: r * qty,
+        crewDays: dur === 'full' ? qty : qty / 2
+      }));
+      subtotal += r * qty;
+    } else if (this.packageDurations.includes(dur)) {
+      const discount = applyMultiDay ? this.multiDayDiscount(svc, dur, days, rates) : null;
+      const base = service.rates.full * days;
+      const r = discount ? Math.round(base * (1 - discount.rate)) : base;
+      lines.push(line({
+        kind: 'service',
+        description: `${service.name}${crew}`,
+        detail: rates.packages[dur].name || `${days} Day Package`,
+        qty,
+        unit: 'package',
+        unitPrice: r,
+        rateLabel: this.formatCurrency(r, rates.currency),
+        amount: r * qty,
+        crewDays: days * qty
+      }));
+      subtotal += r * qty;
+    } else {
+      const base = service.rates.full * days;
+      const discount = applyMultiDay ? this.multiDayDiscount(svc, dur, days, rates) : null;
+      const disc = discount ? discount.rate : 0;
+      if (disc > 0) {
+        const amt = Math.round(base * (1 - disc));
+        lines.push(line({
+          kind: 'service',
+          description: `${service.name}${crew}`,
+          detail: `${days} Day Custom (${Math.round(disc * 100)}% off)`,
+          qty,
+          unit: `${days}-day booking`,
+          unitPrice: amt,
+          rateLabel: `${this.formatCurrency(Math.round(amt / days), rates.currency)}/day`,
+          amount: amt * qty,
+          crewDays: days * qty
+        }));
+        subtotal += amt * qty;
+      } else {
+        lines.push(line({
+          kind: 'service',
+          description: `${service.name}${crew}`,
+          detail: `${days} Day(s)`,
+          qty: days * qty,
+          unit: 'day',
+          unitPrice: service.rates.full,
+          rateLabel: `${this.formatCurrency(service.rates.full, rates.currency)}/day`,
+          amount: base * qty,
+          crewDays: days * qty
+        }));
+        subtotal += base * qty;
+      }
+    }
+
+    // Add travel days
+    if (position.travelDays > 0) {
+      const r = service.rates.full;
+      const amt = r * position.travelDays * qty;
+      lines.push(line({
+        kind: 'travel',
+        description: `Travel Days${suffix}`,
+        detail: `${position.travelDays} day(s)${crew}`,
+        qty: position.travelDays * qty,
+        unit: 'day',
+        unitPrice: r,
+        rateLabel: `${this.formatCurrency(r, rates.currency)}/day`,
+        amount: amt
+      }));
+      subtotal += amt;
+    }
+
+    // Add overtime (hours are per technician)
+    if (position.additionalHours > 0) {
+      const r = service.rates.overtime;
+      const amt = r * position.additionalHours * qty;
+      lines.push(line({
+        kind: 'overtime',
+        description: `Overtime${suffix}`,
+        detail: `${position.additionalHours}h${crew}`,
+        qty: position.additionalHours * qty,
+        unit: 'hour',
+        unitPrice: r,
+        rateLabel: `${this.formatCurrency(r, rates.currency)}/h`,
+        amount: amt
+      }));
+      subtotal += amt;
+    }
+
+    return { lines, subtotal };
+  },
+
+  // Price one crew position date by date from the day-by-day schedule
+  // Travel days bill at the full day rate; overtime is per technician on each date
+  // Multi-day discounts follow the number of dates worked and apply to their day rates
+  priceScheduledPosition(position, schedule, rates, applyMultiDay = true) {
+    const service = rates.services[position.serviceType];
+    const qty = position.quantity;
+    const crew = qty > 1 ? ` × ${qty}` : '';
+    const discount = applyMultiDay ?
+      this.multiDayDiscount(position.serviceType, 'schedule', this.scheduledDays(schedule), rates) : null;
+    const lines = [];
+    let subtotal = 0;
+
+    schedule.forEach(day => {
+      if (day.dayType === 'off') return;
+
+      const fullRate = day.dayType === 'half' ? service.rates.half : service.rates.full;
+      const discounted = discount && day.dayType !== 'travel';
+      const dayRate = discounted ? Math.round(fullRate * (1 - discount.rate)) : fullRate;
+      const overtimeAmount = service.rates.overtime * day.overtime;
+      const amt = (dayRate + overtimeAmount) * qty;
+
+      lines.push(this.lineItem({
+        kind: day.dayType === 'travel' ? 'travel' : 'service',
+        description: `${service.name}${crew}`,
+        detail: [
+          this.formatScheduleDate(day.date),
+          this.scheduleDayTypes[day.dayType],
+          discounted ? `${Math.round(discount.rate * 100)}% off` : '',
+          day.overtime > 0 ? `${day.overtime}h OT` : ''
+        ].filter(Boolean).join(' · '),
+        qty,
+        unit: day.dayType === 'half' ? 'half day' : 'day',
+        unitPrice: dayRate + overtimeAmount,
+        rateLabel: day.overtime > 0 ?
+          `${this.formatCurrency(dayRate, rates.currency)} + ${this.formatCurrency(service.rates.overtime, rates.currency)}/h` :
+          this.formatCurrency(dayRate, rates.currency),
+        amount: amt,
+        taxCategory: this.taxCategory(service),
+        discountable: true,
+        serviceType: position.serviceType,
+        crewDays: day.dayType === 'travel' ? 0 : (day.dayType === 'half' ? qty / 2 : qty)
+      }));
+      subtotal += amt;
+    });
+
+    return { lines, subtotal };
+  },
+
+  // Format a YYYY-MM-DD schedule date as a short local label (e.g. "Tue, Jun 3")
+  formatScheduleDate(dateStr) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric'
+    });
+  },
+
+  // Format a unit price, keeping cents only when the price has them (e.g. "$0.70", "$180")
+  formatUnitPrice(amount, currency = 'USD') {
+    if (Number.isInteger(amount)) return this.formatCurrency(amount, currency);
+
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    }).format(amount);
+  },
+
+  // Date for a YYYY-MM-DD string in local time (new Date() would read it as UTC
+  // midnight, the previous day west of UTC); other values as new Date() reads them
+  parseDate(value) {
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+  },
+
+  // Whether a value is a YYYY-MM-DD string naming a real calendar day
+  isDate(value) {
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = match && this.parseDate(value);
+    return Boolean(match) && date.getFullYear() === Number(match[1])
+      && date.getMonth() === Number(match[2]) - 1 && date.getDate() === Number(match[3]);
+  },
+
+  // Format currency (whole units, e.g. "$1,250", "CA$1,250", "£1,250")
+  formatCurrency(amount, currency = 'USD') {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: 0,
+      maximumFractionDigits: 0
+    }).format(amount);
+  }
+};
+
+// Allow the pricing engine to be required from Node (tests, batch quoting, API)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Pricing;
+}
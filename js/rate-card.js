@@ -0,0 +1,554 @@
+/**
+ * Rate Card Module
+ * Renders the Rate Card tab from the active rate card and provides a
+ * PIN-protected editor that saves new rate card versions through the
+ * DataStore. Each version has an id and an effective-from
+ * date; the active version is the newest one already in effect.
+ */
+
+const RateCard = {
+  // Rate card sections the editor can change (everything else comes from rates.json)
+  editableSections: ['services', 'specialty', 'packages', 'multiDayDiscounts', 'discounts', 'depositRates', 'terms'],
+  rates: null,
+  baseRates: null,
+  versions: [],
+  activeVersion: null,
+  container: null,
+
+  // Initialize with the rates loaded from rates.json and apply the version in effect today
+  async init(rates) {
+    this.rates = rates;
+    this.baseRates = JSON.parse(JSON.stringify(rates));
+    this.container = document.getElementById('rateCardContent');
+
+    this.versions = (await this.loadVersions()).map(version => this.normalizeVersion(version));
+    this.applyVersion(this.findEffectiveVersion());
+
+    this.render();
+  },
+
+  // Fill in the id and effective date for versions saved before they were recorded
+  normalizeVersion(version) {
+    return {
+      ...version,
+      id: version.id || `rc_v${version.version}`,
+      effectiveFrom: version.effectiveFrom || version.savedAt.split('T')[0]
+    };
+  },
+
+  // Today's date as YYYY-MM-DD in local time
+  today() {
+    const now = new Date();
+    return `${now.getFullYear()}-${(now.getMonth() + 1).toString().padStart(2, '0')}-${now.getDate().toString().padStart(2, '0')}`;
+  },
+
+  // Newest saved version already in effect on the given date, or null for the rates.json card
+  findEffectiveVersion(date = this.today()) {
+    return this.versions
+      .filter(version => version.effectiveFrom <= date)
+      .sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom) || a.version - b.version)
+      .pop() || null;
+  },
+
+  // Version metadata recorded on the live rate card and on every quote priced with it
+  versionMeta(version) {
+    if (!version) {
+      return { id: this.baseRates.version?.id || 'rates-json', version: 0, effectiveFrom: this.baseRates.version?.effectiveFrom || '' };
+    }
+    return { id: version.id, version: version.version, effectiveFrom: version.effectiveFrom };
+  },
+
+  // Short display label for version metadata (e.g. "v3, effective Jan 1, 2027")
+  versionLabel(meta) {
+    if (!meta) return 'an unversioned rate card';
+
+    const name = meta.version ? `v${meta.version}` : 'the default rate card';
+    if (!meta.effectiveFrom) return name;
+
+    const [year, month, day] = meta.effectiveFrom.split('-').map(Number);
+    const effective = new Date(year, month - 1, day).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+    return `${name}, effective ${effective}`;
+  },
+
+  // Full rate card for a version id, or null if unknown
+  // Sections the editor does not manage (tax, currencies, expenses) come from the live rate card
+  ratesForVersion(id) {
+    const version = id === this.versionMeta(null).id ? null : this.versions.find(v => v.id === id);
+    if (version === undefined) return null;
+
+    const rates = JSON.parse(JSON.stringify(this.rates));
+    const source = version ? version.rates : this.baseRates;
+
+    this.editableSections.forEach(section => {
+      const value = source[section] !== undefined ? source[section] : this.baseRates[section];
+      rates[section] = JSON.parse(JSON.stringify(value));
+    });
+    rates.version = this.versionMeta(version);
+
+    return rates;
+  },
+
+  // Load saved rate card versions (oldest first), or none if they did not load
+  async loadVersions() {
+    try {
+      return (await DataStore.load('rateCards')) || [];
+    } catch (error) {
+      console.error('Error loading rate cards:', error);
+      return [];
+    }
+  },
+
+  // Save all rate card versions
+  async saveVersions() {
+    try {
+      await DataStore.save('rateCards', this.versions);
+    } catch (error) {
+      console.error('Error saving rate cards:', error);
+    }
+  },
+
+  // Copy a version's sections (or the rates.json sections for null) onto the live rate card
+  // The live rate card is the same object the Calculator uses, so it is updated in place
+  applyVersion(version) {
+    const source = version ? version.rates : this.baseRates;
+
+    this.editableSections.forEach(section => {
+      const value = source[section] !== undefined ? source[section] : this.baseRates[section];
+      this.rates[section] = JSON.parse(JSON.stringify(value));
+    });
+
+    this.rates.version = this.versionMeta(version);
+    this.activeVersion = version;
+  },
+
+  // Save the edited sections as a new version; it becomes active once its effective date arrives
+  async saveVersion(sections, note, effectiveFrom) {
+    const number = this.versions.length > 0 ? Math.max(...this.versions.map(v => v.version)) + 1 : 1;
+    const version = {
+      id: `rc_${Date.now()}`,
+      version: number,
+      effectiveFrom: effectiveFrom || this.today(),
+      savedAt: new Date().toISOString(),
+      note: note || '',
+      rates: sections
+    };
+
+    this.versions.push(version);
+    this.applyVersion(this.findEffectiveVersion());
+    await this.saveVersions();
+
+    return version;
+  },
+
+  // Snapshot of the editable sections of the live rate card
+  getEditableSections() {
+    const sections = {};
+    this.editableSections.forEach(section => {
+      sections[section] = JSON.parse(JSON.stringify(this.rates[section] || {}));
+    });
+    return sections;
+  },
+
+  // Format a rate card amount in the rate card currency
+  money(amount) {
+    return Pricing.formatCurrency(amount, Pricing.baseCurrency(this.rates));
+  },
+
+  // Format a fraction as a whole percentage (0.15 -> 15)
+  percent(rate) {
+    return Math.round(rate * 1000) / 10;
+  },
+
+  // Render the Rate Card tab from the active rate card
+  render() {
+    const rates = this.rates;
+    const services = Object.entries(rates.services);
+    const partner5 = rates.discounts.partner5;
+    const partner8 = rates.discounts.partner8;
+    const versionLabel = this.activeVersion ?
+      `Rate card ${this.versionLabel(this.rates.version)}` :
+      'Default rate card';
+    const upcoming = this.versions.filter(version => version.effectiveFrom > this.today());
+
+    const serviceRows = services.map(([, service]) => `
+      <tr>
+        <td>${service.name}<br><small>${service.description || ''}</small></td>
+        <td>${this.money(service.rates.full)}</td>
+        <td>${this.money(service.rates.half)}</td>
+        <td>${this.money(service.rates.overtime)}</td>
+      </tr>
+    `).join('');
+
+    const specialtyRows = Object.values(rates.specialty).map(item => `
+      <tr>
+        <td>${item.name}</td>
+        <td>${this.money(item.rate)}${item.unit === 'day' ? '/day' : '/hr'}</td>
+        <td>${item.description || ''}</td>
+      </tr>
+    `).join('');
+
+    const packageRows = Object.entries(rates.packages).map(([durationType, pkg]) => `
+      <tr>
+        <td>${pkg.days} Days</td>
+        ${services.map(([serviceType]) => {
+          const position = Pricing.normalizePosition({ serviceType, durationType });
+          const price = Pricing.pricePosition(position, rates).subtotal;
+          const discount = Pricing.multiDayDiscount(serviceType, durationType, pkg.days, rates);
+          return `<td>${this.money(price)}${discount ? ` <small>(${this.percent(discount.rate)}% off)</small>` : ''}</td>`;
+        }).join('')}
+      </tr>
+    `).join('');
+
+    const terms = [];
+    if (rates.discounts.new) {
+      terms.push(`First-time client discount of ${this.percent(rates.discounts.new.rate)}% available for initial bookings.`);
+    }
+    terms.push('<strong>Partner status</strong> is evaluated monthly and resets at the beginning of each month. Monthly booking thresholds must be met for discounts to apply.');
+    terms.push('Travel and per diem billable for events requiring overnight stays.');
+    terms.push('<strong>Travel days are billed at the full day rate</strong> regardless of actual hours traveled.');
+    terms.push(`Cancellation: ${this.percent(rates.terms.cancellationPolicy.within7Days)}% fee if within 7 days, ${this.percent(rates.terms.cancellationPolicy.within14Days)}% fee if within 14 days.`);
+    terms.push('All rates are for labor only. Equipment available through partner vendors.');
+    terms.push('Guaranteed 10-hour workday. Hours beyond 10 billed at overtime rate.');
+    terms.push(`<strong>Deposits: ${this.percent(rates.depositRates.new)}% due upon booking for new clients, ${this.percent(rates.depositRates.regular)}% for established clients.</strong>`);
+
+    this.container.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+        <div>
+          <span class="badge badge-primary">${versionLabel}</span>
+          ${upcoming.map(version => `<span class="badge" style="margin-left: 0.5rem;">Upcoming: ${this.versionLabel(this.versionMeta(version))}</span>`).join('')}
+        </div>
+        <button type="button" id="editRateCardBtn" class="btn btn-outline btn-sm">
+          <i class="fas fa-edit"></i> Edit Rates <i class="fas fa-lock" style="font-size: 0.75em; margin-left: 0.25rem;"></i>
+        </button>
+      </div>
+
+      <h2><i class="fas fa-dollar-sign"></i> Standard Day Rates</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Service Type</th>
+            <th>Full Day (10 hrs)</th>
+            <th>Half Day (5 hrs)</th>
+            <th>Overtime (per hr)</th>
+          </tr>
+        </thead>
+        <tbody>${serviceRows}</tbody>
+      </table>
+      ${partner5 && partner8 ? `
+      <div class="note">
+        <div class="note-header">
+          <i class="fas fa-star"></i> Production Company Partners
+        </div>
+        <p>Companies booking ${partner5.minMonthlyDays || 5}+ days per month receive ${this.percent(partner5.rate)}% off standard rates.<br>Regular clients (${partner8.minMonthlyDays || 8}+ days per month) receive ${this.percent(partner8.rate)}% off.<br><strong>Note:</strong> Partner status is evaluated monthly and resets at the beginning of each month. Discounts apply only when monthly booking thresholds are met.</p>
+      </div>
+      ` : ''}
+
+      <h2><i class="fas fa-cogs"></i> Specialty Services</h2>
+      <table>
+        <thead>
+          <tr>
+            <th>Service</th>
+            <th>Rate</th>
+            <th>Details</th>
+          </tr>
+        </thead>
+        <tbody>${specialtyRows}</tbody>
+      </table>
+
+      <h2><i class="fas fa-calendar-week"></i> Multi-Day Show Packages</h2>
+      <div class="note">
+        <div class="note-header">
+          <i class="fas fa-info-circle"></i> Package Details
+        </div>
+        <p>All packages include on-site labor, show prep, and content workflow management.</p>
+      </div>
+      <table>
+        <thead>
+          <tr>
+            <th>Duration</th>
+            ${services.map(([, service]) => `<th>${service.name.replace(' Technician', '')}</th>`).join('')}
+          </tr>
+        </thead>
+        <tbody>${packageRows}</tbody>
+      </table>
+
+      <h2><i class="fas fa-file-contract"></i> Terms & Policies</h2>
+      <ul style="list-style: none; padding-left: 0;">
+        ${terms.map(term => `<li><i class="fas fa-check" style="color: var(--primary); margin-right: 0.5rem;"></i> ${term}</li>`).join('')}
+      </ul>
+    `;
+
+    document.getElementById('editRateCardBtn').addEventListener('click', () => {
+      PinAuth.verifyPin(() => this.renderEditor(), 'rates.edit');
+    });
+  },
+
+  // Render the rate card editor in place of the rate card
+  renderEditor() {
+    const rates = this.rates;
+    const numberInput = (path, value, attrs = '') =>
+      `<input type="number" data-path="${path}" value="${value}" min="0" step="any" ${attrs} style="max-width: 120px;">`;
+    const percentInput = (path, value) =>
+      `<input type="number" data-path="${path}" data-percent="true" value="${this.percent(value)}" min="0" max="100" step="any" style="max-width: 100px;"> %`;
+
+    const serviceRows = Object.entries(rates.services).map(([key, service]) => `
+      <tr>
+        <td>${service.name}</td>
+        <td>${numberInput(`services.${key}.rates.full`, service.rates.full)}</td>
+        <td>${numberInput(`services.${key}.rates.half`, service.rates.half)}</td>
+        <td>${numberInput(`services.${key}.rates.overtime`, service.rates.overtime)}</td>
+      </tr>
+    `).join('');
+
+    const specialtyRows = Object.entries(rates.specialty).map(([key, item]) => `
+      <tr>
+        <td>${item.name}</td>
+        <td>${numberInput(`specialty.${key}.rate`, item.rate)} /${item.unit === 'day' ? 'day' : 'hr'}</td>
+      </tr>
+    `).join('');
+
+    const packageRows = Object.entries(rates.packages).map(([key, pkg]) => `
+      <tr>
+        <td>${pkg.name || key}</td>
+        <td>${numberInput(`packages.${key}.days`, pkg.days, 'step="1"')} days</td>
+      </tr>
+    `).join('');
+
+    const rules = (rates.multiDayDiscounts && rates.multiDayDiscounts.rules) || [];
+    const ruleSections = rules.map((rule, ruleIndex) => `
+      <h4 style="margin: 1rem 0 0.5rem;">${rule.name}</h4>
+      <table>
+        <thead>
+          <tr><th>From (days)</th><th>Discount</th><th></th></tr>
+        </thead>
+        <tbody data-rule="${ruleIndex}">
+          ${(rule.tiers || []).map(tier => this.tierRowHtml(tier)).join('')}
+        </tbody>
+      </table>
+      <button type="button" class="btn btn-outline btn-sm rate-editor-add-tier" data-rule="${ruleIndex}" style="margin-top: 0.5rem;">
+        <i class="fas fa-plus"></i> Add Tier
+      </button>
+    `).join('');
+
+    const stacking = Pricing.discountStacking(rates);
+
+    const discountRows = Object.entries(rates.discounts).map(([key, discount]) => `
+      <tr>
+        <td>${discount.name}</td>
+        <td>${percentInput(`discounts.${key}.rate`, discount.rate)}</td>
+      </tr>
+    `).join('');
+
+    const depositRows = Object.entries(rates.depositRates).map(([key, rate]) => `
+      <tr>
+        <td>${key === 'regular' ? 'Regular Client' : (rates.discounts[key]?.name || key)}</td>
+        <td>${percentInput(`depositRates.${key}`, rate)}</td>
+      </tr>
+    `).join('');
+
+    const recentVersions = this.versions.slice(-5).reverse().map(version => `
+      <li>${this.versionLabel(this.versionMeta(version))} · saved ${new Date(version.savedAt).toLocaleString('en-US')}${version.note ? ` · ${version.note}` : ''}</li>
+    `).join('');
+
+    this.container.innerHTML = `
+      <form id="rateCardEditorForm">
+        <h2><i class="fas fa-edit"></i> Edit Rate Card</h2>
+        <p style="color: var(--gray-600); margin-bottom: 1.5rem;">Saving creates a new rate card version. Amounts are in ${Pricing.baseCurrency(rates)}.</p>
+
+        <h3>Standard Day Rates</h3>
+        <table>
+          <thead>
+            <tr><th>Service Type</th><th>Full Day</th><th>Half Day</th><th>Overtime (per hr)</th></tr>
+          </thead>
+          <tbody>${serviceRows}</tbody>
+        </table>
+
+        <h3>Specialty Services</h3>
+        <table>
+          <thead>
+            <tr><th>Service</th><th>Rate</th></tr>
+          </thead>
+          <tbody>${specialtyRows}</tbody>
+        </table>
+
+        <h3>Packages</h3>
+        <table>
+          <thead>
+            <tr><th>Package</th><th>Length</th></tr>
+          </thead>
+          <tbody>${packageRows}</tbody>
+        </table>
+
+        <h3>Multi-Day Discounts</h3>
+        <div class="form-group">
+          <label for="rateEditorStacking">Combining with client discounts</label>
+          <select id="rateEditorStacking">
+            <option value="stack" ${stacking === 'stack' ? 'selected' : ''}>Stack (client discount applies on top)</option>
+            <option value="exclusive" ${stacking === 'exclusive' ? 'selected' : ''}>Exclusive (client discount replaces multi-day)</option>
+            <option value="best" ${stacking === 'best' ? 'selected' : ''}>Best (larger saving wins)</option>
+          </select>
+        </div>
+        ${ruleSections}
+
+        <h3 style="margin-top: 1.5rem;">Client Discounts</h3>
+        <table>
+          <tbody>${discountRows}</tbody>
+        </table>
+
+        <h3>Deposit Rates</h3>
+        <table>
+          <tbody>${depositRows}</tbody>
+        </table>
+
+        <h3>Terms</h3>
+        <table>
+          <tbody>
+            <tr><td>Quote validity</td><td>${numberInput('terms.quoteValidity', rates.terms.quoteValidity, 'step="1"')} days</td></tr>
+            <tr><td>Cancellation fee within 7 days</td><td>${percentInput('terms.cancellationPolicy.within7Days', rates.terms.cancellationPolicy.within7Days)}</td></tr>
+            <tr><td>Cancellation fee within 14 days</td><td>${percentInput('terms.cancellationPolicy.within14Days', rates.terms.cancellationPolicy.within14Days)}</td></tr>
+            <tr>
+              <td>Include expenses in deposit by default</td>
+              <td><input type="checkbox" id="rateEditorDepositIncludesExpenses" ${rates.terms.depositIncludesExpenses ? 'checked' : ''}></td>
+            </tr>
+          </tbody>
+        </table>
+
+        <div class="form-group">
+          <label for="rateEditorEffectiveFrom">Effective from</label>
+          <input type="date" id="rateEditorEffectiveFrom" value="${this.today()}" required>
+        </div>
+
+        <div class="form-group">
+          <label for="rateEditorNote">Change note (optional)</label>
+          <input type="text" id="rateEditorNote" placeholder="e.g. 2027 rate increase">
+        </div>
+
+        ${recentVersions ? `
+        <div class="note">
+          <div class="note-header"><i class="fas fa-history"></i> Recent Versions</div>
+          <ul style="padding-left: 1.25rem; margin: 0;">${recentVersions}</ul>
+        </div>
+        ` : ''}
+
+        <div class="btn-group">
+          <button type="submit" class="btn btn-primary">
+            <i class="fas fa-save"></i> Save New Version
+          </button>
+          <button type="button" id="cancelRateCardEdit" class="btn btn-outline">
+            <i class="fas fa-times"></i> Cancel
+          </button>
+        </div>
+      </form>
+    `;
+
+    // Tier add/remove
+    this.container.querySelectorAll('.rate-editor-add-tier').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const body = this.container.querySelector(`tbody[data-rule="${btn.dataset.rule}"]`);
+        body.insertAdjacentHTML('beforeend', this.tierRowHtml({ minDays: '', rate: 0 }));
+      });
+    });
+
+    this.container.addEventListener('click', this.handleTierRemove);
+
+    document.getElementById('cancelRateCardEdit').addEventListener('click', () => this.closeEditor());
+    document.getElementById('rateCardEditorForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleEditorSubmit();
+    });
+  },
+
+  // Markup for one editable multi-day discount tier
+  tierRowHtml(tier) {
+    return `
+      <tr class="rate-editor-tier">
+        <td><input type="number" class="tier-min-days" value="${tier.minDays}" min="1" step="1" style="max-width: 100px;"></td>
+        <td><input type="number" class="tier-rate" value="${this.percent(tier.rate)}" min="0" max="100" step="any" style="max-width: 100px;"> %</td>
+        <td><button type="button" class="btn btn-outline btn-sm rate-editor-remove-tier"><i class="fas fa-times"></i></button></td>
+      </tr>
+    `;
+  },
+
+  // Remove a tier row (delegated so rows added later are covered)
+  handleTierRemove(e) {
+    const btn = e.target.closest('.rate-editor-remove-tier');
+    if (btn) btn.closest('tr').remove();
+  },
+
+  // Leave the editor and show the rate card again
+  closeEditor() {
+    this.container.removeEventListener('click', this.handleTierRemove);
+    this.render();
+  },
+
+  // Read the editor form into rate card sections
+  // Returns { sections } or { error } when a value is invalid
+  readEditor() {
+    const sections = this.getEditableSections();
+
+    for (const input of this.container.querySelectorAll('input[data-path]')) {
+      const value = parseFloat(input.value);
+      const isPercent = input.dataset.percent === 'true';
+
+      if (isNaN(value) || value < 0 || (isPercent && value > 100)) {
+        return { error: `Please enter a valid value for ${input.dataset.path}.` };
+      }
+
+      this.setPath(sections, input.dataset.path, isPercent ? value / 100 : value);
+    }
+
+    // Rebuild each rule's tiers from the rows left in the editor
+    const rules = (sections.multiDayDiscounts && sections.multiDayDiscounts.rules) || [];
+    for (let i = 0; i < rules.length; i++) {
+      const tiers = [];
+
+      for (const row of this.container.querySelectorAll(`tbody[data-rule="${i}"] .rate-editor-tier`)) {
+        const minDays = parseInt(row.querySelector('.tier-min-days').value, 10);
+        const rate = parseFloat(row.querySelector('.tier-rate').value);
+
+        if (isNaN(minDays) || minDays < 1 || isNaN(rate) || rate < 0 || rate > 100) {
+          return { error: `Please enter valid days and percentages for the ${rules[i].name} tiers.` };
+        }
+
+        tiers.push({ minDays, rate: rate / 100 });
+      }
+
+      rules[i].tiers = tiers.sort((a, b) => a.minDays - b.minDays);
+    }
+
+    if (sections.multiDayDiscounts) {
+      sections.multiDayDiscounts.stacking = document.getElementById('rateEditorStacking').value;
+    }
+
+    sections.terms.depositIncludesExpenses = document.getElementById('rateEditorDepositIncludesExpenses').checked;
+
+    return { sections };
+  },
+
+  // Set a dotted path (e.g. "services.single.rates.full") on an object
+  setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((obj, key) => obj[key], target);
+    parent[last] = value;
+  },
+
+  // Save the edited rate card as a new version
+  async handleEditorSubmit() {
+    const { sections, error } = this.readEditor();
+
+    if (error) {
+      UI.showAlert(error);
+      return;
+    }
+
+    const note = document.getElementById('rateEditorNote').value.trim();
+    const effectiveFrom = document.getElementById('rateEditorEffectiveFrom').value;
+    const version = await this.saveVersion(sections, note, effectiveFrom);
+
+    this.closeEditor();
+    UI.showAlert(this.activeVersion === version ?
+      `Rate card v${version.version} saved and now active.` :
+      `Rate card v${version.version} saved. It takes effect on ${version.effectiveFrom}.`);
+  }
+};
@@ -94,9 +94,11 @@ const Signature = {
         AppState.quoteData = { ...historyItem.quoteData };
         AppState.quoteTotal = historyItem.amount;
         
-        // Calculate deposit amount based on client type
-        const clientType = historyItem.quoteData.clientType || 'regular';
-        AppState.depositPercentage = AppState.rates.depositRates[clientType] || 0.25;
+        // Use the deposit priced with the quote, falling back to the client type rate for older quotes
+        const clientType = (historyItem.quoteData.input || historyItem.quoteData).clientType || 'regular';
+        // (a 0% deposit is a rate, not a missing one)
+        AppState.depositPercentage = typeof historyItem.quoteData.depositPercentage === 'number' ?
+          historyItem.quoteData.depositPercentage : AppState.rates.depositRates[clientType] || 0.25;
         AppState.depositAmount = Math.round(AppState.quoteTotal * AppState.depositPercentage);
         
         // Also load project dates if available
@@ -116,6 +118,18 @@ const Signature = {
       }
     }
     
+    if (!this.canSign()) {
+      return;
+    }
+    
+    // Prefill the signer from the client directory
+    const contact = AppState.quoteData && Clients.primaryContact(AppState.quoteData.client);
+    if (contact) {
+      document.getElementById('signerName').value = contact.name || '';
+      document.getElementById('signerEmail').value = contact.email || '';
+      document.getElementById('signerTitle').value = contact.title || '';
+    }
+    
     // Show modal
     this.modal.style.display = 'flex';
     
@@ -125,6 +139,34 @@ const Signature = {
     }, 100);
   },
   
+  // Only the latest revision of a quote that is still open can be signed; explain why
+  // another can't, offering to renew an expired quote
+  canSign() {
+    const item = AppState.quoteData && AppState.quoteData.id &&
+      History.historyData.find(i => i.type === 'quote' && i.id === AppState.quoteData.id);
+    
+    if (!item) {
+      return true;
+    }
+    
+    const status = History.quoteStatus(item);
+    
+    if (!History.isLatestRevision(AppState.quoteData)) {
+      alert(`This is v${AppState.quoteData.revision} of the quote, but it has been revised to v${History.quoteRevisions(item).length} since. Only the latest revision can be signed.`);
+    } else if (status === 'expired') {
+      if (confirm(`This quote expired on ${InvoiceEditor.formatDate(History.quoteValidUntil(item))} and can no longer be signed. Renew it as a new revision dated today?`)) {
+        History.renewQuote(item.id);
+      }
+    } else if (status === 'declined' || status === 'superseded') {
+      alert(`This quote is marked as ${History.quoteStatuses[status].label.toLowerCase()} and can't be signed. Revise it to reopen it.`);
+    } else {
+      return true;
+    }
+    
+    this.quoteIdToSign = null;
+    return false;
+  },
+  
   // Create the signature modal
   createSignatureModal() {
     // Create modal element
@@ -409,6 +451,12 @@ const Signature = {
   
   // Process the signature form
   async processSignature() {
+    // The quote may have been revised or have expired while the modal was open
+    if (!this.canSign()) {
+      this.modal.style.display = 'none';
+      return;
+    }
+    
     // Check if signature exists
     if (!this.hasSigned || this.isCanvasEmpty()) {
       alert('Please sign the document before proceeding.');
@@ -453,6 +501,9 @@ const Signature = {
     // Save the signature data
     await this.saveSignature(signatureData);
     
+    // Keep the signer in the client directory
+    await Clients.recordContact(AppState.quoteData.client || document.getElementById('clientName').value, { name, email, title });
+    
     // Book the project dates in the calendar
     if (AppState.selectedDates && Calendar) {
       const startDate = new Date(AppState.selectedDates.startDate);
@@ -540,64 +591,22 @@ const Signature = {
     this.quoteIdToSign = null;
   },
   
-  // Save signature data
+  // Save signature data, keeping the latest 50 signatures
   async saveSignature(signatureData) {
     try {
-      // Save to Firebase if available
-      if (AppState.usingFirebase) {
-        await FirebaseStorage.saveSignatureData(signatureData);
-        console.log('Signature data saved to Firebase');
-        return true;
-      }
-      
-      // Fallback to localStorage
-      const signatureHistory = JSON.parse(localStorage.getItem('signatureHistory') || '[]');
-      signatureHistory.unshift({
+      await DataStore.append('signatures', {
         id: Date.now(),
         date: new Date().toISOString(),
         clientName: signatureData.name,
         projectName: signatureData.quoteData.project.name || 'Unnamed Project',
         amount: signatureData.quoteData.total,
         signatureData
-      });
-      
-      // Keep only the last 50 signatures
-      if (signatureHistory.length > 50) {
-        signatureHistory.length = 50;
-      }
-      
-      localStorage.setItem('signatureHistory', JSON.stringify(signatureHistory));
-      console.log('Signature data saved to localStorage');
+      }, 50);
       
       return true;
     } catch (error) {
       console.error('Error saving signature data:', error);
-      
-      // Try localStorage as fallback
-      try {
-        const signatureHistory = JSON.parse(localStorage.getItem('signatureHistory') || '[]');
-        signatureHistory.unshift({
-          id: Date.now(),
-          date: new Date().toISOString(),
-          clientName: signatureData.name,
-          projectName: signatureData.quoteData.project.name || 'Unnamed Project',
-          amount: signatureData.quoteData.total,
-          signatureData
-        });
-        
-        // Keep only the last 50 signatures
-        if (signatureHistory.length > 50) {
-          signatureHistory.length = 50;
-        }
-        
-        localStorage.setItem('signatureHistory', JSON.stringify(signatureHistory));
-        console.log('Signature data saved to localStorage (fallback)');
-        
-        return true;
-      } catch (localError) {
-        console.error('Error saving signature to localStorage:', localError);
-        return false;
-      }
+      return false;
     }
   },
   
@@ -614,8 +623,9 @@ const Signature = {
     const projectName = signatureData.quoteData.project.name || 'Unnamed Project';
     const projectLocation = signatureData.quoteData.project.location || '';
     const businessName = AppState.rates.businessInfo.name || 'Emmett Technical Production';
-    const quoteTotal = Calculator.formatCurrency(signatureData.quoteData.total);
-    const depositAmount = Calculator.formatCurrency(AppState.depositAmount);
+    const currency = signatureData.quoteData.currency;
+    const quoteTotal = Calculator.formatCurrency(signatureData.quoteData.total, currency);
+    const depositAmount = Calculator.formatCurrency(AppState.depositAmount, currency);
     const depositPercentage = `${AppState.depositPercentage * 100}%`;
     
     // Create HTML versions of the quote for emails
@@ -768,41 +778,23 @@ const Signature = {
     const formattedDate = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
     const formattedTime = new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
     
-    // Generate quote rows HTML
+    // Generate quote rows HTML from the line items
     let quoteRowsHtml = '';
-    quoteData.rows.forEach(row => {
-      const service = row[0];
-      const details = row[1];
-      const rate = row[2];
-      const amount = row[3];
-      
-      // Skip date rows
-      if (service === 'Quote Date' || service === 'Quote Valid Until') return;
+    UI.lineItemRows(quoteData).forEach(row => {
+      const [service, details, rate, formattedAmount] = row.cells.map(cell => Clients.escape(cell));
       
-      // Format amount based on whether it's a string or number
-      const formattedAmount = typeof amount === 'number' ? 
-        Calculator.formatCurrency(amount) : amount;
+      // Add row with appropriate styling for total and section headings
+      const rowStyle = row.className === 'total-row' ? ' style="font-weight: bold; background-color: #f8f9fa;"' :
+        row.className === 'section-row' ? ' style="font-weight: 600; color: #6c757d;"' : '';
       
-      // Add row with appropriate styling for total
-      if (service === 'TOTAL') {
-        quoteRowsHtml += `
-          <tr style="font-weight: bold; background-color: #f8f9fa;">
+      quoteRowsHtml += `
+          <tr${rowStyle}>
             <td style="padding: 12px; border-bottom: 1px solid #dee2e6;">${service}</td>
             <td style="padding: 12px; border-bottom: 1px solid #dee2e6;">${details}</td>
             <td style="padding: 12px; border-bottom: 1px solid #dee2e6;">${rate}</td>
             <td style="padding: 12px; border-bottom: 1px solid #dee2e6;">${formattedAmount}</td>
           </tr>
         `;
-      } else {
-        quoteRowsHtml += `
-          <tr>
-            <td style="padding: 12px; border-bottom: 1px solid #dee2e6;">${service}</td>
-            <td style="padding: 12px; border-bottom: 1px solid #dee2e6;">${details}</td>
-            <td style="padding: 12px; border-bottom: 1px solid #dee2e6;">${rate}</td>
-            <td style="padding: 12px; border-bottom: 1px solid #dee2e6;">${formattedAmount}</td>
-          </tr>
-        `;
-      }
     });
     
     // Generate notes HTML
@@ -891,7 +883,7 @@ const Signature = {
     const clientEmail = signatureData.email;
     const clientTitle = signatureData.title;
     const quoteData = signatureData.quoteData;
-    const quoteTotal = Calculator.formatCurrency(quoteData.total);
+    const quoteTotal = Calculator.formatCurrency(quoteData.total, quoteData.currency);
     const projectName = quoteData.project.name || 'Unnamed Project';
     const projectLocation = quoteData.project.location;
     const formattedDate = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
@@ -958,7 +950,7 @@ const Signature = {
             <tr>
               <td style="padding: 8px 0; border-bottom: 1px solid #dee2e6; font-weight: bold;">Deposit:</td>
               <td style="padding: 8px 0; border-bottom: 1px solid #dee2e6;">
-                ${Calculator.formatCurrency(AppState.depositAmount)} (${AppState.depositPercentage * 100}%)
+                ${Calculator.formatCurrency(AppState.depositAmount, quoteData.currency)} (${AppState.depositPercentage * 100}%)
               </td>
             </tr>
           </table>
@@ -12,20 +12,42 @@ const UI = {
     customDaysRow: document.getElementById('customDaysRow'),
     customDays: document.getElementById('customDays'),
     additionalHours: document.getElementById('additionalHours'),
+    crewQuantity: document.getElementById('crewQuantity'),
+    crewList: document.getElementById('crewList'),
+    emptyCrewMessage: document.getElementById('emptyCrewMessage'),
+    addCrewBtn: document.getElementById('addCrewBtn'),
     specialtyServiceSelect: document.getElementById('specialtyServiceSelect'),
     specialtyAmount: document.getElementById('specialtyAmount'),
     specialtyList: document.getElementById('specialtyList'),
     emptySpecialtyMessage: document.getElementById('emptySpecialtyMessage'),
     addSpecialtyBtn: document.getElementById('addSpecialtyBtn'),
+    expenseTypeSelect: document.getElementById('expenseTypeSelect'),
+    expenseQuantity: document.getElementById('expenseQuantity'),
+    expenseUnitCost: document.getElementById('expenseUnitCost'),
+    expenseList: document.getElementById('expenseList'),
+    emptyExpenseMessage: document.getElementById('emptyExpenseMessage'),
+    addExpenseBtn: document.getElementById('addExpenseBtn'),
+    expensesInDeposit: document.getElementById('expensesInDeposit'),
+    projectStartDate: document.getElementById('projectStartDate'),
+    projectEndDate: document.getElementById('projectEndDate'),
+    scheduleSection: document.getElementById('scheduleSection'),
+    scheduleBody: document.getElementById('scheduleBody'),
     clientType: document.getElementById('clientType'),
+    partnerTierHint: document.getElementById('partnerTierHint'),
     clientName: document.getElementById('clientName'),
     projectName: document.getElementById('projectName'),
     projectLocation: document.getElementById('projectLocation'),
+    taxJurisdiction: document.getElementById('taxJurisdiction'),
+    quoteCurrency: document.getElementById('quoteCurrency'),
+    editExchangeRatesBtn: document.getElementById('editExchangeRatesBtn'),
     includeTravel: document.getElementById('includeTravel'),
     travelDaysRow: document.getElementById('travelDaysRow'),
     travelDays: document.getElementById('travelDays'),
     calculateBtn: document.getElementById('calculateBtn'),
     resetBtn: document.getElementById('resetBtn'),
+    quoteRevisionNotice: document.getElementById('quoteRevisionNotice'),
+    quoteRevisionText: document.getElementById('quoteRevisionText'),
+    quoteRevisionCancel: document.getElementById('quoteRevisionCancel'),
     loadingIndicator: document.getElementById('loadingIndicator'),
     
     // Quote elements
@@ -33,6 +55,7 @@ const UI = {
     quoteBody: document.getElementById('quoteBody'),
     quoteNotes: document.getElementById('quoteNotes'),
     quoteDate: document.getElementById('quoteDate'),
+    quoteRevision: document.getElementById('quoteRevision'),
     quoteClientDisplay: document.getElementById('quoteClientDisplay'),
     quoteProjectDisplay: document.getElementById('quoteProjectDisplay'),
     printQuoteBtn: document.getElementById('printQuote'),
@@ -49,8 +72,21 @@ const UI = {
     invoiceProject: document.getElementById('invoiceProject'),
     invoiceSubtotal: document.getElementById('invoiceSubtotal'),
     invoiceDeposit: document.getElementById('invoiceDeposit'),
+    invoiceDepositLabel: document.getElementById('invoiceDepositLabel'),
+    invoiceTotalLabel: document.getElementById('invoiceTotalLabel'),
+    invoiceDueDate: document.getElementById('invoiceDueDate'),
+    invoiceTerms: document.getElementById('invoiceTerms'),
+    invoicePoItem: document.getElementById('invoicePoItem'),
+    invoicePoNumber: document.getElementById('invoicePoNumber'),
+    invoiceBillToAddress: document.getElementById('invoiceBillToAddress'),
+    invoiceNotes: document.getElementById('invoiceNotes'),
     invoiceTotal: document.getElementById('invoiceTotal'),
     depositRow: document.getElementById('depositRow'),
+    taxRow: document.getElementById('taxRow'),
+    invoiceTaxLabel: document.getElementById('invoiceTaxLabel'),
+    invoiceTax: document.getElementById('invoiceTax'),
+    invoiceTaxId: document.getElementById('invoiceTaxId'),
+    invoiceCurrencyNote: document.getElementById('invoiceCurrencyNote'),
     printInvoiceBtn: document.getElementById('printInvoice'),
     saveInvoicePdfBtn: document.getElementById('saveInvoicePdf'),
     backToQuoteBtn: document.getElementById('backToQuote'),
@@ -69,6 +105,52 @@ const UI = {
     this.initTabs();
     this.initTheme();
     this.refreshSpecialtyList();
+    this.refreshCrewList();
+    this.refreshSchedule();
+    this.populateTaxJurisdictions();
+    this.populateCurrencies();
+    this.populateExpenseTypes();
+    this.refreshExpenseList();
+  },
+  
+  // Fill the expense selector from the rate card and apply the default deposit setting
+  populateExpenseTypes() {
+    const expenses = AppState.rates?.expenses || {};
+    const currency = Pricing.baseCurrency(AppState.rates);
+    
+    Object.entries(expenses).forEach(([key, expense]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${expense.name} (${Pricing.formatUnitPrice(expense.rate, currency)}/${expense.unit})`;
+      this.elements.expenseTypeSelect.appendChild(option);
+    });
+    
+    this.elements.expensesInDeposit.checked = !!AppState.rates?.terms?.depositIncludesExpenses;
+  },
+  
+  // Fill the quote currency selector from the exchange-rate table, keeping the current choice
+  populateCurrencies() {
+    const selected = this.elements.quoteCurrency.value;
+    
+    this.elements.quoteCurrency.innerHTML = Currency.getCodes()
+      .map(code => `<option value="${code}">${Currency.getLabel(code)}</option>`)
+      .join('');
+    
+    if (selected) {
+      this.elements.quoteCurrency.value = selected;
+    }
+  },
+  
+  // Fill the tax jurisdiction selector from the rate card
+  populateTaxJurisdictions() {
+    const jurisdictions = AppState.rates?.tax?.jurisdictions || {};
+    
+    Object.entries(jurisdictions).forEach(([key, jurisdiction]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = `${jurisdiction.name} (${Pricing.formatTaxRate(jurisdiction.rate)}%)`;
+      this.elements.taxJurisdiction.appendChild(option);
+    });
   },
   
   // Set up all event listeners
@@ -82,6 +164,35 @@ const UI = {
     this.elements.specialtyServiceSelect.addEventListener('change', this.updateSpecialtyAmountPlaceholder.bind(this));
     this.elements.addSpecialtyBtn.addEventListener('click', this.handleAddSpecialty.bind(this));
     
+    // Expense lines
+    this.elements.expenseTypeSelect.addEventListener('change', this.updateExpenseCostPlaceholder.bind(this));
+    this.elements.quoteCurrency.addEventListener('change', () => {
+      this.updateExpenseCostPlaceholder();
+      this.refreshExpenseList();
+    });
+    this.elements.addExpenseBtn.addEventListener('click', this.handleAddExpense.bind(this));
+    this.elements.addCrewBtn.addEventListener('click', this.handleAddCrewPosition.bind(this));
+    
+    // Edit the local exchange-rate table
+    this.elements.editExchangeRatesBtn.addEventListener('click', () => {
+      PinAuth.verifyPin(() => Currency.showEditor(() => this.populateCurrencies()), 'rates.edit');
+    });
+    
+    // Rebuild the day-by-day schedule whenever the project dates change
+    this.elements.projectStartDate.addEventListener('change', this.refreshSchedule.bind(this));
+    this.elements.projectEndDate.addEventListener('change', this.refreshSchedule.bind(this));
+    
+    // Re-evaluate the partner tier when the client or the days being booked change;
+    // a client type picked by hand is only annotated
+    this.elements.projectStartDate.addEventListener('change', () => this.refreshPartnerTier());
+    this.elements.projectEndDate.addEventListener('change', () => this.refreshPartnerTier());
+    this.elements.clientName.addEventListener('change', () => {
+      // A client type saved in the client directory is kept; bookings only annotate it
+      const client = Clients.applyDefaults(this.elements.clientName.value);
+      this.refreshPartnerTier(!(client && client.defaultClientType));
+    });
+    this.elements.clientType.addEventListener('change', () => this.refreshPartnerTier(false));
+    
     this.elements.includeTravel.addEventListener('change', () => {
       this.elements.travelDaysRow.style.display = 
         this.elements.includeTravel.checked ? 'block' : 'none';
@@ -94,6 +205,11 @@ const UI = {
     
     this.elements.calculateBtn.addEventListener('click', this.handleCalculate.bind(this));
     this.elements.resetBtn.addEventListener('click', this.handleReset.bind(this));
+    this.elements.quoteRevisionCancel.addEventListener('click', (e) => {
+      e.preventDefault();
+      AppState.revisingQuoteId = null;
+      this.refreshRevisionNotice();
+    });
     
     // Quote events
     this.elements.printQuoteBtn.addEventListener('click', () => this.printSection(this.elements.quoteSection, 'Quote'));
@@ -134,7 +250,7 @@ const UI = {
             
             // Refresh history display
             History.refreshHistoryDisplay();
-          });
+          }, 'history.view');
         } else {
           // For other tabs, proceed normally
           // Remove active class from all tabs and contents
@@ -154,23 +270,10 @@ const UI = {
     this.elements.darkModeToggle.addEventListener('click', this.toggleTheme.bind(this));
     
     try {
-      // Try to get theme from GitHub first if available
-      if (AppState.usingGitHub && GitHub.checkAuth()) {
-        const preferences = await GitHub.loadPreferences();
-        if (preferences && preferences.theme) {
-          this.applyTheme(preferences.theme);
-          return;
-        }
-      }
+      const preferences = await DataStore.load('preferences');
       
-      // Fallback to localStorage
-      const storedTheme = localStorage.getItem('theme');
-      if (storedTheme) {
-        this.applyTheme(storedTheme);
-      } else {
-        // Default to dark theme
-        this.applyTheme('dark');
-      }
+      // Default to dark theme
+      this.applyTheme(preferences && preferences.theme ? preferences.theme : 'dark');
     } catch (error) {
       console.error('Error loading theme preferences:', error);
       // Default to dark theme
@@ -206,19 +309,10 @@ const UI = {
     
     this.applyTheme(newTheme);
     
-    // Save preference to GitHub if available
-    if (AppState.usingGitHub && GitHub.checkAuth()) {
-      try {
-        await GitHub.savePreferences({ theme: newTheme });
-        console.log('Theme preference saved to GitHub');
-      } catch (error) {
-        console.error('Error saving theme preference to GitHub:', error);
-        // Fallback to localStorage
-        localStorage.setItem('theme', newTheme);
-      }
-    } else {
-      // Save to localStorage
-      localStorage.setItem('theme', newTheme);
+    try {
+      await DataStore.save('preferences', { theme: newTheme });
+    } catch (error) {
+      console.error('Error saving theme preference:', error);
     }
   },
   
@@ -451,7 +545,7 @@ const UI = {
         <div class="specialty-item-details">
           <div class="specialty-item-title">${Calculator.getSpecialtyName(service.type)}</div>
           <div class="specialty-item-amount">
-            ${service.amount} ${isHourly ? 'Hour' : 'Day'}${service.amount > 1 ? 's' : ''} × $${rate}/${isHourly ? 'hr' : 'day'} = ${Calculator.formatCurrency(total)}
+            ${service.amount} ${isHourly ? 'Hour' : 'Day'}${service.amount > 1 ? 's' : ''} × $${rate}/${isHourly ? 'hr' : 'day'} = ${Calculator.formatCurrency(total, Pricing.baseCurrency(AppState.rates))}
           </div>
         </div>
         <div class="specialty-remove" data-id="${service.id}">
@@ -477,6 +571,253 @@ const UI = {
     this.refreshSpecialtyList();
   },
   
+  // Expense rates converted into the selected quote currency, in which unit costs are entered
+  quoteExpenseRates() {
+    const currency = this.elements.quoteCurrency.value || Pricing.baseCurrency(AppState.rates);
+    return { currency, expenses: Pricing.ratesInCurrency(AppState.rates, currency).expenses };
+  },
+  
+  // Show the rate card default as the unit cost placeholder for the selected expense
+  updateExpenseCostPlaceholder() {
+    const { expenses } = this.quoteExpenseRates();
+    const expense = expenses[this.elements.expenseTypeSelect.value];
+    
+    this.elements.expenseUnitCost.value = '';
+    this.elements.expenseUnitCost.setAttribute('placeholder', expense ? `Default ${expense.rate}` : 'Default');
+  },
+  
+  // Handle adding an expense line
+  handleAddExpense() {
+    const type = this.elements.expenseTypeSelect.value;
+    const quantity = parseFloat(this.elements.expenseQuantity.value) || 0;
+    const unitCostValue = this.elements.expenseUnitCost.value;
+    
+    if (type === 'none' || quantity <= 0) {
+      this.showAlert('Please select an expense and enter a valid quantity.');
+      return;
+    }
+    
+    AppState.expenses.push({
+      id: Date.now(),
+      type,
+      quantity,
+      unitCost: unitCostValue === '' ? null : parseFloat(unitCostValue)
+    });
+    
+    // Reset form
+    this.elements.expenseTypeSelect.value = 'none';
+    this.elements.expenseQuantity.value = 1;
+    this.updateExpenseCostPlaceholder();
+    
+    this.refreshExpenseList();
+  },
+  
+  // Update the expense list
+  refreshExpenseList() {
+    this.elements.expenseList.querySelectorAll('.specialty-item').forEach(item => item.remove());
+    
+    this.elements.emptyExpenseMessage.style.display = AppState.expenses.length === 0 ? 'block' : 'none';
+    
+    const { currency, expenses } = this.quoteExpenseRates();
+    
+    AppState.expenses.forEach(item => {
+      const expense = expenses[item.type];
+      const unitCost = item.unitCost !== null ? item.unitCost : expense.rate;
+      const expenseItem = document.createElement('div');
+      expenseItem.className = 'specialty-item';
+      expenseItem.dataset.id = item.id;
+      
+      expenseItem.innerHTML = `
+        <div class="specialty-item-details">
+          <div class="specialty-item-title">${Clients.escape(expense.name)}${item.description ? ` (${Clients.escape(item.description)})` : ''}</div>
+          <div class="specialty-item-amount">
+            ${item.quantity} ${expense.unit}${item.quantity !== 1 ? 's' : ''} × ${Pricing.formatUnitPrice(unitCost, currency)} = ${Calculator.formatCurrency(Math.round(unitCost * item.quantity), currency)}
+          </div>
+        </div>
+        <div class="specialty-remove" data-id="${item.id}">
+          <i class="fas fa-times"></i>
+        </div>
+      `;
+      
+      expenseItem.querySelector('.specialty-remove').addEventListener('click', () => this.removeExpense(item.id));
+      this.elements.expenseList.appendChild(expenseItem);
+    });
+  },
+  
+  // Remove an expense line
+  removeExpense(expenseId) {
+    AppState.expenses = AppState.expenses.filter(item => item.id !== expenseId);
+    this.refreshExpenseList();
+  },
+  
+  // Handle adding the service currently selected in the form as a crew position
+  handleAddCrewPosition() {
+    const position = Calculator.readPositionFromForm();
+    
+    if (position.quantity <= 0) {
+      this.showAlert('Please enter a valid crew quantity.');
+      return;
+    }
+    
+    if (position.durationType === 'custom' && position.customDays <= 0) {
+      this.showAlert('Please enter a valid number of days.');
+      return;
+    }
+    
+    AppState.crewPositions.push({
+      id: Date.now(),
+      ...position
+    });
+    
+    // Reset the per-position fields for the next entry
+    this.elements.crewQuantity.value = 1;
+    this.elements.additionalHours.value = 0;
+    
+    this.refreshCrewList();
+  },
+  
+  // Update crew positions list
+  refreshCrewList() {
+    // Clear current list except the empty message
+    this.elements.crewList.querySelectorAll('.specialty-item').forEach(item => item.remove());
+    
+    // Show/hide empty message
+    if (AppState.crewPositions.length === 0) {
+      this.elements.emptyCrewMessage.style.display = 'block';
+      return;
+    }
+    this.elements.emptyCrewMessage.style.display = 'none';
+    
+    // Add each position to the list
+    AppState.crewPositions.forEach(position => {
+      const positionItem = document.createElement('div');
+      positionItem.className = 'specialty-item';
+      positionItem.dataset.id = position.id;
+      
+      const durationLabel = this.elements.durationType.querySelector(`option[value="${position.durationType}"]`)?.textContent || position.durationType;
+      const details = [
+        position.durationType === 'custom' ? `${position.customDays} Day(s)` : durationLabel,
+        position.additionalHours > 0 ? `${position.additionalHours}h overtime` : '',
+        position.travelDays > 0 ? `${position.travelDays} travel day(s)` : ''
+      ].filter(Boolean).join(' · ');
+      
+      positionItem.innerHTML = `
+        <div class="specialty-item-details">
+          <div class="specialty-item-title">${position.quantity} × ${Calculator.getServiceName(position.serviceType)}</div>
+          <div class="specialty-item-amount">${details}</div>
+        </div>
+        <div class="specialty-remove" data-id="${position.id}">
+          <i class="fas fa-times"></i>
+        </div>
+      `;
+      
+      positionItem.querySelector('.specialty-remove').addEventListener('click', () => {
+        this.removeCrewPosition(position.id);
+      });
+      
+      this.elements.crewList.appendChild(positionItem);
+    });
+  },
+  
+  // Remove crew position
+  removeCrewPosition(positionId) {
+    AppState.crewPositions = AppState.crewPositions.filter(position => position.id !== positionId);
+    this.refreshCrewList();
+  },
+  
+  // Rebuild the day-by-day schedule from the project dates, keeping settings for dates still in range
+  refreshSchedule() {
+    const startValue = this.elements.projectStartDate.value;
+    const endValue = this.elements.projectEndDate.value;
+    
+    this.elements.scheduleBody.innerHTML = '';
+    
+    if (!startValue || !endValue || endValue < startValue) {
+      AppState.schedule = [];
+      this.elements.scheduleSection.style.display = 'none';
+      return;
+    }
+    
+    const existing = {};
+    AppState.schedule.forEach(day => { existing[day.date] = day; });
+    
+    const schedule = [];
+    const current = Calendar.parseLocalDate(startValue);
+    const end = Calendar.parseLocalDate(endValue);
+    
+    while (current <= end) {
+      const dateStr = `${current.getFullYear()}-${(current.getMonth() + 1).toString().padStart(2, '0')}-${current.getDate().toString().padStart(2, '0')}`;
+      schedule.push(existing[dateStr] || { date: dateStr, dayType: 'full', overtime: 0 });
+      current.setDate(current.getDate() + 1);
+    }
+    
+    AppState.schedule = schedule;
+    
+    // Render a row per date
+    schedule.forEach(day => {
+      const tr = document.createElement('tr');
+      const dayTypeOptions = Object.entries(Pricing.scheduleDayTypes)
+        .map(([value, label]) => `<option value="${value}" ${day.dayType === value ? 'selected' : ''}>${label}</option>`)
+        .join('');
+      
+      tr.innerHTML = `
+        <td>${Pricing.formatScheduleDate(day.date)}</td>
+        <td><select class="schedule-day-type">${dayTypeOptions}</select></td>
+        <td><input type="number" class="schedule-overtime" min="0" value="${day.overtime}"></td>
+      `;
+      
+      const overtimeInput = tr.querySelector('.schedule-overtime');
+      overtimeInput.disabled = day.dayType === 'off';
+      
+      tr.querySelector('.schedule-day-type').addEventListener('change', (e) => {
+        day.dayType = e.target.value;
+        overtimeInput.disabled = day.dayType === 'off';
+        if (day.dayType === 'off') {
+          day.overtime = 0;
+          overtimeInput.value = 0;
+        }
+        this.refreshPartnerTier();
+      });
+      
+      overtimeInput.addEventListener('change', (e) => {
+        day.overtime = Math.max(0, parseInt(e.target.value) || 0);
+        e.target.value = day.overtime;
+      });
+      
+      this.elements.scheduleBody.appendChild(tr);
+    });
+    
+    this.elements.scheduleSection.style.display = 'block';
+  },
+  
+  // Suggest the partner tier from the client's bookings in the project month and show why.
+  // The suggestion is applied unless the client is marked First-Time.
+  refreshPartnerTier(autoApply = true) {
+    const suggestion = Calculator.suggestPartnerTier();
+    const hint = this.elements.partnerTierHint;
+    
+    if (!suggestion) {
+      hint.style.display = 'none';
+      return;
+    }
+    
+    const suggested = suggestion.tier ? suggestion.tier.type : 'regular';
+    const select = this.elements.clientType;
+    
+    if (autoApply && select.value !== 'new') {
+      select.value = suggested;
+    }
+    
+    const tierText = suggestion.tier ?
+      `Qualifies for ${suggestion.tier.name}.` :
+      'Below the partner booking thresholds.';
+    const mismatch = select.value !== suggested && select.value !== 'new' ?
+      ` Bookings suggest ${select.querySelector(`option[value="${suggested}"]`).textContent}.` : '';
+    
+    hint.textContent = `${Calculator.partnerTierReason(suggestion)} ${tierText}${mismatch}`;
+    hint.style.display = 'block';
+  },
+  
   // Handle calculate button click
   handleCalculate() {
     if (!this.validateForm()) {
@@ -494,6 +835,12 @@ const UI = {
       const quoteData = Calculator.calculateQuote();
       AppState.quoteData = quoteData;
       
+      // Stop here if the input failed validation
+      if (!quoteData) {
+        this.elements.loadingIndicator.style.display = 'none';
+        return;
+      }
+      
       // Render quote
       this.renderQuote(quoteData);
       
@@ -518,13 +865,42 @@ const UI = {
     this.elements.customDays.value = 1;
     this.elements.travelDays.value = 0;
     this.elements.additionalHours.value = 0;
+    this.elements.crewQuantity.value = 1;
     
-    // Clear specialty services
+    // Clear specialty services and crew positions
     AppState.specialtyServices = [];
     this.refreshSpecialtyList();
+    AppState.crewPositions = [];
+    this.refreshCrewList();
+    
+    // Clear expenses and restore the default deposit setting
+    AppState.expenses = [];
+    this.refreshExpenseList();
+    this.elements.expensesInDeposit.checked = !!AppState.rates.terms.depositIncludesExpenses;
+    
+    // Clear the day-by-day schedule
+    AppState.schedule = [];
+    this.refreshSchedule();
     
     // Reset app state
     AppState.reset();
+    this.refreshRevisionNotice();
+  },
+  
+  // Show which history quote the next calculation is saved as a revision of
+  refreshRevisionNotice() {
+    const item = AppState.revisingQuoteId &&
+      History.historyData.find(i => i.type === 'quote' && i.id === AppState.revisingQuoteId);
+    
+    if (!item) {
+      this.elements.quoteRevisionNotice.style.display = 'none';
+      return;
+    }
+    
+    const latest = History.quoteRevisions(item).length;
+    this.elements.quoteRevisionText.textContent =
+      `Calculating saves this as v${latest + 1} of the quote for ${item.client} – ${item.project} (currently v${latest}).`;
+    this.elements.quoteRevisionNotice.style.display = 'block';
   },
   
   // Validate form before calculation
@@ -539,9 +915,53 @@ const UI = {
     return true;
   },
   
+  // Table rows for a quote or invoice built from its line items, as { cells, className }
+  // Quote date rows lead when includeDates is set; an Expenses heading precedes expense lines
+  lineItemRows(doc, { includeDates = false } = {}) {
+    const currency = doc.currency || 'USD';
+    const lineItems = Pricing.quoteLineItems(doc);
+    const rows = [];
+    
+    if (includeDates) {
+      rows.push({ cells: ['Quote Date', doc.formattedDate || '', '', ''], className: '' });
+      rows.push({ cells: ['Quote Valid Until', doc.validUntilFormatted || '', '', ''], className: '' });
+    }
+    
+    lineItems.forEach((line, i) => {
+      if (line.kind === 'expense' && (i === 0 || lineItems[i - 1].kind !== 'expense')) {
+        rows.push({ cells: ['Expenses', '', '', ''], className: 'section-row' });
+      }
+      rows.push({
+        cells: [line.description, line.detail, line.rateLabel, Calculator.formatCurrency(line.amount, currency)],
+        className: ''
+      });
+    });
+    
+    const total = Pricing.summarizeLines(lineItems).total;
+    rows.push({ cells: ['TOTAL', '', '', Calculator.formatCurrency(total, currency)], className: 'total-row' });
+    
+    return rows;
+  },
+  
+  // Render a quote or invoice's line items into a table body. Cells are plain
+  // text: descriptions are typed by the user.
+  renderLineItems(tbody, doc, options) {
+    tbody.innerHTML = '';
+    this.lineItemRows(doc, options).forEach(row => {
+      const tr = document.createElement('tr');
+      row.cells.forEach(cell => {
+        const td = document.createElement('td');
+        td.textContent = cell;
+        tr.appendChild(td);
+      });
+      if (row.className) tr.classList.add(row.className);
+      tbody.appendChild(tr);
+    });
+  },
+  
   // Render the quote
   renderQuote(quoteData) {
-    const { rows, notes, client, project, formattedDate, total } = quoteData;
+    const { notes, client, project, formattedDate } = quoteData;
     
     // Set client and project info
     if (client) {
@@ -562,21 +982,12 @@ const UI = {
       this.elements.quoteProjectDisplay.style.display = 'none';
     }
     
-    // Set date
+    // Set date; the revision badge is shown once the quote is saved to history
     this.elements.quoteDate.textContent = formattedDate;
+    this.elements.quoteRevision.style.display = 'none';
     
     // Render table rows
-    this.elements.quoteBody.innerHTML = '';
-    rows.forEach(r => {
-      const tr = document.createElement('tr');
-      r.forEach((cell, i) => {
-        const td = document.createElement('td');
-        td.innerHTML = i === 3 && typeof cell === 'number' ? Calculator.formatCurrency(cell) : cell;
-        tr.appendChild(td);
-      });
-      if (r[0] === 'TOTAL') tr.classList.add('total-row');
-      this.elements.quoteBody.appendChild(tr);
-    });
+    this.renderLineItems(this.elements.quoteBody, quoteData, { includeDates: true });
     
     // Render notes
     this.elements.quoteNotes.innerHTML = notes.map(n => `• ${n}`).join('<br>');
@@ -586,92 +997,132 @@ const UI = {
   handleGenerateInvoice() {
     // Require PIN verification before generating invoice
     PinAuth.verifyPin(() => {
-      // Build invoice number with current date format YYYYMMDD-XXX
-      const now = new Date();
-      const dateStr = now.getFullYear() + 
-                    (now.getMonth() + 1).toString().padStart(2, '0') + 
-                    now.getDate().toString().padStart(2, '0');
-      
-      const defaultInvoiceNum = `INV-${dateStr}-001`;
-      
-      // Get invoice details from user
-      const invoiceNum = prompt('Enter Invoice Number:', defaultInvoiceNum) || defaultInvoiceNum;
-      this.elements.invoiceNumber.textContent = invoiceNum;
-      
-      // Ask about deposit payment
-      const depositPaid = confirm(`Has the ${AppState.depositPercentage * 100}% deposit (${Calculator.formatCurrency(AppState.depositAmount)}) been paid?`);
-      
-      // Get client name
-      const clientName = this.elements.clientName.value.trim() || prompt('Client Name:', '') || 'Client';
-      this.elements.invoiceClient.textContent = clientName;
-      
-      // Set project name
-      this.elements.invoiceProject.textContent = this.elements.projectName.value.trim() || 'Technical Production Services';
-      
-      // Set invoice date
-      const dateOptions = { year: 'numeric', month: 'long', day: 'numeric' };
-      const formattedDate = now.toLocaleDateString('en-US', dateOptions);
-      this.elements.invoiceDate.textContent = formattedDate;
-      
-      // Set datetime
-      const timeOptions = { hour: '2-digit', minute: '2-digit' };
-      const formattedDateTime = `Created on ${formattedDate} at ${now.toLocaleTimeString('en-US', timeOptions)}`;
-      this.elements.invoiceDateTime.textContent = formattedDateTime;
-      
-      // Generate invoice data
-      const invoiceData = Calculator.generateInvoice(AppState.quoteData, {
-        invoiceNumber: invoiceNum,
-        date: formattedDate,
-        dateTime: formattedDateTime,
-        client: clientName,
-        depositPaid: depositPaid
-      });
-      
-      AppState.invoiceData = invoiceData;
-      
-      // Clone quote rows
-      this.elements.invoiceBody.innerHTML = '';
-      let subtotal = 0;
-      
-      Array.from(this.elements.quoteBody.children).forEach(row => {
-        const service = row.cells[0].textContent;
-        if (service === 'Quote Date' || service === 'Quote Valid Until') return;
-        
-        const clone = row.cloneNode(true);
-        this.elements.invoiceBody.appendChild(clone);
-        
-        if (service !== 'TOTAL') {
-          const amt = parseFloat(clone.cells[3].textContent.replace(/[^0-9.-]/g, '')) || 0;
-          subtotal += amt;
-        }
+      InvoiceEditor.open(AppState.quoteData, {
+        client: this.elements.clientName.value.trim()
+      }, async details => {
+        await this.finalizeInvoice(details);
+        History.saveInvoice();
       });
-      
-      // Set summary amounts
-      this.elements.invoiceSubtotal.textContent = Calculator.formatCurrency(subtotal);
-      
-      // Handle deposit
-      if (depositPaid) {
-        this.elements.depositRow.style.display = 'flex';
-        this.elements.invoiceDeposit.textContent = `- ${Calculator.formatCurrency(AppState.depositAmount)}`;
-        this.elements.invoiceTotal.textContent = Calculator.formatCurrency(subtotal - AppState.depositAmount);
-        AppState.isPaid = true;
-      } else {
-        this.elements.depositRow.style.display = 'none';
-        this.elements.invoiceTotal.textContent = Calculator.formatCurrency(subtotal);
-        AppState.isPaid = false;
-      }
-      
-      // Hide quote, show invoice
-      this.elements.quoteSection.style.display = 'none';
-      this.elements.invoiceSection.style.display = 'block';
-      
-      // Add payment buttons to invoice
-      this.addPaymentButtons(depositPaid);
-    });
+    }, 'invoices.create');
   },
   
-  // Add payment buttons to invoice
-  addPaymentButtons(depositPaid) {
+  // Claim the invoice number, then create the invoice from the editor's details and show it
+  async finalizeInvoice(details) {
+    const invoiceNumber = await InvoiceNumbers.claim(details.invoiceNumber);
+    
+    if (invoiceNumber !== details.invoiceNumber) {
+      this.showAlert(`Invoice number ${details.invoiceNumber} was just issued on another device, so this invoice is ${invoiceNumber}.`);
+    }
+    
+    const invoiceData = Calculator.generateInvoice(AppState.quoteData, { ...details, invoiceNumber });
+    
+    AppState.invoiceData = invoiceData;
+    AppState.quoteTotal = invoiceData.total;
+    
+    this.renderInvoice(invoiceData);
+    
+    // Hide quote, show invoice
+    this.elements.quoteSection.style.display = 'none';
+    this.elements.invoiceSection.style.display = 'block';
+    
+    // Add payment buttons to invoice
+    this.addPaymentButtons(invoiceData);
+    
+    return invoiceData;
+  },
+  
+  // Render an invoice: header, bill-to, dates, terms, line items, summary and notes
+  renderInvoice(invoiceData) {
+    this.elements.invoiceNumber.textContent = invoiceData.invoiceNumber;
+    this.elements.invoiceDateTime.textContent = invoiceData.dateTime;
+    this.elements.invoiceClient.textContent = invoiceData.client;
+    this.elements.invoiceProject.textContent = (invoiceData.project && invoiceData.project.name) || 'Technical Production Services';
+    this.elements.invoiceDate.textContent = invoiceData.date;
+    this.elements.invoiceDueDate.textContent = InvoiceEditor.formatDate(invoiceData.dueDate);
+    this.elements.invoiceTerms.textContent = invoiceData.termsLabel;
+    
+    // Optional fields are hidden when blank
+    this.elements.invoiceBillToAddress.textContent = invoiceData.billToAddress || '';
+    this.elements.invoiceBillToAddress.style.display = invoiceData.billToAddress ? 'block' : 'none';
+    this.elements.invoicePoNumber.textContent = invoiceData.poNumber || '';
+    this.elements.invoicePoItem.style.display = invoiceData.poNumber ? '' : 'none';
+    this.elements.invoiceNotes.textContent = invoiceData.notes || '';
+    this.elements.invoiceNotes.style.display = invoiceData.notes ? 'block' : 'none';
+    
+    this.renderLineItems(this.elements.invoiceBody, invoiceData);
+    this.renderInvoiceSummary(invoiceData);
+    this.renderInvoicePayments(this.elements.invoiceSection, invoiceData, invoiceData.payments);
+    AppState.isPaid = invoiceData.payments.length > 0;
+  },
+  
+  // Render the invoice summary (subtotal and tax) and the business tax ID
+  renderInvoiceSummary(invoiceData) {
+    const { subtotal, tax, currency } = invoiceData;
+    const taxAmount = tax ? tax.amount : 0;
+    const taxId = AppState.rates.businessInfo.taxId;
+    
+    this.elements.invoiceSubtotal.textContent = Calculator.formatCurrency(subtotal, currency);
+    
+    // Handle tax
+    if (taxAmount > 0) {
+      this.elements.taxRow.style.display = 'flex';
+      this.elements.invoiceTaxLabel.textContent = `${tax.label} (${tax.name}, ${Pricing.formatTaxRate(tax.rate)}%):`;
+      this.elements.invoiceTax.textContent = Calculator.formatCurrency(taxAmount, currency);
+    } else {
+      this.elements.taxRow.style.display = 'none';
+    }
+    
+    // Show the conversion note for invoices priced outside the rate card currency
+    const { baseCurrency, exchangeRate } = invoiceData;
+    const converted = currency && baseCurrency && currency !== baseCurrency;
+    this.elements.invoiceCurrencyNote.textContent = converted ?
+      `Amounts in ${currency}, converted from ${baseCurrency} at 1 ${baseCurrency} = ${exchangeRate} ${currency}.` : '';
+    this.elements.invoiceCurrencyNote.style.display = converted ? 'block' : 'none';
+    
+    // Show the business tax ID when one is configured
+    this.elements.invoiceTaxId.textContent = taxId ? `Tax ID: ${taxId}` : '';
+    this.elements.invoiceTaxId.style.display = taxId ? 'block' : 'none';
+  },
+  
+  // Render an invoice's payments received table and balance due from its ledger.
+  // Works on the invoice section or on a saved copy of it (History).
+  renderInvoicePayments(root, invoiceData, payments = []) {
+    const currency = invoiceData.currency;
+    const paid = Payment.totalPaid(payments);
+    const balance = Payment.balanceDue(invoiceData.total, payments);
+    const paymentsTable = root.querySelector('#invoicePayments');
+    const paymentsBody = root.querySelector('#invoicePaymentsBody');
+    const depositRow = root.querySelector('#depositRow');
+    const totalLabel = root.querySelector('#invoiceTotalLabel');
+    
+    if (depositRow) {
+      depositRow.style.display = paid > 0 ? 'flex' : 'none';
+      root.querySelector('#invoiceDepositLabel').textContent = 'Payments Received:';
+      root.querySelector('#invoiceDeposit').textContent = `- ${Calculator.formatCurrency(paid, currency)}`;
+    }
+    
+    // Overpayments are shown as a credit owed to the client
+    if (totalLabel) {
+      totalLabel.textContent = balance < 0 ? 'Credit Due:' : 'Balance Due:';
+    }
+    root.querySelector('#invoiceTotal').textContent = Calculator.formatCurrency(Math.abs(balance), currency);
+    
+    if (!paymentsTable || !paymentsBody) return;
+    
+    paymentsTable.style.display = payments.length > 0 ? 'block' : 'none';
+    paymentsBody.innerHTML = payments.map(payment => `
+      <tr>
+        <td>${InvoiceEditor.formatDate(payment.date)}</td>
+        <td>${Payment.methodName(payment.method)}</td>
+        <td>${Clients.escape(payment.reference) || '—'}</td>
+        <td>${payment.feeAbsorbed > 0 ? Calculator.formatCurrency(payment.feeAbsorbed, currency) : '—'}</td>
+        <td>${Calculator.formatCurrency(payment.amount, currency)}</td>
+      </tr>
+    `).join('');
+  },
+  
+  // Add payment buttons to invoice, based on how much of it has been paid
+  addPaymentButtons(invoiceData) {
     // Remove existing payment buttons if any
     const existingBtnGroup = document.getElementById('paymentBtnGroup');
     if (existingBtnGroup) {
@@ -684,7 +1135,9 @@ const UI = {
     btnGroup.className = 'btn-group';
     btnGroup.style.marginTop = '1.5rem';
     
-    if (!depositPaid) {
+    const status = Payment.paymentStatus(invoiceData.total, invoiceData.payments);
+    
+    if (status === 'unpaid' && AppState.depositAmount > 0) {
       // Add Pay Deposit button
       const payDepositBtn = document.createElement('button');
       payDepositBtn.className = 'btn btn-primary';
@@ -693,12 +1146,32 @@ const UI = {
       btnGroup.appendChild(payDepositBtn);
     }
     
-    // Add Pay Full/Balance button
-    const payFullBtn = document.createElement('button');
-    payFullBtn.className = 'btn btn-primary';
-    payFullBtn.innerHTML = '<i class="fas fa-money-bill-wave"></i> Pay ' + (depositPaid ? 'Balance' : 'Full Amount');
-    payFullBtn.addEventListener('click', () => Payment.handlePayment('full'));
-    btnGroup.appendChild(payFullBtn);
+    if (status === 'unpaid' || status === 'partial') {
+      // Add Pay Full/Balance button
+      const payFullBtn = document.createElement('button');
+      payFullBtn.className = 'btn btn-primary';
+      payFullBtn.innerHTML = '<i class="fas fa-money-bill-wave"></i> Pay ' + (status === 'partial' ? 'Balance' : 'Full Amount');
+      payFullBtn.addEventListener('click', () => Payment.handlePayment('full'));
+      btnGroup.appendChild(payFullBtn);
+    }
+    
+    // Payments received outside the app (checks, transfers) are entered by hand
+    const recordBtn = document.createElement('button');
+    recordBtn.className = 'btn btn-outline';
+    recordBtn.innerHTML = '<i class="fas fa-receipt"></i> Record Payment';
+    recordBtn.addEventListener('click', () => {
+      PinAuth.verifyPin(() => {
+        Payment.showRecordPaymentModal(
+          invoiceData.invoiceNumber,
+          Payment.balanceDue(AppState.invoiceData.total, AppState.invoiceData.payments),
+          async entry => {
+            await History.recordPayment(AppState.invoiceData.invoiceNumber, entry);
+            Payment.updateInvoiceAfterPayment();
+          }
+        );
+      }, 'payments.record');
+    });
+    btnGroup.appendChild(recordBtn);
     
     // Insert before the print/save buttons
     this.elements.invoiceSection.querySelector('.btn-group').before(btnGroup);
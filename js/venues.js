@@ -0,0 +1,466 @@
+/**
+ * Venues Module
+ * Saved venue library: name, address, distance from base, overnight travel,
+ * typical travel days, per diem days and load-in notes, saved through the
+ * DataStore. Picking a venue as the project location prefills
+ * travel days and the mileage and per diem expenses, and lists past projects
+ * at that venue from History.
+ */
+
+const Venues = {
+  // [{ id, name, address, distanceMiles, overnight, travelDays, perDiemDays, loadInNotes, createdAt, updatedAt }]
+  venues: [],
+  modal: null,
+
+  // Load the library and hook it up to the quote form
+  async init() {
+    const saved = await this.loadVenues();
+    if (saved) {
+      this.venues = saved;
+    }
+
+    document.getElementById('venueLibraryBtn').addEventListener('click', () => {
+      PinAuth.verifyPin(() => this.showLibrary(), 'directory.edit');
+    });
+
+    document.getElementById('projectLocation').addEventListener('change', (e) => {
+      this.applyToQuote(this.find(e.target.value));
+    });
+
+    this.renderDatalist();
+  },
+
+  // Load the library, or null if it has not been saved or did not load
+  async loadVenues() {
+    try {
+      return await DataStore.load('venues');
+    } catch (error) {
+      console.error('Error loading venue library:', error);
+      return null;
+    }
+  },
+
+  // Save the library
+  async saveVenues() {
+    try {
+      await DataStore.save('venues', this.venues);
+    } catch (error) {
+      console.error('Error saving venue library:', error);
+    }
+  },
+
+  // Venue saved under a name, if any
+  find(name) {
+    const key = Clients.normalize(name);
+    return key ? this.venues.find(venue => Clients.normalize(venue.name) === key) || null : null;
+  },
+
+  // Build a new venue
+  createVenue(fields = {}) {
+    const now = new Date().toISOString();
+
+    return {
+      id: 'venue_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+      name: '',
+      address: '',
+      distanceMiles: 0,
+      overnight: false,
+      travelDays: 0,
+      perDiemDays: 0,
+      loadInNotes: '',
+      createdAt: now,
+      updatedAt: now,
+      ...fields
+    };
+  },
+
+  // Add or replace a venue
+  async upsert(venue) {
+    const updated = { ...venue, updatedAt: new Date().toISOString() };
+    const index = this.venues.findIndex(v => v.id === venue.id);
+
+    if (index >= 0) {
+      this.venues[index] = updated;
+    } else {
+      this.venues.push(updated);
+    }
+
+    this.venues.sort((a, b) => a.name.localeCompare(b.name));
+    await this.saveVenues();
+    this.renderDatalist();
+
+    return updated;
+  },
+
+  // Remove a venue (past projects keep their location text)
+  async remove(id) {
+    this.venues = this.venues.filter(venue => venue.id !== id);
+    await this.saveVenues();
+    this.renderDatalist();
+  },
+
+  // Fill the project location autocomplete list
+  renderDatalist() {
+    document.getElementById('venueList').innerHTML = this.venues
+      .map(venue => `<option value="${Clients.escape(venue.name)}">${Clients.escape(venue.address)}</option>`)
+      .join('');
+  },
+
+  // Expenses a venue adds to a quote: round-trip mileage and per diem
+  venueExpenses(venue) {
+    const expenses = [];
+
+    if (venue.distanceMiles > 0 && AppState.rates.expenses.mileage) {
+      expenses.push({
+        type: 'mileage',
+        quantity: venue.distanceMiles * 2,
+        unitCost: null,
+        description: `${venue.name} round trip`
+      });
+    }
+
+    if (venue.perDiemDays > 0 && AppState.rates.expenses.perDiem) {
+      expenses.push({
+        type: 'perDiem',
+        quantity: venue.perDiemDays,
+        unitCost: null,
+        description: venue.name
+      });
+    }
+
+    return expenses;
+  },
+
+  // Prefill travel and venue expenses on the quote form and show the venue's notes and history.
+  // Expenses added by a previously picked venue are replaced.
+  applyToQuote(venue) {
+    const hint = document.getElementById('venueHint');
+    AppState.expenses = AppState.expenses.filter(expense => !expense.venueId);
+
+    if (!venue) {
+      hint.style.display = 'none';
+      UI.refreshExpenseList();
+      return;
+    }
+
+    const travel = venue.overnight || venue.travelDays > 0;
+    document.getElementById('includeTravel').checked = travel;
+    document.getElementById('travelDaysRow').style.display = travel ? 'block' : 'none';
+    document.getElementById('travelDays').value = venue.travelDays || 0;
+
+    this.venueExpenses(venue).forEach((expense, i) => {
+      AppState.expenses.push({ id: Date.now() + i, venueId: venue.id, ...expense });
+    });
+    UI.refreshExpenseList();
+
+    const projects = this.pastProjects(venue.name);
+    const summary = [
+      Clients.escape(venue.address),
+      venue.distanceMiles > 0 ? `${venue.distanceMiles} mi from base` : '',
+      venue.overnight ? 'overnight' : ''
+    ].filter(Boolean).join(' · ');
+
+    hint.innerHTML = `
+      ${summary}
+      ${venue.loadInNotes ? `<br><strong>Load-in:</strong> ${Clients.escape(venue.loadInNotes)}` : ''}
+      ${projects.length > 0 ? `<br><strong>Past projects here:</strong> ${projects.slice(0, 3)
+        .map(item => `${Clients.escape(item.project)} (${Clients.escape(item.client)}, ${new Date(item.date).toLocaleDateString('en-US')})`)
+        .join('; ')}${projects.length > 3 ? ` and ${projects.length - 3} more` : ''}` : ''}
+    `;
+    hint.style.display = 'block';
+  },
+
+  // Quotes and invoices in History whose project location is the venue, newest first
+  pastProjects(name) {
+    const key = Clients.normalize(name);
+
+    return History.historyData.filter(item => {
+      const doc = item.type === 'quote' ? item.quoteData : item.invoiceData;
+      const location = doc && ((doc.project && doc.project.location) || (doc.input && doc.input.projectLocation));
+      return Clients.normalize(location) === key;
+    });
+  },
+
+  // Show the venue library
+  showLibrary() {
+    if (!this.modal) {
+      this.createModal();
+    }
+
+    this.renderList();
+    this.modal.style.display = 'flex';
+  },
+
+  // Create the library modal
+  createModal() {
+    this.modal = document.createElement('div');
+    this.modal.className = 'venue-library-modal';
+    this.modal.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      bottom: 0;
+      background-color: rgba(0, 0, 0, 0.7);
+      display: none;
+      align-items: center;
+      justify-content: center;
+      z-index: 1000;
+      padding: 1rem;
+    `;
+
+    const content = document.createElement('div');
+    content.style.cssText = `
+      background-color: var(--card-bg);
+      border-radius: var(--border-radius);
+      box-shadow: var(--shadow-lg);
+      width: 100%;
+      max-width: 760px;
+      max-height: 90vh;
+      overflow-y: auto;
+      padding: 2rem;
+      position: relative;
+    `;
+
+    const closeBtn = document.createElement('div');
+    closeBtn.innerHTML = '<i class="fas fa-times"></i>';
+    closeBtn.style.cssText = `
+      position: absolute;
+      top: 1rem;
+      right: 1rem;
+      cursor: pointer;
+      font-size: 1.25rem;
+      color: var(--gray-500);
+    `;
+    closeBtn.addEventListener('click', () => {
+      this.modal.style.display = 'none';
+    });
+
+    const body = document.createElement('div');
+    body.className = 'venue-library-body';
+
+    // Views are re-rendered in place, so listen on the container
+    body.addEventListener('click', (e) => this.handleClick(e));
+    body.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.handleSave(e.target);
+    });
+
+    content.appendChild(closeBtn);
+    content.appendChild(body);
+    this.modal.appendChild(content);
+    document.body.appendChild(this.modal);
+  },
+
+  // Route clicks in the library views
+  async handleClick(e) {
+    const target = e.target.closest('[data-action]');
+    if (!target) return;
+
+    e.preventDefault();
+    const id = target.dataset.id;
+    const venue = this.venues.find(v => v.id === id);
+
+    switch (target.dataset.action) {
+      case 'new':
+        this.renderEditor(this.createVenue());
+        break;
+      case 'list':
+        this.renderList();
+        break;
+      case 'view':
+        this.renderDetail(id);
+        break;
+      case 'edit':
+        this.renderEditor(venue);
+        break;
+      case 'delete':
+        if (confirm(`Remove ${venue.name} from the venue library?`)) {
+          await this.remove(id);
+          this.renderList();
+        }
+        break;
+      case 'use':
+        document.getElementById('projectLocation').value = venue.name;
+        this.applyToQuote(venue);
+        this.modal.style.display = 'none';
+        break;
+      case 'history':
+        this.modal.style.display = 'none';
+        History.viewHistoryItem(id);
+        break;
+    }
+  },
+
+  // Render the list of venues
+  renderList() {
+    const body = this.modal.querySelector('.venue-library-body');
+
+    body.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+        <h3>Venue Library</h3>
+        <button type="button" class="btn btn-primary" data-action="new" style="margin-right: 2rem;">
+          <i class="fas fa-plus"></i> New Venue
+        </button>
+      </div>
+      ${this.venues.length > 0 ? `
+      <table>
+        <thead><tr><th>Venue</th><th style="text-align: right;">Distance</th><th>Travel</th><th></th></tr></thead>
+        <tbody>
+          ${this.venues.map(venue => `
+          <tr>
+            <td><a href="#" data-action="view" data-id="${venue.id}">${Clients.escape(venue.name)}</a>
+              <div style="font-size: 0.75rem; color: var(--gray-600);">${Clients.escape(venue.address)}</div></td>
+            <td style="text-align: right;">${venue.distanceMiles} mi</td>
+            <td>${venue.overnight ? 'Overnight' : 'Day trip'}${venue.travelDays > 0 ? `, ${venue.travelDays} travel day${venue.travelDays === 1 ? '' : 's'}` : ''}</td>
+            <td style="text-align: right; white-space: nowrap;">
+              <button type="button" class="btn btn-sm btn-outline" data-action="use" data-id="${venue.id}" title="Use on quote">
+                <i class="fas fa-map-marker-alt"></i>
+              </button>
+              <button type="button" class="btn btn-sm btn-outline" data-action="edit" data-id="${venue.id}" title="Edit">
+                <i class="fas fa-edit"></i>
+              </button>
+              <button type="button" class="btn btn-sm btn-outline" data-action="delete" data-id="${venue.id}" title="Remove">
+                <i class="fas fa-trash"></i>
+              </button>
+            </td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ` : `
+      <p style="text-align: center; padding: 2rem 1rem; color: var(--gray-500); font-style: italic;">No venues yet.</p>
+      `}
+    `;
+  },
+
+  // Render the add/edit form for a venue
+  renderEditor(venue) {
+    const body = this.modal.querySelector('.venue-library-body');
+
+    body.innerHTML = `
+      <h3 style="margin-bottom: 1rem;">${venue.name ? `Edit ${Clients.escape(venue.name)}` : 'New Venue'}</h3>
+      <form data-id="${venue.id}">
+        <div class="form-group">
+          <label for="venueEditorName">Venue Name *</label>
+          <input type="text" id="venueEditorName" value="${Clients.escape(venue.name)}" required>
+        </div>
+        <div class="form-group">
+          <label for="venueEditorAddress">Address</label>
+          <textarea id="venueEditorAddress" rows="2">${Clients.escape(venue.address)}</textarea>
+        </div>
+        <div class="row">
+          <div class="col">
+            <div class="form-group">
+              <label for="venueEditorDistance">Distance from Base (miles, one way)</label>
+              <input type="number" id="venueEditorDistance" min="0" step="1" value="${venue.distanceMiles}">
+            </div>
+          </div>
+          <div class="col">
+            <div class="form-group">
+              <label for="venueEditorTravelDays">Typical Travel Days</label>
+              <input type="number" id="venueEditorTravelDays" min="0" step="1" value="${venue.travelDays}">
+            </div>
+          </div>
+          <div class="col">
+            <div class="form-group">
+              <label for="venueEditorPerDiem">Per Diem Days</label>
+              <input type="number" id="venueEditorPerDiem" min="0" step="1" value="${venue.perDiemDays}">
+            </div>
+          </div>
+        </div>
+        <div class="form-group">
+          <label>
+            <input type="checkbox" id="venueEditorOvernight"${venue.overnight ? ' checked' : ''}>
+            Overnight travel needed
+          </label>
+        </div>
+        <div class="form-group">
+          <label for="venueEditorNotes">Load-in Notes</label>
+          <textarea id="venueEditorNotes" rows="3" placeholder="Dock access, parking, power, union rules...">${Clients.escape(venue.loadInNotes)}</textarea>
+        </div>
+        <p id="venueEditorError" style="display: none; color: var(--danger); font-size: 0.875rem;"></p>
+        <div class="btn-group">
+          <button type="submit" class="btn btn-primary"><i class="fas fa-save"></i> Save Venue</button>
+          <button type="button" class="btn btn-outline" data-action="list">Cancel</button>
+        </div>
+      </form>
+    `;
+  },
+
+  // Validate and save the editor form
+  async handleSave(form) {
+    const name = form.querySelector('#venueEditorName').value.trim();
+    const existing = this.find(name);
+    const number = id => Math.max(0, parseFloat(form.querySelector(id).value) || 0);
+
+    if (existing && existing.id !== form.dataset.id) {
+      const errorEl = form.querySelector('#venueEditorError');
+      errorEl.textContent = `${existing.name} is already in the venue library.`;
+      errorEl.style.display = 'block';
+      return;
+    }
+
+    const venue = this.venues.find(v => v.id === form.dataset.id) || this.createVenue({ id: form.dataset.id });
+    const saved = await this.upsert({
+      ...venue,
+      name,
+      address: form.querySelector('#venueEditorAddress').value.trim(),
+      distanceMiles: number('#venueEditorDistance'),
+      overnight: form.querySelector('#venueEditorOvernight').checked,
+      travelDays: Math.round(number('#venueEditorTravelDays')),
+      perDiemDays: Math.round(number('#venueEditorPerDiem')),
+      loadInNotes: form.querySelector('#venueEditorNotes').value.trim()
+    });
+
+    this.renderDetail(saved.id);
+  },
+
+  // Render a venue's details and the past projects there
+  renderDetail(id) {
+    const venue = this.venues.find(v => v.id === id);
+    const body = this.modal.querySelector('.venue-library-body');
+    const projects = this.pastProjects(venue.name);
+    const expenses = this.venueExpenses(venue);
+
+    body.innerHTML = `
+      <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+        <h3>${Clients.escape(venue.name)}</h3>
+        <div class="btn-group" style="margin: 0 2rem 0 0;">
+          <button type="button" class="btn btn-sm btn-outline" data-action="list"><i class="fas fa-arrow-left"></i> All Venues</button>
+          <button type="button" class="btn btn-sm btn-outline" data-action="edit" data-id="${venue.id}"><i class="fas fa-edit"></i> Edit</button>
+          <button type="button" class="btn btn-sm btn-primary" data-action="use" data-id="${venue.id}"><i class="fas fa-map-marker-alt"></i> Use on Quote</button>
+        </div>
+      </div>
+
+      <p style="white-space: pre-line; margin-bottom: 0.5rem;">${Clients.escape(venue.address) || '—'}</p>
+      <p style="font-size: 0.875rem; color: var(--gray-600); margin-bottom: 1rem;">
+        ${venue.distanceMiles} mi from base · ${venue.overnight ? 'Overnight travel' : 'Day trip'} ·
+        ${venue.travelDays} travel day${venue.travelDays === 1 ? '' : 's'}
+        ${expenses.length > 0 ? `<br>Adds: ${expenses.map(expense =>
+          `${expense.quantity} ${AppState.rates.expenses[expense.type].unit}${expense.quantity === 1 ? '' : 's'} of ${AppState.rates.expenses[expense.type].name.toLowerCase()}`).join(', ')}` : ''}
+      </p>
+      ${venue.loadInNotes ? `
+      <h4 style="margin-bottom: 0.5rem;">Load-in Notes</h4>
+      <p style="white-space: pre-line; margin-bottom: 1rem;">${Clients.escape(venue.loadInNotes)}</p>
+      ` : ''}
+
+      <h4 style="margin-bottom: 0.5rem;">Past Projects</h4>
+      ${projects.length > 0 ? `
+      <table>
+        <thead><tr><th>Date</th><th>Project</th><th>Client</th><th>Type</th></tr></thead>
+        <tbody>
+          ${projects.map(item => `
+          <tr data-action="history" data-id="${item.id}" style="cursor: pointer;">
+            <td>${new Date(item.date).toLocaleDateString('en-US')}</td>
+            <td>${Clients.escape(item.project)}</td>
+            <td>${Clients.escape(item.client)}</td>
+            <td>${item.type === 'invoice' ? `Invoice ${Clients.escape(item.invoiceNumber)}` : 'Quote'}</td>
+          </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ` : '<p style="color: var(--gray-500); font-style: italic;">No projects at this venue yet.</p>'}
+    `;
+  }
+};
@@ -0,0 +1,271 @@
+/**
+ * Local Auth Service
+ * Verifies users' PINs for js/pin-auth.js so the PIN hashes never ship to the
+ * browser. Each user has a name, a role and a PIN stored as a salted PBKDF2
+ * hash in a JSON file, and failed attempts lock that user out for exponentially
+ * longer, the same as in the browser. Uses only Node built-ins.
+ *
+ * Add a user:    node server/auth-service.js add-user "Sam Lee" owner 123456
+ *                (roles: owner, crewLead, viewer; an existing name gets the new role and PIN)
+ * Remove a user: node server/auth-service.js remove-user "Sam Lee"
+ * List users:    node server/auth-service.js list-users
+ * Run:           node server/auth-service.js
+ * Then set PinAuth.serviceUrl to 'http://localhost:8787'.
+ *
+ * Environment: PORT (default 8787), PIN_FILE (default server/pin.json),
+ * ALLOWED_ORIGIN (the app's origin for CORS, default *).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const PIN_FILE = process.env.PIN_FILE || path.join(__dirname, 'pin.json');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+
+const AuthService = {
+  roles: ['owner', 'crewLead', 'viewer'],
+  iterations: 310000,
+  maxAttempts: 5,
+  lockoutSeconds: 30,
+  maxLockoutSeconds: 3600,
+  // Failed attempts per user id: { failures, lockedUntil }, so one client cannot lock everyone out
+  lockouts: {},
+
+  // Hash a PIN the same way as PinAuth.hashPin (PBKDF2-SHA-256, 256 bits, base64).
+  // Asynchronous so hashing does not hold up other requests.
+  hashPin(pin, salt, iterations) {
+    return new Promise((resolve, reject) => {
+      crypto.pbkdf2(pin, Buffer.from(salt, 'base64'), iterations, 32, 'sha256', (error, key) => {
+        if (error) reject(error);
+        else resolve(key.toString('base64'));
+      });
+    });
+  },
+
+  // Load the users; a single PIN from before users and roles becomes the owner
+  loadUsers() {
+    if (!fs.existsSync(PIN_FILE)) return [];
+
+    const record = JSON.parse(fs.readFileSync(PIN_FILE, 'utf8'));
+    return Array.isArray(record.users) ? record.users : [{ id: 'owner', name: 'Owner', role: 'owner', ...record }];
+  },
+
+  // Store the users
+  saveUsers(users) {
+    fs.writeFileSync(PIN_FILE, JSON.stringify({ users }, null, 2), { mode: 0o600 });
+  },
+
+  // Hash a PIN with a fresh salt
+  async createPinRecord(pin) {
+    const salt = crypto.randomBytes(16).toString('base64');
+    return { salt, hash: await this.hashPin(pin, salt, this.iterations), iterations: this.iterations };
+  },
+
+  // Add a user, or give an existing user (matched by name) a new role and PIN
+  async saveUser(name, role, pin) {
+    const users = this.loadUsers();
+    const existing = users.find(user => user.name.toLowerCase() === name.toLowerCase());
+    const pinRecord = await this.createPinRecord(pin);
+
+    if (existing) {
+      Object.assign(existing, { role }, pinRecord);
+    } else {
+      users.push({ id: `user_${Date.now()}`, name, role, ...pinRecord });
+    }
+    this.saveUsers(users);
+  },
+
+  // A user without their PIN hash
+  publicUser(user) {
+    return { id: user.id, name: user.name, role: user.role };
+  },
+
+  // Whether a new PIN has an acceptable format (4 to 8 digits)
+  isValidPin(pin) {
+    return typeof pin === 'string' && /^\d{4,8}$/.test(pin);
+  },
+
+  // A user's failed attempts so far
+  lockout(userId) {
+    return this.lockouts[userId] || { failures: 0, lockedUntil: 0 };
+  },
+
+  // Seconds left of a user's current lockout
+  lockoutRemaining(userId) {
+    return Math.max(0, Math.ceil((this.lockout(userId).lockedUntil - Date.now()) / 1000));
+  },
+
+  // Count a user's attempt; from the maxAttempts-th failure on, each failure locks twice as long
+  recordAttempt(userId, ok) {
+    if (ok) {
+      delete this.lockouts[userId];
+      return;
+    }
+
+    const failures = this.lockout(userId).failures + 1;
+    const doublings = failures - this.maxAttempts;
+    const seconds = doublings >= 0 ?
+      Math.min(this.lockoutSeconds * Math.pow(2, doublings), this.maxLockoutSeconds) : 0;
+
+    this.lockouts[userId] = { failures, lockedUntil: seconds > 0 ? Date.now() + seconds * 1000 : 0 };
+  },
+
+  // Check a user's PIN, returning the response status and body
+  async checkPin(userId, pin) {
+    const users = this.loadUsers();
+    if (users.length === 0) {
+      return { status: 503, body: { ok: false, error: 'No users have been added to the authorization service.' } };
+    }
+
+    const user = users.find(u => u.id === userId);
+    if (!user) {
+      return { status: 400, body: { ok: false, error: 'Choose who is signing in.' } };
+    }
+
+    if (this.lockoutRemaining(user.id) > 0) {
+      return { status: 429, body: { ok: false, retryAfter: this.lockoutRemaining(user.id), attemptsLeft: 0 } };
+    }
+
+    const hash = Buffer.from(await this.hashPin(String(pin || ''), user.salt, user.iterations));
+    const expected = Buffer.from(user.hash);
+    const ok = hash.length === expected.length && crypto.timingSafeEqual(hash, expected);
+    this.recordAttempt(user.id, ok);
+
+    return {
+      status: ok ? 200 : 401,
+      body: {
+        ok,
+        user: ok ? this.publicUser(user) : null,
+        retryAfter: this.lockoutRemaining(user.id),
+        attemptsLeft: Math.max(0, this.maxAttempts - this.lockout(user.id).failures)
+      }
+    };
+  },
+
+  // Route a request body to its handler
+  async handle(route, body) {
+    if (route === '/users') {
+      return { status: 200, body: { ok: true, users: this.loadUsers().map(user => this.publicUser(user)) } };
+    }
+
+    if (route === '/pin/verify') {
+      return this.checkPin(body.userId, body.pin);
+    }
+
+    if (route === '/pin/change') {
+      if (!this.isValidPin(body.newPin)) {
+        return { status: 400, body: { ok: false, error: 'The new PIN must be 4 to 8 digits.' } };
+      }
+
+      const result = await this.checkPin(body.userId, body.currentPin);
+      if (result.body.ok) {
+        const pinRecord = await this.createPinRecord(body.newPin);
+        const users = this.loadUsers();
+        Object.assign(users.find(user => user.id === body.userId), pinRecord);
+        this.saveUsers(users);
+      }
+      return result;
+    }
+
+    return { status: 404, body: { ok: false, error: 'Not found.' } };
+  }
+};
+
+// Send a JSON response with CORS headers
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+const [command, name, role, pin] = process.argv.slice(2);
+
+if (command === 'add-user') {
+  if (!name || !AuthService.roles.includes(role) || !AuthService.isValidPin(pin || '')) {
+    console.error(`Usage: node server/auth-service.js add-user <name> <${AuthService.roles.join('|')}> <4 to 8 digit PIN>`);
+    process.exit(1);
+  }
+
+  AuthService.saveUser(name, role, pin).then(() => console.log(`${name} saved to ${PIN_FILE}`));
+} else if (command === 'remove-user') {
+  const users = AuthService.loadUsers();
+  const remaining = users.filter(user => user.name.toLowerCase() !== String(name).toLowerCase());
+
+  if (remaining.length === users.length) {
+    console.error(`No user named ${name}`);
+    process.exit(1);
+  }
+  if (!remaining.some(user => user.role === 'owner')) {
+    console.error('There must be at least one owner.');
+    process.exit(1);
+  }
+
+  AuthService.saveUsers(remaining);
+  console.log(`${name} removed`);
+} else if (command === 'list-users') {
+  AuthService.loadUsers().forEach(user => console.log(`${user.name} (${user.role})`));
+} else {
+  http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+
+    // The user list is the only GET route
+    if (req.method === 'GET' && req.url === '/users') {
+      AuthService.handle(req.url, {})
+        .then(result => send(res, result.status, result.body))
+        .catch(error => {
+          console.error('Error handling request:', error);
+          send(res, 500, { ok: false, error: 'Internal error.' });
+        });
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      send(res, 405, { ok: false, error: 'Method not allowed.' });
+      return;
+    }
+
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+      // PIN requests are tiny; drop anything else
+      if (data.length > 1024) req.destroy();
+    });
+    req.on('end', async () => {
+      let body;
+      try {
+        body = JSON.parse(data || '{}');
+      } catch (error) {
+        body = null;
+      }
+
+      // Every route takes a JSON object
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        send(res, 400, { ok: false, error: 'Invalid JSON.' });
+        return;
+      }
+
+      try {
+        const result = await AuthService.handle(req.url, body);
+        send(res, result.status, result.body);
+      } catch (error) {
+        console.error('Error handling request:', error);
+        send(res, 500, { ok: false, error: 'Internal error.' });
+      }
+    });
+  }).listen(PORT, () => {
+    if (AuthService.loadUsers().length === 0) {
+      console.warn('No users yet. Run: node server/auth-service.js add-user <name> owner <PIN>');
+    }
+    console.log(`Auth service listening on http://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,87 @@
+/**
+ * Data store tests
+ * Run with: node --test test/
+ * DataStore is run against the memory adapter, with a failing adapter for loads that fail.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DataStore = require('../js/data-store.js');
+
+// A fresh store on a memory adapter holding initial
+async function memoryStore(initial = {}) {
+  DataStore.unloaded.clear();
+  const adapter = DataStore.adapters.memory(initial);
+  await DataStore.init({ adapter });
+  return adapter;
+}
+
+test.beforeEach(context => {
+  context.mock.method(console, 'log', () => {});
+  context.mock.method(console, 'error', () => {});
+});
+
+test('loads null for a document that has never been saved', async () => {
+  await memoryStore();
+
+  assert.strictEqual(await DataStore.load('history'), null);
+});
+
+test('loads back a copy of what was saved', async () => {
+  await memoryStore();
+  const calendar = { events: { '2026-03-01': [{ id: 'a', depositPaid: true }] } };
+
+  await DataStore.save('calendar', calendar);
+  calendar.events['2026-03-01'][0].depositPaid = false;
+
+  assert.deepStrictEqual(await DataStore.load('calendar'), { events: { '2026-03-01': [{ id: 'a', depositPaid: true }] } });
+});
+
+test('rejects unknown documents', async () => {
+  await memoryStore();
+
+  await assert.rejects(DataStore.load('nope'), /Unknown document: nope/);
+  await assert.rejects(DataStore.save('nope', {}), /Unknown document: nope/);
+});
+
+test('does not save over a document that failed to load until it loads', async () => {
+  const adapter = await memoryStore({ history: [{ id: 1 }] });
+  const load = adapter.load;
+  adapter.load = async () => { throw new Error('offline'); };
+
+  await assert.rejects(DataStore.load('history'), /offline/);
+  assert.ok(DataStore.unloaded.has('history'));
+  await assert.rejects(DataStore.save('history', []), /history did not load/);
+
+  adapter.load = load;
+  assert.deepStrictEqual(await DataStore.load('history'), [{ id: 1 }]);
+  assert.ok(!DataStore.unloaded.has('history'));
+
+  await DataStore.save('history', []);
+  assert.deepStrictEqual(await DataStore.load('history'), []);
+});
+
+test('updates a document from its stored value', async () => {
+  await memoryStore({ invoiceNumbers: { next: 7 } });
+
+  const value = await DataStore.update('invoiceNumbers', stored => ({ next: stored.next + 1 }));
+
+  assert.deepStrictEqual(value, { next: 8 });
+  assert.deepStrictEqual(await DataStore.load('invoiceNumbers'), { next: 8 });
+});
+
+test('updates a document that has never been saved from null', async () => {
+  await memoryStore();
+
+  await DataStore.update('invoiceNumbers', stored => ({ next: (stored ? stored.next : 1) + 1 }));
+
+  assert.deepStrictEqual(await DataStore.load('invoiceNumbers'), { next: 2 });
+});
+
+test('appends to the front of a list document, up to the limit', async () => {
+  await memoryStore({ signatures: ['b', 'c'] });
+
+  await DataStore.append('signatures', 'a', 2);
+
+  assert.deepStrictEqual(await DataStore.load('signatures'), ['a', 'b']);
+});
@@ -0,0 +1,157 @@
+/**
+ * Pricing engine tests
+ * Run with: node --test test/
+ * Pricing.priceQuote is pure, so it is tested directly against data/rates.json.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Pricing = require('../js/pricing.js');
+const rates = require('../data/rates.json');
+
+// A one-day single role quote for a regular client
+const baseInput = {
+  clientName: 'Acme Events',
+  projectName: 'Spring Gala',
+  clientType: 'regular',
+  quoteDate: '2026-03-01',
+  positions: [{ serviceType: 'single', durationType: 'full' }]
+};
+
+test('prices a full day at the rate card rate', () => {
+  const quote = Pricing.priceQuote(baseInput, rates);
+
+  assert.strictEqual(quote.valid, true);
+  assert.deepStrictEqual(quote.lineItems.map(line => [line.description, line.amount]), [['Single Role Technician', 500]]);
+  assert.strictEqual(quote.subtotal, 500);
+  assert.strictEqual(quote.total, 500);
+});
+
+test('adds overtime and multiplies by quantity', () => {
+  const quote = Pricing.priceQuote({
+    ...baseInput,
+    positions: [{ serviceType: 'single', durationType: 'full', quantity: 2, additionalHours: 2 }]
+  }, rates);
+
+  assert.strictEqual(quote.total, 2 * 500 + 2 * 2 * 100);
+});
+
+test('takes the deposit at the client type rate, leaving expenses to the balance', () => {
+  const quote = Pricing.priceQuote(baseInput, rates);
+
+  assert.strictEqual(quote.depositPercentage, 0.25);
+  assert.strictEqual(quote.depositAmount, 125);
+});
+
+test('a 0% deposit rate is a rate, not a missing one', () => {
+  const quote = Pricing.priceQuote({ ...baseInput, depositRate: 0 }, rates);
+
+  assert.strictEqual(quote.depositPercentage, 0);
+  assert.strictEqual(quote.depositAmount, 0);
+});
+
+test('prices packages from the multi-day discount rules', () => {
+  const packagePrice = (serviceType, durationType) =>
+    Pricing.priceQuote({ ...baseInput, positions: [{ serviceType, durationType }] }, rates).total;
+
+  assert.deepStrictEqual(
+    ['single', 'multi', 'director'].map(serviceType => ['2day', '3day', '5day'].map(durationType => packagePrice(serviceType, durationType))),
+    [[950, 1350, 2125], [1243, 1766, 2780], [1815, 2579, 4059]]
+  );
+});
+
+test('prices a package and a custom booking of the same length alike', () => {
+  const price = position => Pricing.priceQuote({ ...baseInput, positions: [position] }, rates).total;
+
+  Object.keys(rates.services).forEach(serviceType => {
+    Object.entries(rates.packages).forEach(([durationType, pkg]) => {
+      assert.strictEqual(
+        price({ serviceType, durationType }),
+        price({ serviceType, durationType: 'custom', customDays: pkg.days }),
+        `${serviceType} ${durationType}`
+      );
+    });
+  });
+});
+
+test('gives day-by-day positions the multi-day discount for the dates worked', () => {
+  const quote = Pricing.priceQuote({
+    ...baseInput,
+    positions: [{ serviceType: 'single', durationType: 'schedule' }],
+    schedule: [
+      { date: '2026-03-02', dayType: 'travel', overtime: 0 },
+      { date: '2026-03-03', dayType: 'full', overtime: 0 },
+      { date: '2026-03-04', dayType: 'full', overtime: 1 },
+      { date: '2026-03-05', dayType: 'half', overtime: 0 }
+    ]
+  }, rates);
+
+  assert.deepStrictEqual(quote.lineItems.map(line => line.amount), [500, 450, 550, 261]);
+  assert.strictEqual(quote.total, 1761);
+});
+
+test('takes expense unit costs entered on the quote in the quote currency', () => {
+  const quote = Pricing.priceQuote({
+    ...baseInput,
+    currency: 'GBP',
+    expenses: [
+      { type: 'perDiem', quantity: 2, unitCost: 50 },
+      { type: 'perDiem', quantity: 1, unitCost: null }
+    ]
+  }, rates);
+  const expenses = quote.lineItems.filter(line => line.kind === 'expense');
+
+  assert.deepStrictEqual(expenses.map(line => line.unitPrice), [50, 59.25]);
+  assert.deepStrictEqual(expenses.map(line => line.amount), [100, 59]);
+});
+
+test('dates the quote on the given day in local time', () => {
+  const quote = Pricing.priceQuote(baseInput, rates);
+
+  assert.strictEqual(quote.formattedDate, 'March 1, 2026');
+  assert.strictEqual(quote.validUntil, '2026-03-15');
+});
+
+test('picks the tax jurisdiction from the country or state in the location', () => {
+  const jurisdiction = projectLocation => Pricing.resolveTaxJurisdiction({ projectLocation }, rates);
+
+  assert.strictEqual(jurisdiction('London, UK'), 'UK');
+  assert.strictEqual(jurisdiction('Los Angeles, CA'), 'CA');
+  assert.strictEqual(jurisdiction('Sydney, New South Wales'), 'none');
+  assert.strictEqual(jurisdiction('Boston, New England'), 'none');
+});
+
+test('rejects invalid input with an error per field', () => {
+  const quote = Pricing.priceQuote({
+    ...baseInput,
+    clientName: '',
+    positions: [{ serviceType: 'sound' }]
+  }, rates);
+
+  assert.strictEqual(quote.valid, false);
+  assert.deepStrictEqual(quote.errors.map(error => error.field), ['clientName', 'positions[0].serviceType']);
+});
+
+test('rejects a quote date that is not YYYY-MM-DD', () => {
+  for (const quoteDate of ['garbage', '2026-02-30', '03/01/2026']) {
+    const quote = Pricing.priceQuote({ ...baseInput, quoteDate }, rates);
+
+    assert.strictEqual(quote.valid, false);
+    assert.deepStrictEqual(quote.errors.map(error => error.field), ['quoteDate']);
+  }
+});
+
+test('rejects a non-numeric quantity instead of defaulting it', () => {
+  const position = { ...baseInput.positions[0], quantity: 'abc' };
+  const quote = Pricing.priceQuote({ ...baseInput, positions: [position] }, rates);
+
+  assert.strictEqual(quote.valid, false);
+  assert.deepStrictEqual(quote.errors.map(error => error.field), ['positions[0].quantity']);
+});
+
+test('rejects a missing rate card', () => {
+  const quote = Pricing.priceQuote(baseInput, null);
+
+  assert.strictEqual(quote.valid, false);
+  assert.strictEqual(quote.errors[0].field, 'rates');
+});